@@ -0,0 +1,21 @@
+-- Database objects which are needed by the SQL based search functions
+-- (`searchEntities` and `findDuplicates`) of bookbrainz-data.
+-- The statements can be applied repeatedly, creating extensions requires
+-- superuser privileges or a trusted extension.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA public;
+CREATE EXTENSION IF NOT EXISTS unaccent WITH SCHEMA public;
+
+-- `unaccent` is only stable because its dictionary can be changed, this
+-- wrapper with a fixed dictionary can be used in indexes
+CREATE OR REPLACE FUNCTION bookbrainz.unaccent_lower(text) RETURNS text
+	LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+	AS $$ SELECT lower(public.unaccent('public.unaccent'::regdictionary, $1)) $$;
+
+-- Trigram index which lets `searchEntities` and `findDuplicates` look up
+-- similar alias names instead of comparing the input with every alias
+CREATE INDEX IF NOT EXISTS alias_name_unaccent_trgm_idx
+	ON bookbrainz.alias USING gin (bookbrainz.unaccent_lower(name) public.gin_trgm_ops);
+
+-- Matching aliases are joined with their alias sets
+CREATE INDEX IF NOT EXISTS alias_set__alias_alias_id_idx ON bookbrainz.alias_set__alias (alias_id);
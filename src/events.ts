@@ -0,0 +1,152 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import type {EntityTypeString} from './types/entity';
+import {EventEmitter} from 'events';
+import type {Transaction} from './func/types';
+
+
+type RevisionEventT = {
+	editorId: number;
+	entityType: EntityTypeString;
+	revisionId: number;
+};
+
+/** Payloads of the lifecycle events, by event name. */
+export type ORMEventPayloads = {
+	'collection:itemAdded': {bbid: string, collectionId: string};
+	'entity:created': RevisionEventT & {bbid: string};
+	'entity:deleted': RevisionEventT & {bbid: string};
+
+	/** Only emitted for edits which have created a revision. */
+	'entity:edited': RevisionEventT & {bbid: string, changedProps: string[]};
+	'entity:merged': RevisionEventT & {sourceBbids: string[], targetBbid: string};
+	'entity:restored': RevisionEventT & {bbid: string};
+	'import:approved': RevisionEventT & {bbid: string};
+	'import:created': {entityType: EntityTypeString, importId: string};
+	'import:discarded': {editorId: number, importId: string};
+	'revision:reverted': {editorId: number, revertedBbids: string[], revertedRevisionId: number, revisionId: number};
+};
+
+export type ORMEventName = keyof ORMEventPayloads;
+
+export type ORMEventListener<E extends ORMEventName> = (payload: ORMEventPayloads[E]) => void | Promise<void>;
+
+/**
+ * Typed emitter for the lifecycle events of the ORM, which is available as
+ * `orm.events`. Errors of listeners (including rejections of async listeners)
+ * never reach the code which has caused the event, they are passed to the
+ * `error` listeners instead, or logged if there are none.
+ */
+export class ORMEventEmitter {
+	private emitter = new EventEmitter();
+
+	/**
+	 * Calls the listeners of an event with the payload.
+	 * @param {ORMEventName} event - Name of the event
+	 * @param {Object} payload - Payload of the event
+	 * @returns {boolean} - Whether the event had listeners
+	 */
+	emit<E extends ORMEventName>(event: E, payload: ORMEventPayloads[E]): boolean {
+		// Raw listeners remove themselves if they have been registered with `once`
+		const listeners = this.emitter.rawListeners(event) as ORMEventListener<E>[];
+		for (const listener of listeners) {
+			try {
+				const result = listener(payload);
+				if (result instanceof Promise) {
+					result.catch((error) => this.reportError(error));
+				}
+			}
+			catch (error) {
+				this.reportError(error);
+			}
+		}
+		return listeners.length > 0;
+	}
+
+	/**
+	 * Removes a listener of an event.
+	 * @param {string} event - Name of the event, or `error`
+	 * @param {Function} listener - The listener
+	 * @returns {ORMEventEmitter} - The emitter
+	 */
+	off(event: 'error', listener: (error: Error) => void): this;
+
+	off<E extends ORMEventName>(event: E, listener: ORMEventListener<E>): this;
+
+	off(event: string, listener: (...args: any[]) => void): this {
+		this.emitter.off(event, listener);
+		return this;
+	}
+
+	/**
+	 * Adds a listener for an event, or for errors of listeners.
+	 * @param {string} event - Name of the event, or `error`
+	 * @param {Function} listener - The listener
+	 * @returns {ORMEventEmitter} - The emitter
+	 */
+	on(event: 'error', listener: (error: Error) => void): this;
+
+	on<E extends ORMEventName>(event: E, listener: ORMEventListener<E>): this;
+
+	on(event: string, listener: (...args: any[]) => void): this {
+		this.emitter.on(event, listener);
+		return this;
+	}
+
+	/**
+	 * Adds a listener which is only called for the next occurrence of an event.
+	 * @param {ORMEventName} event - Name of the event
+	 * @param {Function} listener - The listener
+	 * @returns {ORMEventEmitter} - The emitter
+	 */
+	once<E extends ORMEventName>(event: E, listener: ORMEventListener<E>): this {
+		this.emitter.once(event, listener);
+		return this;
+	}
+
+	private reportError(error: Error) {
+		if (this.emitter.listenerCount('error')) {
+			this.emitter.emit('error', error);
+		}
+		else {
+			// eslint-disable-next-line no-console
+			console.error(error);
+		}
+	}
+}
+
+/**
+ * Emits an event once the transaction in which it has happened has been
+ * committed. Nothing is emitted if the transaction is rolled back.
+ * Without a transaction the event is emitted immediately.
+ * @param {ORMEventEmitter} events - The event emitter of the ORM
+ * @param {Transaction | null} transacting - The current knex transaction
+ * @param {ORMEventName} event - Name of the event
+ * @param {Object} payload - Payload of the event
+ */
+export function emitAfterCommit<E extends ORMEventName>(
+	events: ORMEventEmitter, transacting: Transaction | null | undefined, event: E, payload: ORMEventPayloads[E]
+): void {
+	if (!transacting) {
+		events.emit(event, payload);
+		return;
+	}
+	// The execution promise is rejected when the transaction is rolled back
+	transacting.executionPromise.then(() => events.emit(event, payload), () => null);
+}
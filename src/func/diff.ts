@@ -0,0 +1,403 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import type {EntityTypeString} from '../types/entity';
+import {formatDate} from '../util';
+
+
+/** Old and new value of a single-valued property, null stands for an unset value. */
+export type ValueChangeT<T> = {
+	after: T | null;
+	before: T | null;
+};
+
+/** Items which have been added to or removed from a set. */
+export type SetChangesT<T> = {
+	added: T[];
+	removed: T[];
+};
+
+/** Entry of a lookup table (like an area, a language or a type) which is referenced by the entity data. */
+export type LabelledValueT = {
+	id: number;
+	label: string | null;
+};
+
+export type AliasDiffItemT = {
+	language: string | null;
+	languageId: number | null;
+	name: string;
+	primary: boolean;
+	sortName: string;
+};
+
+export type AliasesDiffT = SetChangesT<AliasDiffItemT> & {
+
+	/** Change of the default alias, null if the default alias has not been changed. */
+	defaultAlias: ValueChangeT<AliasDiffItemT> | null;
+};
+
+export type IdentifierDiffItemT = {
+
+	/** Label of the identifier type. */
+	type: string | null;
+	typeId: number;
+	value: string;
+};
+
+export type RelationshipDiffItemT = {
+	attributes: Array<{type: string | null, value: string | null}>;
+	sourceBbid: string;
+	targetBbid: string;
+
+	/** Label of the relationship type. */
+	type: string | null;
+	typeId: number;
+};
+
+export type AuthorCreditNameDiffItemT = {
+	authorBbid: string;
+	joinPhrase: string;
+	name: string;
+};
+
+export type PublisherDiffItemT = {
+	bbid: string;
+	name: string | null;
+};
+
+export type ReleaseEventDiffItemT = {
+	areaId: number | null;
+
+	/** ISO 8601-2004 formatted date, see `formatDate`. */
+	date: string | null;
+};
+
+type CommonDiffSectionsT = {
+	aliases: AliasesDiffT;
+	annotation: ValueChangeT<string>;
+	disambiguation: ValueChangeT<string>;
+	identifiers: SetChangesT<IdentifierDiffItemT>;
+	relationships: SetChangesT<RelationshipDiffItemT>;
+};
+
+/*
+ * The diff of each entity type only contains the sections which have changed.
+ * Dates are ISO 8601-2004 formatted strings, see `formatDate`.
+ */
+
+export type AuthorDiffT = Partial<CommonDiffSectionsT & {
+	authorType: ValueChangeT<LabelledValueT>;
+	beginArea: ValueChangeT<LabelledValueT>;
+	beginDate: ValueChangeT<string>;
+	endArea: ValueChangeT<LabelledValueT>;
+	endDate: ValueChangeT<string>;
+	ended: ValueChangeT<boolean>;
+	gender: ValueChangeT<LabelledValueT>;
+}>;
+
+export type EditionDiffT = Partial<CommonDiffSectionsT & {
+	authorCredit: ValueChangeT<AuthorCreditNameDiffItemT[]>;
+	depth: ValueChangeT<number>;
+	editionFormat: ValueChangeT<LabelledValueT>;
+	editionGroupBbid: ValueChangeT<string>;
+	editionStatus: ValueChangeT<LabelledValueT>;
+	height: ValueChangeT<number>;
+	languages: SetChangesT<LabelledValueT>;
+	pages: ValueChangeT<number>;
+	publishers: SetChangesT<PublisherDiffItemT>;
+	releaseEvents: SetChangesT<ReleaseEventDiffItemT>;
+	weight: ValueChangeT<number>;
+	width: ValueChangeT<number>;
+}>;
+
+export type EditionGroupDiffT = Partial<CommonDiffSectionsT & {
+	authorCredit: ValueChangeT<AuthorCreditNameDiffItemT[]>;
+	editionGroupType: ValueChangeT<LabelledValueT>;
+}>;
+
+export type PublisherDiffT = Partial<CommonDiffSectionsT & {
+	area: ValueChangeT<LabelledValueT>;
+	beginDate: ValueChangeT<string>;
+	endDate: ValueChangeT<string>;
+	ended: ValueChangeT<boolean>;
+	publisherType: ValueChangeT<LabelledValueT>;
+}>;
+
+export type SeriesDiffT = Partial<CommonDiffSectionsT & {
+
+	/** Type of the entities which are part of the series. */
+	seriesEntityType: ValueChangeT<EntityTypeString>;
+	seriesOrderingType: ValueChangeT<LabelledValueT>;
+}>;
+
+export type WorkDiffT = Partial<CommonDiffSectionsT & {
+	languages: SetChangesT<LabelledValueT>;
+	workType: ValueChangeT<LabelledValueT>;
+}>;
+
+export type EntityDiffTypes = {
+	Author: AuthorDiffT;
+	Edition: EditionDiffT;
+	EditionGroup: EditionGroupDiffT;
+	Publisher: PublisherDiffT;
+	Series: SeriesDiffT;
+	Work: WorkDiffT;
+};
+
+export type EntityDiffT<T extends EntityTypeString = EntityTypeString> = EntityDiffTypes[T];
+
+export type RevisionDiffOptions = {
+
+	/**
+	 * Return an `EntityDiffT` with the changes per section instead of the raw
+	 * `deep-diff` records.
+	 */
+	semantic?: boolean;
+};
+
+/** Entity data in JSON format, as returned by `toJSON()` of a data model with loaded relations. */
+type DataJSON = Record<string, any>;
+
+/** Returns the changes of a section between two versions of entity data, or null if it has not been changed. */
+type SectionDiffer = (before: DataJSON, after: DataJSON) => unknown;
+
+function getValueChange<T>(before: T | null, after: T | null): ValueChangeT<T> | null {
+	if (_.isEqual(before, after)) {
+		return null;
+	}
+	return {after, before};
+}
+
+function getSetChanges<T>(before: T[], after: T[]): SetChangesT<T> | null {
+	const added = _.differenceWith(after, before, _.isEqual);
+	const removed = _.differenceWith(before, after, _.isEqual);
+	if (!added.length && !removed.length) {
+		return null;
+	}
+	return {added, removed};
+}
+
+function valueDiffer<T>(getValue: (data: DataJSON) => T | null | undefined): SectionDiffer {
+	return (before, after) => getValueChange(getValue(before) ?? null, getValue(after) ?? null);
+}
+
+function setDiffer<T>(getItems: (data: DataJSON) => T[]): SectionDiffer {
+	return (before, after) => getSetChanges(getItems(before), getItems(after));
+}
+
+function getLabelledValue(related: Record<string, any> | null | undefined, labelKey = 'label'): LabelledValueT | null {
+	if (!related || _.isNil(related.id)) {
+		return null;
+	}
+	return {id: related.id, label: related[labelKey] ?? null};
+}
+
+function getDate(data: DataJSON, prefix: 'begin' | 'end'): string | null {
+	return formatDate(data[`${prefix}Year`], data[`${prefix}Month`], data[`${prefix}Day`]);
+}
+
+function getAliasItem(alias: Record<string, any>): AliasDiffItemT {
+	return {
+		language: alias.language?.name ?? null,
+		languageId: alias.languageId ?? null,
+		name: alias.name,
+		primary: Boolean(alias.primary),
+		sortName: alias.sortName
+	};
+}
+
+function getAliases(data: DataJSON): AliasDiffItemT[] {
+	return (data.aliasSet?.aliases ?? []).map(getAliasItem);
+}
+
+function getDefaultAlias(data: DataJSON): AliasDiffItemT | null {
+	const defaultAlias = data.aliasSet?.defaultAlias;
+	return defaultAlias && !_.isNil(defaultAlias.id) ? getAliasItem(defaultAlias) : null;
+}
+
+function diffAliases(before: DataJSON, after: DataJSON): AliasesDiffT | null {
+	const aliasChanges = getSetChanges(getAliases(before), getAliases(after));
+	const defaultAlias = getValueChange(getDefaultAlias(before), getDefaultAlias(after));
+	if (!aliasChanges && !defaultAlias) {
+		return null;
+	}
+	return {added: [], removed: [], ...aliasChanges, defaultAlias};
+}
+
+function getIdentifiers(data: DataJSON): IdentifierDiffItemT[] {
+	return (data.identifierSet?.identifiers ?? []).map((identifier) => ({
+		type: identifier.type?.label ?? null,
+		typeId: identifier.typeId,
+		value: identifier.value
+	}));
+}
+
+function getRelationships(data: DataJSON): RelationshipDiffItemT[] {
+	return (data.relationshipSet?.relationships ?? []).map((relationship) => ({
+		attributes: _.sortBy(
+			(relationship.attributeSet?.relationshipAttributes ?? []).map((attribute) => ({
+				type: attribute.type?.name ?? null,
+				value: attribute.value?.textValue ?? null
+			})),
+			['type', 'value']
+		),
+		sourceBbid: relationship.sourceBbid,
+		targetBbid: relationship.targetBbid,
+		type: relationship.type?.label ?? null,
+		typeId: relationship.typeId
+	}));
+}
+
+function getAuthorCredit(data: DataJSON): AuthorCreditNameDiffItemT[] | null {
+	const names = data.authorCredit?.names;
+	if (!names) {
+		return null;
+	}
+	return _.sortBy(names, 'position').map((name) => ({
+		authorBbid: name.authorBBID,
+		joinPhrase: name.joinPhrase,
+		name: name.name
+	}));
+}
+
+function getLanguages(data: DataJSON): LabelledValueT[] {
+	return (data.languageSet?.languages ?? []).map((language) => getLabelledValue(language, 'name'));
+}
+
+function getPublishers(data: DataJSON): PublisherDiffItemT[] {
+	return (data.publisherSet?.publishers ?? []).map((publisher) => ({
+		bbid: publisher.bbid,
+		name: publisher.name ?? null
+	}));
+}
+
+function getReleaseEvents(data: DataJSON): ReleaseEventDiffItemT[] {
+	return (data.releaseEventSet?.releaseEvents ?? []).map((releaseEvent) => ({
+		areaId: releaseEvent.areaId ?? null,
+		date: formatDate(releaseEvent.year, releaseEvent.month, releaseEvent.day)
+	}));
+}
+
+const COMMON_SECTION_DIFFERS: Record<keyof CommonDiffSectionsT, SectionDiffer> = {
+	aliases: diffAliases,
+	annotation: valueDiffer((data) => data.annotation?.content),
+	disambiguation: valueDiffer((data) => data.disambiguation?.comment),
+	identifiers: setDiffer(getIdentifiers),
+	relationships: setDiffer(getRelationships)
+};
+
+const ENTITY_SECTION_DIFFERS: {[T in EntityTypeString]: Record<keyof EntityDiffTypes[T], SectionDiffer>} = {
+	Author: {
+		...COMMON_SECTION_DIFFERS,
+		authorType: valueDiffer((data) => getLabelledValue(data.authorType)),
+		beginArea: valueDiffer((data) => getLabelledValue(data.beginArea, 'name')),
+		beginDate: valueDiffer((data) => getDate(data, 'begin')),
+		endArea: valueDiffer((data) => getLabelledValue(data.endArea, 'name')),
+		endDate: valueDiffer((data) => getDate(data, 'end')),
+		ended: valueDiffer((data) => data.ended),
+		gender: valueDiffer((data) => getLabelledValue(data.gender, 'name'))
+	},
+	Edition: {
+		...COMMON_SECTION_DIFFERS,
+		authorCredit: valueDiffer(getAuthorCredit),
+		depth: valueDiffer((data) => data.depth),
+		editionFormat: valueDiffer((data) => getLabelledValue(data.editionFormat)),
+		editionGroupBbid: valueDiffer((data) => data.editionGroupBbid),
+		editionStatus: valueDiffer((data) => getLabelledValue(data.editionStatus)),
+		height: valueDiffer((data) => data.height),
+		languages: setDiffer(getLanguages),
+		pages: valueDiffer((data) => data.pages),
+		publishers: setDiffer(getPublishers),
+		releaseEvents: setDiffer(getReleaseEvents),
+		weight: valueDiffer((data) => data.weight),
+		width: valueDiffer((data) => data.width)
+	},
+	EditionGroup: {
+		...COMMON_SECTION_DIFFERS,
+		authorCredit: valueDiffer(getAuthorCredit),
+		editionGroupType: valueDiffer((data) => getLabelledValue(data.editionGroupType))
+	},
+	Publisher: {
+		...COMMON_SECTION_DIFFERS,
+		area: valueDiffer((data) => getLabelledValue(data.area, 'name')),
+		beginDate: valueDiffer((data) => getDate(data, 'begin')),
+		endDate: valueDiffer((data) => getDate(data, 'end')),
+		ended: valueDiffer((data) => data.ended),
+		publisherType: valueDiffer((data) => getLabelledValue(data.publisherType))
+	},
+	Series: {
+		...COMMON_SECTION_DIFFERS,
+		seriesEntityType: valueDiffer((data) => data.entityType),
+		seriesOrderingType: valueDiffer((data) => getLabelledValue(data.seriesOrderingType))
+	},
+	Work: {
+		...COMMON_SECTION_DIFFERS,
+		languages: setDiffer(getLanguages),
+		workType: valueDiffer((data) => getLabelledValue(data.workType))
+	}
+};
+
+/**
+ * Compares two versions of the data of an entity and reports the changes per
+ * section. Sets are compared by the content of their items, so that aliases,
+ * identifiers and relationships which have only been copied to a new row are
+ * not reported as changed.
+ * @param {string} entityType - Type of the entity
+ * @param {Object} before - Entity data in JSON format before the change, null if the entity did not exist
+ * @param {Object} after - Entity data in JSON format after the change, null if the entity has been deleted
+ * @returns {EntityDiffT} - The changed sections, an empty object if nothing has been changed
+ */
+export function diffEntityData<T extends EntityTypeString>(
+	entityType: T, before: DataJSON | null, after: DataJSON | null
+): EntityDiffT<T> {
+	const sectionDiffers: Record<string, SectionDiffer> = ENTITY_SECTION_DIFFERS[entityType];
+	if (!sectionDiffers) {
+		throw new Error(`Unknown entity type ${entityType}`);
+	}
+
+	const entityDiff = {};
+	for (const [section, sectionDiffer] of Object.entries(sectionDiffers)) {
+		const changes = sectionDiffer(before ?? {}, after ?? {});
+		if (changes) {
+			entityDiff[section] = changes;
+		}
+	}
+	return entityDiff as EntityDiffT<T>;
+}
+
+/**
+ * Compares the entity data of two revisions of the same entity type.
+ * Used by the `diff` methods of the revision models, the other revision is
+ * treated as the older one, like for `diffRevisions`.
+ * @param {string} entityType - Type of the entity
+ * @param {Object} base - The revision model of the newer revision
+ * @param {Object} [other] - The revision model of the older revision, omit it to diff against no data
+ * @param {string[]} includes - Relations of the data model which are required for the diff
+ * @returns {Promise<EntityDiffT>} - The changed sections
+ */
+export async function diffRevisionData<T extends EntityTypeString>(
+	entityType: T, base, other, includes: string[]
+): Promise<EntityDiffT<T>> {
+	const [baseData, otherData] = await Promise.all([
+		base.related('data').fetch({require: false, withRelated: includes}),
+		other ? other.related('data').fetch({require: false, withRelated: includes}) : null
+	]);
+	return diffEntityData(entityType, otherData ? otherData.toJSON() : null, baseData ? baseData.toJSON() : null);
+}
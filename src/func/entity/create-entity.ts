@@ -0,0 +1,179 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {ENTITY_TYPES, type EntityDataT, type EntityTypeString} from '../../types/entity';
+import type {ParsedEdition, ParsedEntity} from '../../types/parser';
+import {
+	addRevisionParents, createDataRecord, createNote, incrementEditorRevisionCount,
+	saveRelationshipSetsOfOtherEntities, setMasterRevision
+} from './helpers';
+import {camelToSnake, createEditionGroupForNewEdition} from '../../util';
+import type {ORM} from '../..';
+import type {Transaction} from '../types';
+import {emitAfterCommit} from '../../events';
+import {getAdditionalEntityProps} from './misc';
+import {updateAliasSet} from '../alias';
+import {updateAnnotation} from '../annotation';
+import {updateAuthorCredit} from '../author-credit';
+import {updateDisambiguation} from '../disambiguation';
+import {updateIdentifierSet} from '../identifier';
+import {updateLanguageSet} from '../language';
+import {updatePublisherSet} from '../publisher';
+import {updateRelationshipSets} from '../relationship';
+import {updateReleaseEventSet} from '../releaseEvent';
+
+
+export type CreateEntityResult = {
+
+	/** BBID of the new entity. */
+	bbid: string;
+
+	/** ID of the revision which has created the entity. */
+	revisionId: number;
+};
+
+/** Entity types which have an author credit. */
+export const CREDITED_ENTITY_TYPES: EntityTypeString[] = ['Edition', 'EditionGroup'];
+
+/**
+ * Replaces missing source and target BBIDs of the given relationships by the
+ * BBID of the entity and marks all of them as added.
+ * @param {Array} relationships - Relationships of the entity
+ * @param {string} bbid - BBID of the entity
+ * @returns {Array} - Relationships which can be passed to `updateRelationshipSets`
+ */
+function getAddedRelationships(relationships: EntityDataT['relationships'], bbid: string) {
+	return (relationships ?? []).map((relationship) => ({
+		...relationship,
+		isAdded: true,
+		sourceBbid: relationship.sourceBbid || bbid,
+		targetBbid: relationship.targetBbid || bbid
+	}));
+}
+
+async function createEntityDataSets(
+	orm: ORM, transacting: Transaction, entityType: EntityTypeString,
+	data: EntityDataT, revision: any, bbid: string
+) {
+	const {languages, releaseEvents} = data as EntityDataT<ParsedEdition>;
+	const {alias, annotation, authorCredit, disambiguation, identifiers, publishers, relationships} = data;
+
+	const [
+		aliasSet, annotationObj, authorCreditObj, disambiguationObj, identifierSet,
+		languageSet, publisherSet, releaseEventSet
+	] = await Promise.all([
+		updateAliasSet(orm, transacting, null, null, alias),
+		updateAnnotation(orm, transacting, null, annotation, revision),
+		CREDITED_ENTITY_TYPES.includes(entityType) && authorCredit ?
+			updateAuthorCredit(orm, transacting, null, authorCredit) : null,
+		updateDisambiguation(orm, transacting, null, disambiguation),
+		updateIdentifierSet(orm, transacting, null, identifiers ?? []),
+		languages ? updateLanguageSet(orm, transacting, null, languages) : null,
+		entityType === 'Edition' && publishers ? updatePublisherSet(orm, transacting, null, publishers) : null,
+		releaseEvents ? updateReleaseEventSet(orm, transacting, null, releaseEvents) : null
+	]);
+
+	// Relationship sets of all related entities change, not only the set of the new entity
+	const relationshipSets = await updateRelationshipSets(
+		orm, transacting, null, getAddedRelationships(relationships, bbid)
+	);
+
+	return {
+		dataSets: _.omitBy({
+			aliasSetId: aliasSet && aliasSet.get('id'),
+			annotationId: annotationObj && annotationObj.get('id'),
+			authorCreditId: authorCreditObj && authorCreditObj.get('id'),
+			disambiguationId: disambiguationObj && disambiguationObj.get('id'),
+			identifierSetId: identifierSet && identifierSet.get('id'),
+			languageSetId: languageSet && languageSet.get('id'),
+			publisherSetId: publisherSet && publisherSet.get('id'),
+			relationshipSetId: relationshipSets[bbid] ? relationshipSets[bbid].get('id') : null,
+			releaseEventSetId: releaseEventSet && releaseEventSet.get('id')
+		}, _.isNil),
+		relationshipSets
+	};
+}
+
+/**
+ * Creates a new entity with all of its data sets and an initial revision in a
+ * single transaction.
+ * Relationship sets of related entities are updated as part of the same revision.
+ * An Edition without an Edition Group automatically gets a new Edition Group.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - Type of the new entity
+ * @param {EntityDataT} data - Data of the new entity
+ * @param {number} editorId - ID of the editor who creates the entity
+ * @param {string} [note] - Optional edit note for the revision
+ * @returns {Promise<CreateEntityResult>} - BBID of the new entity and ID of its revision
+ */
+export function createEntity(
+	orm: ORM, entityType: EntityTypeString, data: EntityDataT, editorId: number, note?: string
+): Promise<CreateEntityResult> {
+	if (!ENTITY_TYPES.includes(entityType)) {
+		return Promise.reject(new Error('Invalid entity type'));
+	}
+
+	const {Revision} = orm;
+
+	return orm.bookshelf.transaction<CreateEntityResult>(async (transacting) => {
+		const revision = await new Revision({authorId: editorId}).save(null, {transacting});
+		const revisionId: number = revision.get('id');
+
+		const [idObj] = await transacting.insert(camelToSnake({isImport: false, type: entityType}))
+			.into('bookbrainz.entity')
+			.returning('bbid');
+		const bbid: string = _.get(idObj, 'bbid');
+
+		const {dataSets, relationshipSets} = await createEntityDataSets(
+			orm, transacting, entityType, data, revision, bbid
+		);
+
+		/* Entity data props use split versions of dates into (day, month and year)
+			and not directly dates, so we omit them. */
+		const additionalEntityProps: Record<string, unknown> = _.omit(
+			getAdditionalEntityProps(data as ParsedEntity, entityType),
+			['beginDate', 'endDate']
+		);
+
+		if (entityType === 'Edition' && !additionalEntityProps.editionGroupBbid) {
+			additionalEntityProps.editionGroupBbid = await createEditionGroupForNewEdition(
+				orm.bookshelf, transacting, dataSets.aliasSetId, revisionId,
+				dataSets.authorCreditId ?? null, Boolean(dataSets.authorCreditId)
+			);
+		}
+
+		const dataId = await createDataRecord(transacting, entityType, {
+			...dataSets,
+			...additionalEntityProps
+		});
+		await setMasterRevision(transacting, {bbid, dataId, entityType, isNew: true, revisionId});
+
+		const parentRevisionIds = await saveRelationshipSetsOfOtherEntities(
+			transacting, relationshipSets, [bbid], revisionId
+		);
+		await Promise.all([
+			addRevisionParents(transacting, revisionId, parentRevisionIds),
+			createNote(transacting, editorId, revisionId, note),
+			incrementEditorRevisionCount(transacting, editorId)
+		]);
+
+		emitAfterCommit(orm.events, transacting, 'entity:created', {bbid, editorId, entityType, revisionId});
+		return {bbid, revisionId};
+	});
+}
@@ -0,0 +1,222 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {
+	addRevisionParents, copyDataRecord, createNote, getMasterRevision, getRelationshipsOfData,
+	incrementEditorRevisionCount, saveRelationshipSetsOfOtherEntities, setMasterRevision
+} from './helpers';
+import type {EntityTypeString} from '../../types/entity';
+import type {ORM} from '../..';
+import type {Transaction} from '../types';
+import {emitAfterCommit} from '../../events';
+import {updateRelationshipSets} from '../relationship';
+
+
+export type DeleteEntityResult = {
+
+	/** BBID of the deleted or restored entity. */
+	bbid: string;
+
+	/** ID of the new revision. */
+	revisionId: number;
+};
+
+/**
+ * Fetches the type and the master revision of an entity.
+ * The header of the entity is locked until the end of the transaction, so that
+ * the master revision can not be replaced by a concurrent edit.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} bbid - BBID of the entity
+ * @returns {Promise<Object>} - The entity type and the master revision
+ */
+async function fetchEntityMasterRevision(orm: ORM, transacting: Transaction, bbid: string) {
+	const {Entity} = orm;
+	const entityHeader = await new Entity({bbid}).fetch({require: true, transacting});
+	const entityType: EntityTypeString = entityHeader.get('type');
+	await transacting(`bookbrainz.${_.snakeCase(entityType)}_header`)
+		.select('bbid')
+		.where('bbid', bbid)
+		.forUpdate();
+	const masterRevision = await getMasterRevision(transacting, entityType, bbid);
+	if (!masterRevision) {
+		throw new Error(`Entity ${bbid} has no revision`);
+	}
+	return {entityType, ...masterRevision};
+}
+
+/**
+ * Checks whether an entity has been merged into another entity.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} bbid - BBID of the entity
+ * @param {number} revisionId - ID of the master revision of the entity
+ * @returns {Promise<boolean>} - Whether the entity has been merged
+ */
+async function isMergedEntity(transacting: Transaction, bbid: string, revisionId: number): Promise<boolean> {
+	const [redirect, revision] = await Promise.all([
+		transacting.select('target_bbid')
+			.from('bookbrainz.entity_redirect')
+			.where('source_bbid', bbid)
+			.first(),
+		transacting.select('is_merge')
+			.from('bookbrainz.revision')
+			.where('id', revisionId)
+			.first()
+	]);
+	return Boolean(redirect || revision?.is_merge);
+}
+
+/**
+ * Returns the BBIDs of the given entities which are currently deleted.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string[]} bbids - BBIDs of the entities
+ * @returns {Promise<string[]>} - BBIDs of the deleted entities
+ */
+async function getDeletedBBIDs(transacting: Transaction, bbids: string[]): Promise<string[]> {
+	const entities = await transacting.select('bbid', 'type')
+		.from('bookbrainz.entity')
+		.whereIn('bbid', bbids);
+	const masterRevisions = await Promise.all(entities.map(({bbid, type}) =>
+		getMasterRevision(transacting, type, bbid)));
+	return entities.filter((entity, index) => !masterRevisions[index]?.dataId).map(({bbid}) => bbid);
+}
+
+/**
+ * Deletes an entity by creating a revision without data.
+ * The relationships of the entity are removed from the relationship sets of
+ * all related entities as part of the same revision, and the entity is removed
+ * from all user collections.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} bbid - BBID of the entity
+ * @param {number} editorId - ID of the editor who deletes the entity
+ * @param {string} [note] - Optional edit note for the revision
+ * @returns {Promise<DeleteEntityResult>} - BBID of the entity and ID of the new revision
+ */
+export function deleteEntity(
+	orm: ORM, bbid: string, editorId: number, note?: string
+): Promise<DeleteEntityResult> {
+	const {Revision} = orm;
+
+	return orm.bookshelf.transaction<DeleteEntityResult>(async (transacting) => {
+		const entity = await fetchEntityMasterRevision(orm, transacting, bbid);
+		if (!entity.dataId) {
+			throw new Error(`Entity ${bbid} has already been deleted`);
+		}
+
+		const relationships = await getRelationshipsOfData(orm, transacting, entity.entityType, entity.dataId);
+		const relationshipSets = await updateRelationshipSets(
+			orm, transacting, null, relationships.map((relationship) => ({...relationship, isRemoved: true}))
+		);
+
+		const revision = await new Revision({authorId: editorId}).save(null, {transacting});
+		const revisionId: number = revision.get('id');
+
+		await setMasterRevision(transacting, {bbid, dataId: null, entityType: entity.entityType, revisionId});
+		const otherParentRevisionIds = await saveRelationshipSetsOfOtherEntities(
+			transacting, relationshipSets, [bbid], revisionId
+		);
+		await transacting('bookbrainz.user_collection_item')
+			.where('bbid', bbid)
+			.del();
+		await Promise.all([
+			addRevisionParents(transacting, revisionId, [entity.revisionId, ...otherParentRevisionIds]),
+			createNote(transacting, editorId, revisionId, note),
+			incrementEditorRevisionCount(transacting, editorId)
+		]);
+
+		emitAfterCommit(orm.events, transacting, 'entity:deleted', {
+			bbid, editorId, entityType: entity.entityType, revisionId
+		});
+		return {bbid, revisionId};
+	});
+}
+
+/**
+ * Restores a deleted entity by creating a revision which points to its last
+ * data before the deletion.
+ * Relationships to entities which still exist are added back to the
+ * relationship sets of these entities, relationships to entities which have
+ * been deleted in the meantime are dropped. Collection items are not restored.
+ * Entities which have been merged into another entity can not be restored.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} bbid - BBID of the entity
+ * @param {number} editorId - ID of the editor who restores the entity
+ * @param {string} [note] - Optional edit note for the revision
+ * @returns {Promise<DeleteEntityResult>} - BBID of the entity and ID of the new revision
+ */
+export function restoreEntity(
+	orm: ORM, bbid: string, editorId: number, note?: string
+): Promise<DeleteEntityResult> {
+	const {Revision} = orm;
+
+	return orm.bookshelf.transaction<DeleteEntityResult>(async (transacting) => {
+		const entity = await fetchEntityMasterRevision(orm, transacting, bbid);
+		const {entityType} = entity;
+		if (entity.dataId) {
+			throw new Error(`Entity ${bbid} has not been deleted`);
+		}
+		if (await isMergedEntity(transacting, bbid, entity.revisionId)) {
+			throw new Error(`Entity ${bbid} has been merged and can not be restored`);
+		}
+		const lastData = await transacting.select('data_id')
+			.from(`bookbrainz.${_.snakeCase(entityType)}_revision`)
+			.where('bbid', bbid)
+			.whereNotNull('data_id')
+			.orderBy('id', 'desc')
+			.first();
+		if (!lastData) {
+			throw new Error(`Entity ${bbid} has no data which can be restored`);
+		}
+
+		const relationships = await getRelationshipsOfData(orm, transacting, entityType, lastData.data_id);
+		const deletedBBIDs = await getDeletedBBIDs(
+			transacting,
+			_.without(_.uniq(relationships.flatMap(({sourceBbid, targetBbid}) => [sourceBbid, targetBbid])), bbid)
+		);
+		const restoredRelationships = relationships.filter(({sourceBbid, targetBbid}) =>
+			!deletedBBIDs.includes(sourceBbid) && !deletedBBIDs.includes(targetBbid));
+		// The relationship set of the last data is still up to date unless relationships have to be dropped
+		const relationshipSets = await updateRelationshipSets(
+			orm, transacting, null, restoredRelationships.map((relationship) => ({...relationship, isAdded: true})),
+			deletedBBIDs.length ? [] : [bbid]
+		);
+
+		const revision = await new Revision({authorId: editorId}).save(null, {transacting});
+		const revisionId: number = revision.get('id');
+
+		// Only create new data if relationships to deleted entities have to be dropped
+		const dataId = deletedBBIDs.length ?
+			await copyDataRecord(transacting, entityType, lastData.data_id, {
+				relationshipSetId: relationshipSets[bbid] ? relationshipSets[bbid].get('id') : null
+			}) :
+			lastData.data_id;
+		await setMasterRevision(transacting, {bbid, dataId, entityType, revisionId});
+		const otherParentRevisionIds = await saveRelationshipSetsOfOtherEntities(
+			transacting, relationshipSets, [bbid], revisionId
+		);
+		await Promise.all([
+			addRevisionParents(transacting, revisionId, [entity.revisionId, ...otherParentRevisionIds]),
+			createNote(transacting, editorId, revisionId, note),
+			incrementEditorRevisionCount(transacting, editorId)
+		]);
+
+		emitAfterCommit(orm.events, transacting, 'entity:restored', {bbid, editorId, entityType, revisionId});
+		return {bbid, revisionId};
+	});
+}
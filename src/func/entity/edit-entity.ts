@@ -0,0 +1,348 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import type {AliasWithDefaultT, AliasWithIdT} from '../../types/aliases';
+import type {EntityDataT, EntityTypeString} from '../../types/entity';
+import {
+	addRevisionParents, copyDataRecord, createNote, fetchEntityWithSets, getEntitySetRelations, getLoadedSet,
+	incrementEditorRevisionCount, saveRelationshipSetsOfOtherEntities, setMasterRevision
+} from './helpers';
+import {createEditionGroupForNewEdition, promiseProps} from '../../util';
+import type {ORM} from '../..';
+import type {ParsedEntity} from '../../types/parser';
+import type {Transaction} from '../types';
+import {emitAfterCommit} from '../../events';
+import {getAdditionalEntityProps} from './misc';
+import {updateAliasSet} from '../alias';
+import {updateAnnotation} from '../annotation';
+import {updateAuthorCredit} from '../author-credit';
+import {updateDisambiguation} from '../disambiguation';
+import {updateIdentifierSet} from '../identifier';
+import {updateLanguageSet} from '../language';
+import {updatePublisherSet} from '../publisher';
+import {updateRelationshipSets} from '../relationship';
+import {updateReleaseEventSet} from '../releaseEvent';
+
+
+export type EditEntityResult = {
+
+	/** BBID of the edited entity. */
+	bbid: string;
+
+	/** Names of the entity data properties which have been changed, empty if nothing has changed. */
+	changedProps: string[];
+
+	/**
+	 * Data properties which have been changed by other revisions since the
+	 * expected base revision and have been kept, only present if the edit has
+	 * been merged with these revisions.
+	 */
+	mergedProps?: string[];
+
+	/** ID of the new revision, null if nothing has changed and no revision has been created. */
+	revisionId: number | null;
+};
+
+export type EditEntityOptions = {
+
+	/**
+	 * Merge the edit with the revisions which have been created since the base
+	 * revision if they have changed other data properties, instead of rejecting it.
+	 */
+	autoMerge?: boolean;
+
+	/**
+	 * ID of the revision which the changes are based on, usually the master
+	 * revision at the time the entity was loaded for editing.
+	 * The edit is rejected if the master revision has changed in the meantime.
+	 */
+	baseRevisionId?: number;
+};
+
+/**
+ * Thrown if an entity has been changed by another revision since the revision
+ * which an edit is based on.
+ */
+export class EditConflictError extends Error {
+	constructor(
+		message: string, public bbid: string, public baseRevisionId: number, public masterRevisionId: number,
+		public conflictingProps: string[]
+	) {
+		super(message);
+		Object.defineProperty(this, 'name', {
+			enumerable: false,
+			value: 'EditConflictError'
+		});
+	}
+}
+
+/**
+ * Adds the IDs of the stored aliases to submitted aliases with the same name,
+ * sort name, language and primary flag. Otherwise `updateAliasSet` does not
+ * recognise the default alias and creates a new set for unchanged aliases.
+ * @param {any} oldSet - The current alias set, with its aliases
+ * @param {AliasWithDefaultT[]} aliases - The submitted aliases
+ * @returns {AliasWithDefaultT[]} - The submitted aliases with the IDs of stored aliases
+ */
+function addStoredAliasIds(oldSet: any, aliases: AliasWithDefaultT[]): AliasWithDefaultT[] {
+	const storedAliases: AliasWithIdT[] = oldSet ? oldSet.related('aliases').toJSON() : [];
+	return aliases.map((alias) => {
+		const storedAlias = storedAliases.find((stored) =>
+			stored.name === alias.name &&
+			stored.sortName === alias.sortName &&
+			stored.languageId === alias.languageId &&
+			stored.primary === alias.primary);
+		return storedAlias && _.isNil(alias.id) ? {...alias, id: storedAlias.id} : alias;
+	});
+}
+
+type SetUpdaterT = {
+	change: keyof EntityDataT | 'languages' | 'releaseEvents',
+	relation: string,
+	update: (orm: ORM, transacting: Transaction, oldSet: any, newValue: any) => Promise<any>
+};
+
+/**
+ * Describes how each data set of an entity is updated, keyed by the data
+ * property which holds the ID of the set.
+ * `change` is the property of the submitted data, `relation` the relation
+ * which holds the current set.
+ */
+const SET_UPDATERS: Record<string, SetUpdaterT> = {
+	aliasSetId: {
+		change: 'alias',
+		relation: 'aliasSet',
+		update: (orm, transacting, oldSet, newValue) =>
+			updateAliasSet(
+				orm, transacting, oldSet, oldSet && oldSet.get('defaultAliasId'), addStoredAliasIds(oldSet, newValue)
+			)
+	},
+	annotationId: {
+		change: 'annotation',
+		relation: 'annotation',
+		update: (orm, transacting, oldSet, newValue) =>
+			updateAnnotation(orm, transacting, oldSet, newValue, null)
+	},
+	authorCreditId: {
+		change: 'authorCredit',
+		relation: 'authorCredit',
+		update: updateAuthorCredit
+	},
+	disambiguationId: {
+		change: 'disambiguation',
+		relation: 'disambiguation',
+		update: updateDisambiguation
+	},
+	identifierSetId: {
+		change: 'identifiers',
+		relation: 'identifierSet',
+		update: updateIdentifierSet
+	},
+	languageSetId: {
+		change: 'languages',
+		relation: 'languageSet',
+		update: updateLanguageSet
+	},
+	publisherSetId: {
+		change: 'publishers',
+		relation: 'publisherSet',
+		update: updatePublisherSet
+	},
+	releaseEventSetId: {
+		change: 'releaseEvents',
+		relation: 'releaseEventSet',
+		update: updateReleaseEventSet
+	}
+};
+
+/**
+ * Updates all data sets for which the changes contain a new value, using the
+ * existing `update*Set` helpers which return the old set if nothing has changed.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {any} entity - Bookshelf model of the entity, with all sets loaded
+ * @param {Object} changes - Changed entity data
+ * @returns {Promise<Object>} - New sets, keyed by the data property of the set ID
+ */
+function updateChangedSets(orm: ORM, transacting: Transaction, entity: any, changes: EntityDataT) {
+	const availableRelations = getEntitySetRelations(entity.get('type'))
+		.map((relation) => relation.split('.')[0]);
+
+	const setUpdates = _.transform(SET_UPDATERS, (result, {change, relation, update}, idProp) => {
+		const newValue = changes[change];
+		if (!_.isUndefined(newValue) && availableRelations.includes(relation)) {
+			result[idProp] = update(orm, transacting, getLoadedSet(entity, relation), newValue);
+		}
+	}, {} as Record<string, Promise<any>>);
+
+	return promiseProps(setUpdates);
+}
+
+/**
+ * Compares the entity type specific properties of the changes with the
+ * current entity data and returns the changed properties only.
+ * @param {Object} changes - Changed entity data
+ * @param {any} entity - Bookshelf model of the entity
+ * @returns {Object} - Changed data properties
+ */
+export function getChangedEntityProps(changes: EntityDataT, entity: any): Record<string, unknown> {
+	const props = getAdditionalEntityProps(changes as ParsedEntity, entity.get('type')) ?? {};
+	const unchangedDateProps = ['begin', 'end']
+		.filter((prefix) => _.isUndefined(props[`${prefix}Date`]))
+		.flatMap((prefix) => ['Year', 'Month', 'Day'].map((part) => `${prefix}${part}`));
+
+	return _.pickBy(
+		_.omit(props, ['beginDate', 'endDate', ...unchangedDateProps]),
+		(value, key) => !_.isUndefined(value) && !_.isEqual(value ?? null, entity.get(key) ?? null)
+	);
+}
+
+/**
+ * Returns the data properties which have been changed by the revisions since
+ * the given base revision of an entity.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} entityType - Type of the entity
+ * @param {string} bbid - BBID of the entity
+ * @param {number} baseRevisionId - ID of the base revision
+ * @param {number} masterDataId - ID of the data of the master revision
+ * @returns {Promise<string[]>} - Names of the changed data properties
+ */
+async function getPropsChangedSince(
+	transacting: Transaction, entityType: EntityTypeString, bbid: string, baseRevisionId: number,
+	masterDataId: number
+): Promise<string[]> {
+	const snakeType = _.snakeCase(entityType);
+	const baseRevision = await transacting.select('data_id')
+		.from(`bookbrainz.${snakeType}_revision`)
+		.where({bbid, id: baseRevisionId})
+		.first();
+	if (!baseRevision) {
+		throw new Error(`Revision ${baseRevisionId} is not a revision of entity ${bbid}`);
+	}
+
+	const dataRows = await transacting.select('*')
+		.from(`bookbrainz.${snakeType}_data`)
+		.whereIn('id', _.compact([baseRevision.data_id, masterDataId]));
+	const baseData = _.find(dataRows, {id: baseRevision.data_id}) ?? {};
+	const masterData = _.find(dataRows, {id: masterDataId});
+	return Object.keys(_.omit(masterData, 'id'))
+		.filter((column) => !_.isEqual(baseData[column] ?? null, masterData[column] ?? null))
+		.map((column) => _.camelCase(column));
+}
+
+/**
+ * Edits an existing entity by creating a new revision whose parent is the
+ * previous master revision of the entity.
+ * Only the sets and properties which are present in `changes` are considered,
+ * unchanged sets are reused. Relationships have to be marked with `isAdded` or
+ * `isRemoved`, the relationship sets of related entities are updated as part of
+ * the same revision.
+ * No revision is created if nothing has changed.
+ * If a base revision is passed and the entity has been changed since, an
+ * `EditConflictError` is thrown. With `autoMerge`, the edit is applied on top
+ * of the current master revision instead, unless both have changed the same
+ * data properties.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} bbid - BBID of the entity
+ * @param {EntityDataT} changes - Changed entity data
+ * @param {number} editorId - ID of the editor who edits the entity
+ * @param {string} [note] - Optional edit note for the revision
+ * @param {EditEntityOptions} [options] - Expected base revision and whether conflicting edits should be merged
+ * @returns {Promise<EditEntityResult>} - The changed properties and the ID of the new revision
+ */
+export function editEntity(
+	orm: ORM, bbid: string, changes: Partial<EntityDataT>, editorId: number, note?: string,
+	{autoMerge = false, baseRevisionId}: EditEntityOptions = {}
+): Promise<EditEntityResult> {
+	const {Revision} = orm;
+
+	return orm.bookshelf.transaction<EditEntityResult>(async (transacting) => {
+		const {entity, entityType} = await fetchEntityWithSets(orm, transacting, bbid);
+		if (!entity.get('dataId')) {
+			throw new Error(`Entity ${bbid} has been deleted and can not be edited`);
+		}
+
+		const newSets = await updateChangedSets(orm, transacting, entity, changes as EntityDataT);
+		const relationshipSets = changes.relationships ? await updateRelationshipSets(
+			orm, transacting, getLoadedSet(entity, 'relationshipSet'), changes.relationships
+		) : {};
+		const newSetIds = _.mapValues(newSets, (set) => (set ? set.get('id') : null));
+		if (_.has(relationshipSets, bbid)) {
+			newSetIds.relationshipSetId = relationshipSets[bbid] ? relationshipSets[bbid].get('id') : null;
+		}
+
+		const changedData = {
+			..._.pickBy(newSetIds, (id, idProp) => id !== (entity.get(idProp) ?? null)),
+			...getChangedEntityProps(changes as EntityDataT, entity)
+		};
+		const masterRevisionId: number = entity.get('revisionId');
+		let mergedProps: string[];
+		if (!_.isNil(baseRevisionId) && baseRevisionId !== masterRevisionId) {
+			const concurrentProps = await getPropsChangedSince(
+				transacting, entityType, bbid, baseRevisionId, entity.get('dataId')
+			);
+			const conflictingProps = _.intersection(Object.keys(changedData), concurrentProps);
+			if (!autoMerge || conflictingProps.length) {
+				throw new EditConflictError(
+					`Entity ${bbid} has been changed by revision ${masterRevisionId} since revision ${baseRevisionId}`,
+					bbid, baseRevisionId, masterRevisionId, conflictingProps
+				);
+			}
+			mergedProps = concurrentProps;
+		}
+
+		const hasOtherChanges = !_.isEmpty(_.omit(relationshipSets, bbid));
+		if (_.isEmpty(changedData) && !hasOtherChanges) {
+			return {bbid, changedProps: [], ...mergedProps && {mergedProps}, revisionId: null};
+		}
+
+		const revision = await new Revision({authorId: editorId}).save(null, {transacting});
+		const revisionId: number = revision.get('id');
+
+		if (changedData.annotationId) {
+			await newSets.annotationId.save({lastRevisionId: revisionId}, {patch: true, transacting});
+		}
+		if (entityType === 'Edition' && _.has(changedData, 'editionGroupBbid') && !changedData.editionGroupBbid) {
+			const authorCreditId = _.has(changedData, 'authorCreditId') ?
+				changedData.authorCreditId : entity.get('authorCreditId');
+			changedData.editionGroupBbid = await createEditionGroupForNewEdition(
+				orm.bookshelf, transacting, changedData.aliasSetId ?? entity.get('aliasSetId'), revisionId,
+				authorCreditId ?? null, Boolean(authorCreditId)
+			);
+		}
+
+		const dataId = await copyDataRecord(transacting, entityType, entity.get('dataId'), changedData);
+		await setMasterRevision(transacting, {bbid, dataId, entityType, revisionId});
+
+		const otherParentRevisionIds = await saveRelationshipSetsOfOtherEntities(
+			transacting, relationshipSets, [bbid], revisionId
+		);
+		await Promise.all([
+			addRevisionParents(transacting, revisionId, [masterRevisionId, ...otherParentRevisionIds]),
+			createNote(transacting, editorId, revisionId, note),
+			incrementEditorRevisionCount(transacting, editorId)
+		]);
+
+		const changedProps = Object.keys(changedData);
+		emitAfterCommit(orm.events, transacting, 'entity:edited', {
+			bbid, changedProps, editorId, entityType, revisionId
+		});
+		return {bbid, changedProps, ...mergedProps && {mergedProps}, revisionId};
+	});
+}
@@ -0,0 +1,87 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import type {EntityTypeString} from '../../types/entity';
+import type {ORM} from '../..';
+import {getEntityModelByType} from './misc';
+import {resolveRedirects} from './redirect';
+
+
+export type GetEntitiesResult = {
+
+	/** Requested BBIDs of entities which have been deleted, these are not part of `entities`. */
+	deleted: string[];
+
+	/**
+	 * Entities in JSON format, in the order of the requested BBIDs.
+	 * Redirected BBIDs are replaced by the entity they redirect to.
+	 */
+	entities: Array<Record<string, unknown>>;
+
+	/**
+	 * Requested BBIDs for which no entity of the given type exists, including
+	 * BBIDs whose redirects end in a cycle.
+	 */
+	missing: string[];
+
+	/** Requested BBIDs which redirect to another entity, mapped to the BBID of that entity. */
+	redirected: Record<string, string>;
+};
+
+/**
+ * Fetches multiple entities of the same type with related data.
+ * Redirects are resolved and all entities are fetched in a constant number of
+ * queries, independent of the number of BBIDs.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - The entity model name
+ * @param {string[]} bbids - BBIDs of the entities
+ * @param {string[]} relations - Extra model relationships to fetch along with the entities
+ * @returns {Promise<GetEntitiesResult>} - The entities in JSON format and the
+ * 		BBIDs which have been missing, redirected or deleted
+ */
+export async function getEntities(
+	orm: ORM, entityType: EntityTypeString, bbids: string[], relations: string[] = []
+): Promise<GetEntitiesResult> {
+	const Model = getEntityModelByType(orm, entityType);
+	const {targets} = await resolveRedirects(orm, bbids);
+
+	// Collections don't trigger the 'fetching' event which restricts single fetches to the master revision
+	const entityCollection = await new Model()
+		.query((qb) => qb.whereIn('bbid', _.uniq(_.values(targets))).where('master', true))
+		.fetchAll({withRelated: relations});
+	const entitiesByBbid: Record<string, Record<string, any>> = _.keyBy(entityCollection.toJSON(), 'bbid');
+
+	const result: GetEntitiesResult = {deleted: [], entities: [], missing: [], redirected: {}};
+	for (const bbid of bbids) {
+		const entity = entitiesByBbid[targets[bbid]];
+		if (targets[bbid] && targets[bbid] !== bbid) {
+			result.redirected[bbid] = targets[bbid];
+		}
+		if (!entity) {
+			result.missing.push(bbid);
+		}
+		else if (!entity.dataId) {
+			result.deleted.push(bbid);
+		}
+		else {
+			result.entities.push(entity);
+		}
+	}
+	return result;
+}
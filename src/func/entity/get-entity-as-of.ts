@@ -0,0 +1,108 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import type {EntityTypeString} from '../../types/entity';
+import type {ORM} from '../..';
+import {getEntityModelByType} from './misc';
+
+
+type EntityRevisionAsOfT = {
+
+	/** BBID of the entity which the entity had been merged into at that time, null if it was not merged. */
+	mergeTargetBbid: string | null;
+	revisionId: number;
+};
+
+/**
+ * Fetches the latest revision of an entity which has been created up to the
+ * given time. If that revision has merged the entity into another one, the
+ * BBID of the merge target is returned as well.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - The entity model name
+ * @param {string} bbid - BBID of the entity
+ * @param {Date} timestamp - Point in time
+ * @returns {Promise<EntityRevisionAsOfT | null>} - The revision, null if the entity did not exist yet
+ */
+async function getEntityRevisionAsOf(
+	orm: ORM, entityType: EntityTypeString, bbid: string, timestamp: Date
+): Promise<EntityRevisionAsOfT | null> {
+	const revisionTable = `bookbrainz.${_.snakeCase(entityType)}_revision`;
+	const {rows} = await orm.bookshelf.knex.raw(`
+		SELECT entity_revision.id,
+			CASE WHEN entity_revision.is_merge AND entity_revision.data_id IS NULL THEN (
+				SELECT merge_target.bbid FROM ${revisionTable} AS merge_target
+				WHERE merge_target.id = entity_revision.id
+					AND merge_target.is_merge AND merge_target.data_id IS NOT NULL
+			) END AS merge_target_bbid
+		FROM ${revisionTable} AS entity_revision
+		JOIN bookbrainz.revision ON revision.id = entity_revision.id
+		WHERE entity_revision.bbid = ? AND revision.created_at <= ?
+		ORDER BY entity_revision.id DESC
+		LIMIT 1`, [bbid, timestamp]);
+
+	if (!rows.length) {
+		return null;
+	}
+	return {mergeTargetBbid: rows[0].merge_target_bbid, revisionId: rows[0].id};
+}
+
+/**
+ * Fetches an entity as it was at the given point in time, from the latest
+ * revision which had been created up to that time.
+ * Redirects are followed as they existed at that time, i.e. entities which
+ * have only been merged later on are returned with their own data, while
+ * merges which have been reverted in the meantime are still followed.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - The entity model name
+ * @param {string} bbid - BBID of the entity
+ * @param {Date} timestamp - Point in time
+ * @param {string[]} relations - Extra model relationships to fetch along with the entity
+ * @returns {Promise<Object>} - The entity in JSON format, like `getEntity` returns it
+ */
+export async function getEntityAsOf(
+	orm: ORM, entityType: EntityTypeString, bbid: string, timestamp: Date, relations: string[] = []
+): Promise<Record<string, unknown>> {
+	const Model = getEntityModelByType(orm, entityType);
+
+	const visitedBbids = [];
+	let currentBbid = bbid;
+	let entityRevision: EntityRevisionAsOfT;
+	for (;;) {
+		if (visitedBbids.includes(currentBbid)) {
+			throw new Error(`Redirects of ${bbid} end in a cycle: ${[...visitedBbids, currentBbid].join(' -> ')}`);
+		}
+		visitedBbids.push(currentBbid);
+		// eslint-disable-next-line no-await-in-loop
+		entityRevision = await getEntityRevisionAsOf(orm, entityType, currentBbid, timestamp);
+		if (!entityRevision) {
+			throw new Error(`${entityType} ${currentBbid} did not exist at ${timestamp.toISOString()}`);
+		}
+		if (!entityRevision.mergeTargetBbid) {
+			break;
+		}
+		currentBbid = entityRevision.mergeTargetBbid;
+	}
+
+	const entity = await new Model({bbid: currentBbid, revisionId: entityRevision.revisionId})
+		.fetch({
+			require: true,
+			withRelated: relations
+		});
+	return entity.toJSON();
+}
@@ -0,0 +1,314 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import type {FormRelationshipT, Transaction} from '../types';
+import type {EntityTypeString} from '../../types/entity';
+import type {ORM} from '../..';
+import {camelToSnake} from '../../util';
+import {getEntityModelByType} from './misc';
+
+
+/** Data ID and revision ID of the master revision of an entity. */
+export type MasterRevisionT = {
+	dataId: number | null;
+	revisionId: number;
+};
+
+/**
+ * Inserts a new entity data record.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} entityType - Type of the entity the data belongs to
+ * @param {Object} dataProps - Set IDs and entity type specific properties
+ * @returns {Promise<number>} - ID of the new data record
+ */
+export async function createDataRecord(
+	transacting: Transaction, entityType: EntityTypeString, dataProps: Record<string, unknown>
+): Promise<number> {
+	const [idObj] = await transacting.insert(camelToSnake(dataProps))
+		.into(`bookbrainz.${_.snakeCase(entityType)}_data`)
+		.returning('id');
+	return _.get(idObj, 'id');
+}
+
+/**
+ * Inserts a copy of an existing entity data record with some of its
+ * properties changed.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} entityType - Type of the entity the data belongs to
+ * @param {number} dataId - ID of the data record which should be copied
+ * @param {Object} changes - Properties which should be changed in the copy
+ * @returns {Promise<number>} - ID of the new data record
+ */
+export async function copyDataRecord(
+	transacting: Transaction, entityType: EntityTypeString, dataId: number,
+	changes: Record<string, unknown>
+): Promise<number> {
+	const table = `bookbrainz.${_.snakeCase(entityType)}_data`;
+	const record = await transacting.select('*').from(table).where('id', dataId).first();
+	if (!record) {
+		throw new Error(`Data record ${dataId} of type ${entityType} does not exist`);
+	}
+	const [idObj] = await transacting.insert({..._.omit(record, 'id'), ...camelToSnake(changes)})
+		.into(table)
+		.returning('id');
+	return _.get(idObj, 'id');
+}
+
+/**
+ * Fetches the master revision of an entity directly from its header.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} entityType - Type of the entity
+ * @param {string} bbid - BBID of the entity
+ * @returns {Promise<MasterRevisionT | null>} - The master revision, null if the
+ * 		entity has no header or no master revision
+ */
+export async function getMasterRevision(
+	transacting: Transaction, entityType: EntityTypeString, bbid: string
+): Promise<MasterRevisionT | null> {
+	const snakeType = _.snakeCase(entityType);
+	const row = await transacting.select('r.id', 'r.data_id')
+		.from(`bookbrainz.${snakeType}_header as h`)
+		.join(`bookbrainz.${snakeType}_revision as r`, (join) => {
+			join.on('r.id', 'h.master_revision_id').andOn('r.bbid', 'h.bbid');
+		})
+		.where('h.bbid', bbid)
+		.first();
+	if (!row) {
+		return null;
+	}
+	return {dataId: row.data_id, revisionId: row.id};
+}
+
+/**
+ * Creates an entity revision which points to the given data and makes it the
+ * master revision of the entity.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {Object} revisionProps - Properties of the entity revision
+ * @param {string} revisionProps.bbid - BBID of the entity
+ * @param {number | null} revisionProps.dataId - Data of the new revision, null for deleted entities
+ * @param {string} revisionProps.entityType - Type of the entity
+ * @param {boolean} [revisionProps.isMerge] - Whether the revision is part of a merge
+ * @param {boolean} [revisionProps.isNew] - Whether the entity header has to be created first
+ * @param {number} revisionProps.revisionId - ID of the revision
+ */
+export async function setMasterRevision(transacting: Transaction, {
+	bbid, dataId, entityType, isMerge = false, isNew = false, revisionId
+}: {
+	bbid: string,
+	dataId: number | null,
+	entityType: EntityTypeString,
+	isMerge?: boolean,
+	isNew?: boolean,
+	revisionId: number
+}) {
+	const snakeType = _.snakeCase(entityType);
+	if (isNew) {
+		await transacting.insert({bbid}).into(`bookbrainz.${snakeType}_header`);
+	}
+	await transacting.insert(camelToSnake({bbid, dataId, id: revisionId, isMerge}))
+		.into(`bookbrainz.${snakeType}_revision`);
+	// Update the entity header with the revision, doing this earlier causes a FK constraint violation
+	await transacting(`bookbrainz.${snakeType}_header`)
+		.where('bbid', bbid)
+		.update('master_revision_id', revisionId);
+}
+
+/**
+ * Links a revision to its parent revisions.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {number} revisionId - ID of the child revision
+ * @param {number[]} parentIds - IDs of the parent revisions, duplicates and empty values are ignored
+ * @returns {Promise} - Resolves once all parents have been linked
+ */
+export async function addRevisionParents(
+	transacting: Transaction, revisionId: number, parentIds: Array<number | null | undefined>
+) {
+	const uniqueParentIds = _.uniq(_.compact(parentIds));
+	if (!uniqueParentIds.length) {
+		return;
+	}
+	await transacting.insert(uniqueParentIds.map((parentId) => camelToSnake({childId: revisionId, parentId})))
+		.into('bookbrainz.revision_parent');
+}
+
+/**
+ * Increments the revision counters of an editor after an applied revision.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {number} editorId - ID of the editor
+ * @returns {Promise} - Resolves once the editor has been updated
+ */
+export function incrementEditorRevisionCount(transacting: Transaction, editorId: number) {
+	return transacting('bookbrainz.editor')
+		.where('id', editorId)
+		.update(camelToSnake({
+			revisionsApplied: transacting.raw('revisions_applied + 1'),
+			totalRevisions: transacting.raw('total_revisions + 1')
+		}));
+}
+
+/**
+ * Creates an edit note for a revision, empty notes are skipped.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {number} editorId - ID of the editor who wrote the note
+ * @param {number} revisionId - ID of the revision
+ * @param {string} content - Content of the note
+ * @returns {Promise} - Resolves once the note has been created
+ */
+export async function createNote(
+	transacting: Transaction, editorId: number, revisionId: number, content?: string
+) {
+	if (!_.trim(content)) {
+		return;
+	}
+	await transacting.insert(camelToSnake({authorId: editorId, content, revisionId}))
+		.into('bookbrainz.note');
+}
+
+/**
+ * Saves the relationship sets which have been created by `updateRelationshipSets`
+ * for entities other than the edited entity, by creating a new entity revision
+ * for each of them as part of the given revision.
+ * Entities which are deleted are skipped.
+ * The caller is responsible for linking the revision to the returned parents,
+ * since they may overlap with the parents of the edited entity.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {Object} relationshipSets - A {BBID: RelationshipSet} map
+ * @param {string[]} excludedBBIDs - BBIDs of the entities which are handled by the caller
+ * @param {number} revisionId - ID of the revision
+ * @returns {Promise<number[]>} - IDs of the previous master revisions of the updated entities
+ */
+export async function saveRelationshipSetsOfOtherEntities(
+	transacting: Transaction, relationshipSets: Record<string, any>,
+	excludedBBIDs: string[], revisionId: number
+): Promise<number[]> {
+	const bbids = _.difference(Object.keys(relationshipSets), excludedBBIDs);
+	if (!bbids.length) {
+		return [];
+	}
+
+	const entities = await transacting.select('bbid', 'type')
+		.from('bookbrainz.entity')
+		.whereIn('bbid', bbids);
+
+	const parentRevisionIds = await Promise.all(entities.map(async ({bbid, type}) => {
+		const masterRevision = await getMasterRevision(transacting, type, bbid);
+		if (!masterRevision?.dataId) {
+			return null;
+		}
+		const relationshipSet = relationshipSets[bbid];
+		const dataId = await copyDataRecord(transacting, type, masterRevision.dataId, {
+			relationshipSetId: relationshipSet ? relationshipSet.get('id') : null
+		});
+		await setMasterRevision(transacting, {bbid, dataId, entityType: type, revisionId});
+		return masterRevision.revisionId;
+	}));
+
+	return _.compact(parentRevisionIds);
+}
+
+/**
+ * Fetches the relationships of the relationship set which belongs to an entity data record.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} entityType - Type of the entity
+ * @param {number | null} dataId - ID of the data record
+ * @returns {Promise<FormRelationshipT[]>} - The relationships, empty for deleted entities
+ */
+export async function getRelationshipsOfData(
+	orm: ORM, transacting: Transaction, entityType: EntityTypeString, dataId: number | null
+): Promise<FormRelationshipT[]> {
+	const {RelationshipSet} = orm;
+	const data = dataId && await transacting.select('relationship_set_id')
+		.from(`bookbrainz.${_.snakeCase(entityType)}_data`)
+		.where('id', dataId)
+		.first();
+	if (!data?.relationship_set_id) {
+		return [];
+	}
+	const relationshipSet = await new RelationshipSet({id: data.relationship_set_id})
+		.fetch({require: true, transacting, withRelated: ['relationships']});
+	return relationshipSet.related('relationships').toJSON().map((relationship) =>
+		_.pick(relationship, ['attributeSetId', 'id', 'sourceBbid', 'targetBbid', 'typeId']));
+}
+
+/** Relations which hold the data sets of all entity types. */
+const COMMON_SET_RELATIONS = [
+	'aliasSet.aliases', 'annotation', 'disambiguation', 'identifierSet.identifiers',
+	'relationshipSet.relationships'
+];
+
+/** Relations which hold the data sets which only some entity types have. */
+const EXTRA_SET_RELATIONS: Partial<Record<EntityTypeString, string[]>> = {
+	Edition: [
+		'authorCredit.names', 'languageSet.languages', 'publisherSet.publishers',
+		'releaseEventSet.releaseEvents'
+	],
+	EditionGroup: ['authorCredit.names'],
+	Work: ['languageSet.languages']
+};
+
+/**
+ * Returns the relations which have to be loaded to get all data sets (and
+ * their items) of an entity of the given type.
+ * @param {string} entityType - Type of the entity
+ * @returns {string[]} - Relations which can be passed to `withRelated`
+ */
+export function getEntitySetRelations(entityType: EntityTypeString): string[] {
+	return [...COMMON_SET_RELATIONS, ...EXTRA_SET_RELATIONS[entityType] ?? []];
+}
+
+/**
+ * Returns an eager loaded relation of an entity, or null if the entity has no
+ * such set.
+ * @param {any} entity - Bookshelf model of the entity
+ * @param {string} relation - Name of the relation
+ * @returns {any} - Bookshelf model of the related set or null
+ */
+export function getLoadedSet(entity: any, relation: string) {
+	const set = entity.related(relation);
+	return set && !_.isNil(set.id) ? set : null;
+}
+
+/**
+ * Fetches the master revision of an entity of any type, with all of its data
+ * sets loaded.
+ * The header of the entity is locked until the end of the transaction, so that
+ * concurrent edits of the same entity are serialized and the fetched master
+ * revision can not be replaced before the transaction is committed.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} bbid - BBID of the entity
+ * @returns {Promise<Object>} - The entity type and the Bookshelf model of the entity
+ */
+export async function fetchEntityWithSets(
+	orm: ORM, transacting: Transaction, bbid: string
+): Promise<{entity: any, entityType: EntityTypeString}> {
+	const {Entity} = orm;
+	const entityHeader = await new Entity({bbid}).fetch({require: true, transacting});
+	const entityType: EntityTypeString = entityHeader.get('type');
+	const Model = getEntityModelByType(orm, entityType);
+	await transacting(`bookbrainz.${_.snakeCase(entityType)}_header`)
+		.select('bbid')
+		.where('bbid', bbid)
+		.forUpdate();
+	const entity = await new Model({bbid}).fetch({
+		require: true, transacting, withRelated: getEntitySetRelations(entityType)
+	});
+	return {entity, entityType};
+}
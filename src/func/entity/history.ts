@@ -0,0 +1,133 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import type {EntityTypeString} from '../../types/entity';
+import type {ORM} from '../..';
+import {getEntityModelByType} from './misc';
+
+
+export type EntityHistoryEntryT = {
+
+	/** Author of the revision. */
+	author: {id: number, name: string};
+
+	/** BBIDs of the entity (or the entities merged into it) which have been changed by the revision. */
+	bbids: string[];
+
+	createdAt: Date;
+
+	isMerge: boolean;
+
+	noteCount: number;
+
+	parentIds: number[];
+
+	revisionId: number;
+};
+
+export type EntityHistoryT = {
+
+	/** Cursor for the next page, null if there are no older revisions. */
+	nextCursor: number | null;
+
+	/** Revisions of the entity, newest first. */
+	revisions: EntityHistoryEntryT[];
+};
+
+export type EntityHistoryOptions = {
+
+	/** Only revisions older than this revision ID are returned, pass `nextCursor` of the previous page. */
+	cursor?: number | null;
+
+	/** Maximum number of revisions per page. */
+	limit?: number;
+};
+
+/**
+ * Collects the BBID of an entity and the BBIDs of all entities which have been
+ * merged into it in `history_bbid`, by following the redirects backwards.
+ * Has to be part of a `WITH RECURSIVE` clause, the BBID is its only binding.
+ */
+export const HISTORY_BBID_QUERY = `
+	history_bbid(bbid) AS (
+		SELECT ?::uuid
+		UNION
+		SELECT entity_redirect.source_bbid
+		FROM bookbrainz.entity_redirect
+		JOIN history_bbid ON entity_redirect.target_bbid = history_bbid.bbid
+	)`;
+
+/**
+ * Fetches the revision history of an entity, newest revisions first.
+ * The history of all entities which have been merged into the entity is
+ * included, by following the redirects to the entity backwards.
+ * Pages are determined by revision ID rather than by offset, so that new
+ * revisions don't shift the following pages.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - The entity model name
+ * @param {string} bbid - BBID of the entity
+ * @param {EntityHistoryOptions} [options] - Page size and cursor of the page
+ * @returns {Promise<EntityHistoryT>} - A page of revisions and the cursor of the next page
+ */
+export async function getEntityHistory(
+	orm: ORM, entityType: EntityTypeString, bbid: string, {cursor = null, limit = 20}: EntityHistoryOptions = {}
+): Promise<EntityHistoryT> {
+	// Throws for invalid entity types, which are interpolated into the query below
+	getEntityModelByType(orm, entityType);
+	if (!Number.isInteger(limit) || limit < 1) {
+		throw new Error('Limit has to be a positive integer');
+	}
+
+	const {rows} = await orm.bookshelf.knex.raw(`
+		WITH RECURSIVE ${HISTORY_BBID_QUERY}, history_revision AS (
+			SELECT entity_revision.id, array_agg(entity_revision.bbid ORDER BY entity_revision.bbid) AS bbids
+			FROM bookbrainz.${_.snakeCase(entityType)}_revision AS entity_revision
+			WHERE entity_revision.bbid IN (SELECT bbid FROM history_bbid)
+				AND (?::int IS NULL OR entity_revision.id < ?::int)
+			GROUP BY entity_revision.id
+			ORDER BY entity_revision.id DESC
+			LIMIT ?
+		)
+		SELECT revision.id, revision.author_id, editor.name AS author_name, revision.created_at,
+			revision.is_merge, history_revision.bbids,
+			(SELECT count(*) FROM bookbrainz.note WHERE note.revision_id = revision.id)::int AS note_count,
+			ARRAY(
+				SELECT parent_id FROM bookbrainz.revision_parent
+				WHERE child_id = revision.id ORDER BY parent_id
+			) AS parent_ids
+		FROM history_revision
+		JOIN bookbrainz.revision ON revision.id = history_revision.id
+		JOIN bookbrainz.editor ON editor.id = revision.author_id
+		ORDER BY revision.id DESC`, [bbid, cursor, cursor, limit + 1]);
+
+	const revisions: EntityHistoryEntryT[] = _.take(rows, limit).map((row: Record<string, any>) => ({
+		author: {id: row.author_id, name: row.author_name},
+		bbids: row.bbids,
+		createdAt: row.created_at,
+		isMerge: row.is_merge,
+		noteCount: row.note_count,
+		parentIds: row.parent_ids,
+		revisionId: row.id
+	}));
+
+	return {
+		nextCursor: rows.length > limit ? _.last(revisions).revisionId : null,
+		revisions
+	};
+}
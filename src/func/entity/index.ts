@@ -0,0 +1,35 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+export {
+	getAdditionalEntityProps, getEntity, getEntityModelByType, getEntityModels,
+	getEntityParentAlias, recursivelyGetRedirectBBID
+} from './misc';
+export {type CreateEntityResult, createEntity} from './create-entity';
+export {EditConflictError, type EditEntityOptions, type EditEntityResult, editEntity} from './edit-entity';
+export {type MergeEntitiesResult, mergeEntities} from './merge-entities';
+export {type MergeConflictT, type MergePreviewT, previewMerge} from './preview-merge';
+export {type DeleteEntityResult, deleteEntity, restoreEntity} from './delete-entity';
+export {
+	type FlattenedRedirectsT, type ResolvedRedirectsT, flattenRedirects, resolveRedirects
+} from './redirect';
+export {type GetEntitiesResult, getEntities} from './get-entities';
+export {
+	type EntityHistoryEntryT, type EntityHistoryOptions, type EntityHistoryT, getEntityHistory
+} from './history';
+export {getEntityAsOf} from './get-entity-as-of';
@@ -0,0 +1,482 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import type {FormRelationshipT, Transaction} from '../types';
+import {
+	addRevisionParents, copyDataRecord, createNote, fetchEntityWithSets, getLoadedSet, getMasterRevision,
+	incrementEditorRevisionCount, saveRelationshipSetsOfOtherEntities, setMasterRevision
+} from './helpers';
+import type {AliasWithDefaultT} from '../../types/aliases';
+import type {EntityTypeString} from '../../types/entity';
+import type {IdentifierT} from '../../types/identifiers';
+import type {ORM} from '../..';
+import {camelToSnake} from '../../util';
+import {emitAfterCommit} from '../../events';
+import {getAddedItems} from '../set';
+import {updateAliasSet} from '../alias';
+import {updateIdentifierSet} from '../identifier';
+import {updatePublisherSet} from '../publisher';
+import {updateRelationshipSets} from '../relationship';
+
+
+export type MergeEntitiesResult = {
+
+	/** BBID of the entity into which the other entities have been merged. */
+	bbid: string;
+
+	/** BBIDs of the entities which have been merged and now redirect to the target. */
+	mergedBbids: string[];
+
+	/** ID of the merge revision. */
+	revisionId: number;
+};
+
+/** Relationship which has to be passed to `updateRelationshipSets`. */
+export type RelationshipChangeT = FormRelationshipT & {
+	isAdded?: boolean,
+	isRemoved?: boolean
+};
+
+/** Entities which take part in a merge, with all of their data sets loaded. */
+export type MergedEntitiesT = {
+	entityType: EntityTypeString,
+	sources: any[],
+	target: any
+};
+
+/** Type of the merged entities and BBIDs of the target and the sources. */
+type MergedBBIDsT = {
+	entityType: EntityTypeString,
+	sourceBbids: string[],
+	targetBbid: string
+};
+
+/** Relationship changes which move the relationships of the merged entities to the target. */
+export type MergedRelationshipChangesT = {
+
+	/** Relationships of the sources, pointing to the target instead. */
+	added: FormRelationshipT[],
+
+	/** Relationships which would be duplicates of other relationships of the target. */
+	duplicates: FormRelationshipT[],
+
+	/** All relationships of the sources, which are removed from all sets. */
+	removed: FormRelationshipT[],
+
+	/** Relationships between the merged entities, which would point from the target to itself. */
+	selfReferences: FormRelationshipT[]
+};
+
+/**
+ * Returns the items of an eager loaded set of an entity.
+ * @param {Object} entity - Entity in JSON format
+ * @param {string} setRelation - Name of the set relation
+ * @param {string} itemsRelation - Name of the items relation of the set
+ * @returns {Array} - Items of the set, empty if the entity has no such set
+ */
+export function getSetItems(entity: Record<string, any>, setRelation: string, itemsRelation: string): any[] {
+	return entity[setRelation]?.[itemsRelation] ?? [];
+}
+
+/**
+ * Returns whether two relationships are the same, ignoring their IDs.
+ * @param {FormRelationshipT} obj - First relationship
+ * @param {FormRelationshipT} other - Second relationship
+ * @returns {boolean} - Whether both relationships are the same
+ */
+export function isSameRelationship(obj: FormRelationshipT, other: FormRelationshipT) {
+	return obj.typeId === other.typeId &&
+		obj.sourceBbid === other.sourceBbid &&
+		obj.targetBbid === other.targetBbid &&
+		(obj.attributeSetId ?? null) === (other.attributeSetId ?? null);
+}
+
+function isSameAlias(obj: AliasWithDefaultT, other: AliasWithDefaultT) {
+	return obj.name === other.name && obj.sortName === other.sortName && obj.languageId === other.languageId;
+}
+
+function isSameIdentifier(obj: IdentifierT, other: IdentifierT) {
+	return obj.typeId === other.typeId && obj.value === other.value;
+}
+
+/**
+ * Returns the aliases of all merged entities. The default alias of the target
+ * stays the default alias, aliases of the sources are appended.
+ * @param {Object} target - Target entity in JSON format
+ * @param {Object[]} sources - Source entities in JSON format
+ * @returns {AliasWithDefaultT[]} - Aliases which can be passed to `updateAliasSet`
+ */
+export function getMergedAliases(target: Record<string, any>, sources: Record<string, any>[]): AliasWithDefaultT[] {
+	const targetAliases = getSetItems(target, 'aliasSet', 'aliases').map((alias): AliasWithDefaultT => ({
+		..._.pick(alias, ['id', 'languageId', 'name', 'primary', 'sortName']),
+		default: alias.id === target.defaultAliasId
+	}));
+	const sourceAliases = sources
+		.flatMap((source) => getSetItems(source, 'aliasSet', 'aliases'))
+		.map((alias): AliasWithDefaultT => ({
+			..._.pick(alias, ['languageId', 'name', 'primary', 'sortName']),
+			default: false
+		}));
+
+	return [...targetAliases, ...getAddedItems(targetAliases, sourceAliases, isSameAlias)];
+}
+
+/**
+ * Returns the identifiers of all merged entities, without duplicates.
+ * @param {Object} target - Target entity in JSON format
+ * @param {Object[]} sources - Source entities in JSON format
+ * @returns {IdentifierT[]} - Identifiers which can be passed to `updateIdentifierSet`
+ */
+export function getMergedIdentifiers(target: Record<string, any>, sources: Record<string, any>[]): IdentifierT[] {
+	const [targetIdentifiers, sourceIdentifiers] = [[target], sources].map((entities) => entities
+		.flatMap((entity) => getSetItems(entity, 'identifierSet', 'identifiers'))
+		.map((identifier) => _.pick(identifier, ['typeId', 'value']) as IdentifierT));
+
+	return [...targetIdentifiers, ...getAddedItems(targetIdentifiers, sourceIdentifiers, isSameIdentifier)];
+}
+
+/**
+ * Returns the relationship changes which move all relationships of the source
+ * entities to the target entity.
+ * Relationships which would become self-references of the target (between the
+ * merged entities) or duplicates of existing relationships are not added.
+ * @param {Object} target - Target entity in JSON format
+ * @param {Object[]} sources - Source entities in JSON format
+ * @returns {MergedRelationshipChangesT} - Added, removed and dropped relationships
+ */
+export function getMergedRelationshipChanges(
+	target: Record<string, any>, sources: Record<string, any>[]
+): MergedRelationshipChangesT {
+	const mergedBbids = [target.bbid, ..._.map(sources, 'bbid')];
+	function repoint(bbid: string) {
+		return mergedBbids.includes(bbid) ? target.bbid : bbid;
+	}
+
+	const targetRelationships: FormRelationshipT[] = getSetItems(target, 'relationshipSet', 'relationships');
+	const sourceRelationships: FormRelationshipT[] = _.uniqBy(
+		sources.flatMap((source) => getSetItems(source, 'relationshipSet', 'relationships')),
+		'id'
+	).map((relationship) => _.pick(relationship, ['attributeSetId', 'id', 'sourceBbid', 'targetBbid', 'typeId']));
+
+	const changes: MergedRelationshipChangesT = {
+		added: [], duplicates: [], removed: sourceRelationships, selfReferences: []
+	};
+	for (const relationship of sourceRelationships) {
+		const repointed = {
+			...relationship,
+			sourceBbid: repoint(relationship.sourceBbid),
+			targetBbid: repoint(relationship.targetBbid)
+		};
+		if (repointed.sourceBbid === repointed.targetBbid) {
+			changes.selfReferences.push(relationship);
+		}
+		else if ([...targetRelationships, ...changes.added].some((other) => isSameRelationship(repointed, other))) {
+			changes.duplicates.push(relationship);
+		}
+		else {
+			changes.added.push(repointed);
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Checks whether the given BBIDs can be used for a merge.
+ * @param {string} targetBbid - BBID of the entity which will be kept
+ * @param {string[]} sourceBbids - BBIDs of the entities which will be merged into the target
+ * @throws {Error} Throws if no sources are given or the BBIDs are not distinct
+ */
+export function validateMergedBBIDs(targetBbid: string, sourceBbids: string[]) {
+	if (_.isEmpty(sourceBbids)) {
+		throw new Error('At least one entity has to be merged into the target');
+	}
+	if (sourceBbids.includes(targetBbid) || _.uniq(sourceBbids).length !== sourceBbids.length) {
+		throw new Error('Merged entities have to be distinct');
+	}
+}
+
+/**
+ * Checks whether the fetched entities can be merged, i.e. whether all of them
+ * have the same type and none of them has been deleted or merged before.
+ * @param {string[]} bbids - Requested BBIDs of the target and the sources
+ * @param {Object[]} entities - Fetched entities in JSON format, in the same order
+ * @throws {Error} Throws if any of the entities can not be merged
+ */
+export function validateMergedEntities(bbids: string[], entities: Record<string, any>[]) {
+	const [{type: entityType}] = entities;
+	entities.forEach((entity, index) => {
+		if (entity.bbid !== bbids[index]) {
+			throw new Error(`Entity ${bbids[index]} has already been merged into ${entity.bbid}`);
+		}
+		if (entity.type !== entityType) {
+			throw new Error(`Entity ${entity.bbid} is not of type ${entityType}`);
+		}
+		if (!entity.dataId) {
+			throw new Error(`Entity ${entity.bbid} has been deleted and can not be merged`);
+		}
+	});
+}
+
+/**
+ * Fetches the target and source entities of a merge and checks whether they
+ * can be merged.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} targetBbid - BBID of the entity which will be kept
+ * @param {string[]} sourceBbids - BBIDs of the entities which will be merged into the target
+ * @returns {Promise<MergedEntitiesT>} - The entity type and the entity models
+ */
+export async function fetchMergedEntities(
+	orm: ORM, transacting: Transaction, targetBbid: string, sourceBbids: string[]
+): Promise<MergedEntitiesT> {
+	validateMergedBBIDs(targetBbid, sourceBbids);
+
+	// Headers are locked one after another in the order of the BBIDs, so that concurrent merges can not deadlock
+	const fetchedEntities: Record<string, {entity: any, entityType: EntityTypeString}> = {};
+	for (const bbid of _.sortBy([targetBbid, ...sourceBbids])) {
+		// eslint-disable-next-line no-await-in-loop
+		fetchedEntities[bbid] = await fetchEntityWithSets(orm, transacting, bbid);
+	}
+	const [target, ...sources] = [targetBbid, ...sourceBbids].map((bbid) => fetchedEntities[bbid]);
+	validateMergedEntities(
+		[targetBbid, ...sourceBbids],
+		[target, ...sources].map(({entity}) => entity.toJSON())
+	);
+
+	return {entityType: target.entityType, sources: _.map(sources, 'entity'), target: target.entity};
+}
+
+/**
+ * Moves the collection items of the source entities to the target entity.
+ * Collections which already contain the target keep their existing item.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} targetBbid - BBID of the target entity
+ * @param {string[]} sourceBbids - BBIDs of the source entities
+ */
+async function moveCollectionItems(transacting: Transaction, targetBbid: string, sourceBbids: string[]) {
+	const [sourceItems, targetItems] = await Promise.all([
+		transacting.select('collection_id', 'added_at')
+			.from('bookbrainz.user_collection_item')
+			.whereIn('bbid', sourceBbids)
+			.orderBy('added_at'),
+		transacting.select('collection_id')
+			.from('bookbrainz.user_collection_item')
+			.where('bbid', targetBbid)
+	]);
+	const targetCollectionIds = _.map(targetItems, 'collection_id');
+	const movedItems = _.uniqBy(sourceItems, 'collection_id')
+		.filter((item) => !targetCollectionIds.includes(item.collection_id))
+		.map((item) => ({...item, bbid: targetBbid}));
+
+	await transacting('bookbrainz.user_collection_item')
+		.whereIn('bbid', sourceBbids)
+		.del();
+	if (movedItems.length) {
+		await transacting.insert(movedItems).into('bookbrainz.user_collection_item');
+	}
+}
+
+/**
+ * Makes an edition which refers to merged entities refer to the target instead.
+ * Editions of merged Edition Groups are moved to the target and merged
+ * Publishers are replaced by the target in the publisher set of the edition.
+ * A new revision of the edition is created as part of the merge revision, or
+ * the data of the revision is changed if the merge revision has already
+ * created one (for changed relationships).
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} bbid - BBID of the edition
+ * @param {MergedBBIDsT} merge - Type and BBIDs of the merged entities
+ * @param {number} revisionId - ID of the merge revision
+ * @returns {Promise<number | null>} - ID of the previous master revision of the edition, null if there is none
+ */
+async function repointEdition(
+	orm: ORM, transacting: Transaction, bbid: string, merge: MergedBBIDsT, revisionId: number
+): Promise<number | null> {
+	const {entityType, sourceBbids, targetBbid} = merge;
+	const masterRevision = await getMasterRevision(transacting, 'Edition', bbid);
+	if (!masterRevision?.dataId) {
+		return null;
+	}
+	const data = await transacting.select('edition_group_bbid', 'publisher_set_id')
+		.from('bookbrainz.edition_data')
+		.where('id', masterRevision.dataId)
+		.first();
+
+	let changes: Record<string, unknown>;
+	if (entityType === 'EditionGroup') {
+		changes = {editionGroupBbid: targetBbid};
+	}
+	else {
+		const publisherBbids: string[] = await transacting.pluck('publisher_bbid')
+			.from('bookbrainz.publisher_set__publisher')
+			.where('set_id', data.publisher_set_id);
+		const repointedBbids = _.uniq(publisherBbids.map((publisherBbid) =>
+			(sourceBbids.includes(publisherBbid) ? targetBbid : publisherBbid)));
+		const publisherSet = await updatePublisherSet(
+			orm, transacting, null, repointedBbids.map((publisherBbid) => ({bbid: publisherBbid}))
+		);
+		changes = {publisherSetId: publisherSet.get('id')};
+	}
+
+	if (masterRevision.revisionId === revisionId) {
+		await transacting('bookbrainz.edition_data')
+			.where('id', masterRevision.dataId)
+			.update(camelToSnake(changes));
+		return null;
+	}
+	const dataId = await copyDataRecord(transacting, 'Edition', masterRevision.dataId, changes);
+	await setMasterRevision(transacting, {bbid, dataId, entityType: 'Edition', revisionId});
+	return masterRevision.revisionId;
+}
+
+/**
+ * Makes all editions which refer to the merged entities (as Edition Group or
+ * as Publisher) refer to the target instead, as part of the merge revision.
+ * The headers of the editions are locked in the order of their BBIDs.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {MergedBBIDsT} merge - Type and BBIDs of the merged entities
+ * @param {number} revisionId - ID of the merge revision
+ * @returns {Promise<number[]>} - IDs of the previous master revisions of the updated editions
+ */
+async function repointEditions(
+	orm: ORM, transacting: Transaction, merge: MergedBBIDsT, revisionId: number
+): Promise<number[]> {
+	const {entityType, sourceBbids} = merge;
+	if (entityType !== 'EditionGroup' && entityType !== 'Publisher') {
+		return [];
+	}
+	const query = transacting.distinct('edition.bbid')
+		.from('bookbrainz.edition')
+		.where('edition.master', true)
+		.whereNotNull('edition.data_id');
+	if (entityType === 'EditionGroup') {
+		query.whereIn('edition.edition_group_bbid', sourceBbids);
+	}
+	else {
+		query.join(
+			'bookbrainz.publisher_set__publisher as set_publisher', 'set_publisher.set_id', 'edition.publisher_set_id'
+		)
+			.whereIn('set_publisher.publisher_bbid', sourceBbids);
+	}
+	const editionBbids: string[] = _.map(await query, 'bbid');
+	if (!editionBbids.length) {
+		return [];
+	}
+
+	await transacting('bookbrainz.edition_header')
+		.select('bbid')
+		.whereIn('bbid', editionBbids)
+		.orderBy('bbid')
+		.forUpdate();
+	const parentRevisionIds = await Promise.all(editionBbids.map((bbid) =>
+		repointEdition(orm, transacting, bbid, merge, revisionId)));
+	return _.compact(parentRevisionIds);
+}
+
+/**
+ * Merges the source entities into the target entity as part of a single merge
+ * revision.
+ * Aliases, identifiers and relationships of the sources are added to the sets
+ * of the target, the relationship sets of related entities are updated to point
+ * to the target. Author credits (for Authors) and collection items are moved to
+ * the target as well. Editions of merged Edition Groups and Publishers get a new
+ * revision (as part of the merge revision) which refers to the target instead.
+ * The source entities are deleted and redirect to the target afterwards.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} targetBbid - BBID of the entity which will be kept
+ * @param {string[]} sourceBbids - BBIDs of the entities which will be merged into the target
+ * @param {number} editorId - ID of the editor who merges the entities
+ * @param {string} [note] - Optional edit note for the revision
+ * @returns {Promise<MergeEntitiesResult>} - BBIDs of the merged entities and ID of the merge revision
+ */
+export function mergeEntities(
+	orm: ORM, targetBbid: string, sourceBbids: string[], editorId: number, note?: string
+): Promise<MergeEntitiesResult> {
+	const {Revision} = orm;
+
+	return orm.bookshelf.transaction<MergeEntitiesResult>(async (transacting) => {
+		const {entityType, sources, target} = await fetchMergedEntities(orm, transacting, targetBbid, sourceBbids);
+
+		const [targetJSON, ...sourcesJSON] = [target, ...sources].map((entity) => entity.toJSON());
+		const {added, removed} = getMergedRelationshipChanges(targetJSON, sourcesJSON);
+		const [aliasSet, identifierSet, relationshipSets] = await Promise.all([
+			updateAliasSet(
+				orm, transacting, getLoadedSet(target, 'aliasSet'), target.get('defaultAliasId'),
+				getMergedAliases(targetJSON, sourcesJSON)
+			),
+			updateIdentifierSet(
+				orm, transacting, getLoadedSet(target, 'identifierSet'), getMergedIdentifiers(targetJSON, sourcesJSON)
+			),
+			updateRelationshipSets(orm, transacting, null, [
+				...removed.map((relationship) => ({...relationship, isRemoved: true})),
+				...added.map((relationship) => ({...relationship, isAdded: true}))
+			] as RelationshipChangeT[])
+		]);
+
+		const revision = await new Revision({authorId: editorId, isMerge: true}).save(null, {transacting});
+		const revisionId: number = revision.get('id');
+
+		const changedData: Record<string, unknown> = _.pickBy({
+			aliasSetId: aliasSet ? aliasSet.get('id') : null,
+			identifierSetId: identifierSet ? identifierSet.get('id') : null
+		}, (id, idProp) => id !== (target.get(idProp) ?? null));
+		if (_.has(relationshipSets, targetBbid)) {
+			const relationshipSet = relationshipSets[targetBbid];
+			changedData.relationshipSetId = relationshipSet ? relationshipSet.get('id') : null;
+		}
+		const dataId = await copyDataRecord(transacting, entityType, target.get('dataId'), changedData);
+		await setMasterRevision(transacting, {bbid: targetBbid, dataId, entityType, isMerge: true, revisionId});
+		await Promise.all(sourceBbids.map((bbid) => setMasterRevision(transacting, {
+			bbid, dataId: null, entityType, isMerge: true, revisionId
+		})));
+		await transacting.insert(sourceBbids.map((bbid) => camelToSnake({sourceBbid: bbid, targetBbid})))
+			.into('bookbrainz.entity_redirect');
+
+		const otherParentRevisionIds = await saveRelationshipSetsOfOtherEntities(
+			transacting, relationshipSets, [targetBbid, ...sourceBbids], revisionId
+		);
+		const editionParentRevisionIds = await repointEditions(
+			orm, transacting, {entityType, sourceBbids, targetBbid}, revisionId
+		);
+		if (entityType === 'Author') {
+			await transacting('bookbrainz.author_credit_name')
+				.whereIn('author_bbid', sourceBbids)
+				.update('author_bbid', targetBbid);
+		}
+		await moveCollectionItems(transacting, targetBbid, sourceBbids);
+		await Promise.all([
+			addRevisionParents(transacting, revisionId, [
+				target.get('revisionId'),
+				...sources.map((source) => source.get('revisionId')),
+				...otherParentRevisionIds,
+				...editionParentRevisionIds
+			]),
+			createNote(transacting, editorId, revisionId, note),
+			incrementEditorRevisionCount(transacting, editorId)
+		]);
+
+		emitAfterCommit(orm.events, transacting, 'entity:merged', {
+			editorId, entityType, revisionId, sourceBbids, targetBbid
+		});
+		return {bbid: targetBbid, mergedBbids: sourceBbids, revisionId};
+	});
+}
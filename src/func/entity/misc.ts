@@ -19,12 +19,13 @@
 */
 
 import * as _ from 'lodash';
-import type {ParsedAuthor, ParsedEdition, ParsedEntity, ParsedPublisher, ParsedSeries} from '../types/parser';
-import type {AliasWithIdT} from '../types/aliases';
-import type {EntityTypeString} from '../types/entity';
-import type {ORM} from '..';
-import type {Transaction} from './types';
-import {parseDate} from '../util';
+import type {ParsedAuthor, ParsedEdition, ParsedEntity, ParsedPublisher, ParsedSeries} from '../../types/parser';
+import type {AliasWithIdT} from '../../types/aliases';
+import type {EntityTypeString} from '../../types/entity';
+import type {ORM} from '../..';
+import type {Transaction} from '../types';
+import {parseDate} from '../../util';
+import {resolveRedirects} from './redirect';
 
 
 /**
@@ -119,20 +120,19 @@ export function getEntityModelByType(orm: ORM, type: EntityTypeString) {
 
 /**
  * Finds the bbid an entity redirects to, if any.
- * Do a recursive search in case the redirected bbid also redirects, etc.
+ * Redirect chains are followed until the final target in a single query.
  * @param {object} orm - the BookBrainz ORM, initialized during app setup
  * @param {string} bbid - The target entity's bbid.
  * @param {any} transacting - Optional ORM transaction object
+ * @throws {Error} Throws if the redirects of the bbid end in a cycle
  * @returns {string} The final bbid to redirect to
  */
 export async function recursivelyGetRedirectBBID(orm: ORM, bbid: string, transacting?: Transaction) {
-	const redirectSQLQuery = `SELECT target_bbid FROM bookbrainz.entity_redirect WHERE source_bbid = '${bbid}'`;
-	const redirectQueryResults = await (transacting || orm.bookshelf.knex).raw(redirectSQLQuery);
-	if (redirectQueryResults.rows && redirectQueryResults.rows.length) {
-		const redirectedBBID = redirectQueryResults.rows[0].target_bbid;
-		return recursivelyGetRedirectBBID(orm, redirectedBBID);
+	const {cycles, targets} = await resolveRedirects(orm, [bbid], transacting);
+	if (cycles[bbid]) {
+		throw new Error(`Redirects of ${bbid} end in a cycle: ${cycles[bbid].join(' -> ')}`);
 	}
-	return bbid;
+	return targets[bbid] ?? bbid;
 }
 
 /**
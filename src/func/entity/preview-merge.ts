@@ -0,0 +1,224 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {
+	getMergedAliases, getMergedIdentifiers, getMergedRelationshipChanges, getSetItems,
+	isSameRelationship, validateMergedBBIDs, validateMergedEntities
+} from './merge-entities';
+import type {AliasWithDefaultT} from '../../types/aliases';
+import type {EntityTypeString} from '../../types/entity';
+import type {FormRelationshipT} from '../types';
+import type {IdentifierT} from '../../types/identifiers';
+import type {ORM} from '../..';
+import {getEntity} from './misc';
+import {getEntitySetRelations} from './helpers';
+import {removeItemsFromSet} from '../set';
+
+
+/** Kinds of conflicts which can be caused by a merge. */
+export type MergeConflictKindT =
+	'authorCredit' | 'defaultAlias' | 'duplicateRelationship' | 'editionGroup' | 'identifier' | 'selfRelationship';
+
+export type MergeConflictT = {
+
+	/** BBIDs of the merged entities which are involved in the conflict. */
+	bbids: string[];
+
+	kind: MergeConflictKindT;
+
+	/**
+	 * Conflicting values, i.e. aliases, identifiers, relationships, author
+	 * credits or Edition Group BBIDs. The value of the target comes first if
+	 * the target is involved.
+	 */
+	values: unknown[];
+};
+
+export type MergePreviewT = {
+
+	/** BBID of the entity into which the other entities would be merged. */
+	bbid: string;
+
+	/** Problems which the editor should be aware of before merging. */
+	conflicts: MergeConflictT[];
+
+	entityType: EntityTypeString;
+
+	/** Data sets of the target after the merge. */
+	merged: {
+		aliases: AliasWithDefaultT[],
+		defaultAlias: AliasWithDefaultT | null,
+		identifiers: IdentifierT[],
+		relationships: FormRelationshipT[]
+	};
+
+	/** BBIDs of the entities which would be merged into the target. */
+	sourceBbids: string[];
+};
+
+/**
+ * Returns the default alias of an entity in JSON format.
+ * @param {Object} entity - Entity in JSON format
+ * @returns {Object} - The default alias, undefined if the entity has none
+ */
+function getDefaultAlias(entity: Record<string, any>) {
+	return _.find(getSetItems(entity, 'aliasSet', 'aliases'), {id: entity.defaultAliasId});
+}
+
+/**
+ * Reports the sources whose default alias differs from the default alias of
+ * the target, which is the only one which stays the default alias.
+ * @param {Object} target - Target entity in JSON format
+ * @param {Object[]} sources - Source entities in JSON format
+ * @returns {MergeConflictT[]} - One conflict for each differing source
+ */
+function getDefaultAliasConflicts(target: Record<string, any>, sources: Record<string, any>[]): MergeConflictT[] {
+	const targetAlias = getDefaultAlias(target);
+	return sources
+		.filter((source) => !_.isEqual(
+			_.pick(getDefaultAlias(source), ['languageId', 'name', 'sortName']),
+			_.pick(targetAlias, ['languageId', 'name', 'sortName'])
+		))
+		.map((source) => ({
+			bbids: [target.bbid, source.bbid],
+			kind: 'defaultAlias',
+			values: [targetAlias, getDefaultAlias(source)]
+		}));
+}
+
+/**
+ * Reports identifiers of the same type which have different values on
+ * different merged entities, e.g. two different ISBNs.
+ * Identical identifiers are merged and not reported.
+ * @param {Object[]} entities - Target and source entities in JSON format
+ * @returns {MergeConflictT[]} - One conflict for each colliding identifier type
+ */
+function getIdentifierConflicts(entities: Record<string, any>[]): MergeConflictT[] {
+	const identifiers = entities.flatMap((entity) => getSetItems(entity, 'identifierSet', 'identifiers')
+		.map((identifier) => ({bbid: entity.bbid, typeId: identifier.typeId, value: identifier.value})));
+
+	return _.values(_.groupBy(identifiers, 'typeId'))
+		.filter((group) => _.uniqBy(group, 'value').length > 1 && _.uniqBy(group, 'bbid').length > 1)
+		.map((group) => ({
+			bbids: _.uniq(_.map(group, 'bbid')),
+			kind: 'identifier',
+			values: _.uniqBy(group, 'value').map((identifier) => _.pick(identifier, ['typeId', 'value']))
+		}));
+}
+
+/**
+ * Reports merged entities which have a different value for a property which
+ * can only have a single value, the value of the target is kept.
+ * @param {Object[]} entities - Target and source entities in JSON format
+ * @param {MergeConflictKindT} kind - Kind of the conflict
+ * @param {string} idProp - Property which has to be equal
+ * @param {string} [valueProp] - Property which holds the reported value, defaults to `idProp`
+ * @returns {MergeConflictT[]} - A single conflict or nothing
+ */
+function getSingleValueConflicts(
+	entities: Record<string, any>[], kind: MergeConflictKindT, idProp: string, valueProp = idProp
+): MergeConflictT[] {
+	if (_.uniqBy(entities, (entity) => entity[idProp] ?? null).length < 2) {
+		return [];
+	}
+	const [target] = entities;
+	return [{
+		bbids: [target.bbid, ..._.map(entities.filter((entity) => entity[idProp] !== target[idProp]), 'bbid')],
+		kind,
+		values: _.uniqBy(entities, (entity) => entity[idProp] ?? null).map((entity) => entity[valueProp] ?? null)
+	}];
+}
+
+/**
+ * Reports relationships which are dropped by the merge.
+ * @param {string} kind - Kind of the conflict
+ * @param {FormRelationshipT[]} relationships - The dropped relationships
+ * @returns {MergeConflictT[]} - One conflict for each relationship
+ */
+function getRelationshipConflicts(kind: MergeConflictKindT, relationships: FormRelationshipT[]): MergeConflictT[] {
+	return relationships.map((relationship) => ({
+		bbids: _.uniq([relationship.sourceBbid, relationship.targetBbid]),
+		kind,
+		values: [relationship]
+	}));
+}
+
+/**
+ * Computes the result of merging the source entities into the target entity
+ * without writing anything, so that editors can review it before the merge.
+ * The merged data sets are computed in the same way as by `mergeEntities`.
+ * Besides the merged data, conflicts are reported for: differing default
+ * aliases, identifiers of the same type with differing values, relationships
+ * which would become self-references or duplicates, and differing Edition
+ * Groups or author credits.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} targetBbid - BBID of the entity which would be kept
+ * @param {string[]} sourceBbids - BBIDs of the entities which would be merged into the target
+ * @returns {Promise<MergePreviewT>} - The merged data and the conflicts
+ */
+export async function previewMerge(
+	orm: ORM, targetBbid: string, sourceBbids: string[]
+): Promise<MergePreviewT> {
+	validateMergedBBIDs(targetBbid, sourceBbids);
+	const bbids = [targetBbid, ...sourceBbids];
+
+	const entityHeaders = await orm.bookshelf.knex.select('bbid', 'type')
+		.from('bookbrainz.entity')
+		.whereIn('bbid', bbids);
+	const entityTypes: Record<string, EntityTypeString> = _.fromPairs(_.map(entityHeaders, (header) => [
+		header.bbid, header.type
+	]));
+	const missingBbid = bbids.find((bbid) => !entityTypes[bbid]);
+	if (missingBbid) {
+		throw new Error(`Entity ${missingBbid} does not exist`);
+	}
+
+	const entities = await Promise.all(bbids.map((bbid) => getEntity(
+		orm, entityTypes[bbid], bbid, getEntitySetRelations(entityTypes[bbid])
+	)));
+	validateMergedEntities(bbids, entities);
+
+	const [target, ...sources] = entities;
+	const entityType = entityTypes[targetBbid];
+	const aliases = getMergedAliases(target, sources);
+	const {added, duplicates, removed, selfReferences} = getMergedRelationshipChanges(target, sources);
+	const targetRelationships: FormRelationshipT[] = getSetItems(target, 'relationshipSet', 'relationships')
+		.map((relationship) => _.pick(relationship, ['attributeSetId', 'id', 'sourceBbid', 'targetBbid', 'typeId']));
+
+	return {
+		bbid: targetBbid,
+		conflicts: [
+			...getDefaultAliasConflicts(target, sources),
+			...getIdentifierConflicts(entities),
+			...getRelationshipConflicts('selfRelationship', selfReferences),
+			...getRelationshipConflicts('duplicateRelationship', duplicates),
+			...entityType === 'Edition' ? getSingleValueConflicts(entities, 'editionGroup', 'editionGroupBbid') : [],
+			...['Edition', 'EditionGroup'].includes(entityType) ?
+				getSingleValueConflicts(entities, 'authorCredit', 'authorCreditId', 'authorCredit') : []
+		],
+		entityType,
+		merged: {
+			aliases,
+			defaultAlias: _.find(aliases, 'default') ?? null,
+			identifiers: getMergedIdentifiers(target, sources),
+			relationships: [...removeItemsFromSet(targetRelationships, removed, isSameRelationship), ...added]
+		},
+		sourceBbids
+	};
+}
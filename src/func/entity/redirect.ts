@@ -0,0 +1,136 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import type {ORM} from '../..';
+import type {Transaction} from '../types';
+
+
+export type ResolvedRedirectsT = {
+
+	/**
+	 * Redirect chains which end in a cycle, keyed by the requested BBID.
+	 * Each chain starts with the requested BBID and ends with the first BBID
+	 * which is repeated.
+	 */
+	cycles: Record<string, string[]>;
+
+	/**
+	 * Final BBID for each requested BBID whose redirects do not end in a cycle.
+	 * BBIDs which do not redirect map to themselves.
+	 */
+	targets: Record<string, string>;
+};
+
+export type FlattenedRedirectsT = {
+
+	/** Redirect chains which end in a cycle and have been left untouched, keyed by source BBID. */
+	cycles: Record<string, string[]>;
+
+	/** Source BBIDs whose redirect has been changed to point to the final target. */
+	flattenedBbids: string[];
+};
+
+/**
+ * Follows redirect chains starting at the BBIDs of a preceding `chain_start`
+ * query, collecting the visited BBIDs in `path` and stopping at the first BBID
+ * which has already been visited. `final_redirect` only contains the last step
+ * of each chain. Has to be part of a `WITH RECURSIVE` clause.
+ */
+const REDIRECT_CHAIN_QUERIES = `
+	redirect_chain(start_bbid, bbid, path, is_cycle) AS (
+		SELECT chain_start.bbid, chain_start.bbid, ARRAY[chain_start.bbid], FALSE
+		FROM chain_start
+		UNION ALL
+		SELECT redirect_chain.start_bbid, entity_redirect.target_bbid,
+			redirect_chain.path || entity_redirect.target_bbid,
+			entity_redirect.target_bbid = ANY(redirect_chain.path)
+		FROM redirect_chain
+		JOIN bookbrainz.entity_redirect ON entity_redirect.source_bbid = redirect_chain.bbid
+		WHERE NOT redirect_chain.is_cycle
+	), final_redirect AS (
+		SELECT DISTINCT ON (start_bbid) start_bbid, bbid, path, is_cycle
+		FROM redirect_chain
+		ORDER BY start_bbid, array_length(path, 1) DESC
+	)`;
+
+/**
+ * Resolves the final BBIDs which the given BBIDs redirect to, following
+ * redirect chains of any length with a single query.
+ * Redirect cycles are detected and reported instead of being followed forever.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string[]} bbids - BBIDs which should be resolved
+ * @param {Transaction} [transacting] - Optional knex transaction
+ * @returns {Promise<ResolvedRedirectsT>} - The final BBIDs and the detected cycles
+ */
+export async function resolveRedirects(
+	orm: ORM, bbids: string[], transacting?: Transaction
+): Promise<ResolvedRedirectsT> {
+	const resolved: ResolvedRedirectsT = {cycles: {}, targets: {}};
+	if (_.isEmpty(bbids)) {
+		return resolved;
+	}
+
+	const {rows} = await (transacting || orm.bookshelf.knex).raw(`
+		WITH RECURSIVE chain_start AS (SELECT DISTINCT unnest(?::uuid[]) AS bbid),
+		${REDIRECT_CHAIN_QUERIES}
+		SELECT start_bbid, bbid, path, is_cycle FROM final_redirect`, [bbids]);
+
+	for (const row of rows) {
+		if (row.is_cycle) {
+			resolved.cycles[row.start_bbid] = row.path;
+		}
+		else {
+			resolved.targets[row.start_bbid] = row.bbid;
+		}
+	}
+	return resolved;
+}
+
+/**
+ * Changes all redirects which are part of a redirect chain to point directly
+ * to the final target of the chain, so that every redirect can be resolved in
+ * a single step. Redirects which end in a cycle are left untouched and reported.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Transaction} [transacting] - Optional knex transaction
+ * @returns {Promise<FlattenedRedirectsT>} - The changed redirects and the detected cycles
+ */
+export async function flattenRedirects(orm: ORM, transacting?: Transaction): Promise<FlattenedRedirectsT> {
+	const knex = transacting || orm.bookshelf.knex;
+	const chainStart = `
+		WITH RECURSIVE chain_start AS (SELECT source_bbid AS bbid FROM bookbrainz.entity_redirect),
+		${REDIRECT_CHAIN_QUERIES}`;
+
+	const [{rows: cycleRows}, {rows: flattenedRows}] = await Promise.all([
+		knex.raw(`${chainStart}
+			SELECT start_bbid, path FROM final_redirect WHERE is_cycle`),
+		knex.raw(`${chainStart}
+			UPDATE bookbrainz.entity_redirect
+			SET target_bbid = final_redirect.bbid
+			FROM final_redirect
+			WHERE entity_redirect.source_bbid = final_redirect.start_bbid
+				AND NOT final_redirect.is_cycle
+				AND entity_redirect.target_bbid <> final_redirect.bbid
+			RETURNING entity_redirect.source_bbid`)
+	]);
+
+	return {
+		cycles: _.fromPairs(cycleRows.map((row) => [row.start_bbid, row.path])),
+		flattenedBbids: _.map(flattenedRows, 'source_bbid')
+	};
+}
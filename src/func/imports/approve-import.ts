@@ -31,6 +31,7 @@ export async function approveImport({editorId, importEntity, orm}: {
 	const metadata: ImportMetadataWithSourceT = importEntity.importMetadata;
 	const entityType = uncapitalize(type as EntityType);
 
+	let revisionId: number;
 	await orm.kysely.transaction().execute(async (trx) => {
 		const pendingUpdates = [
 			// Mark the pending entity as accepted
@@ -58,6 +59,7 @@ export async function approveImport({editorId, importEntity, orm}: {
 			.values({authorId: editorId})
 			.returning('id')
 			.executeTakeFirstOrThrow();
+		revisionId = revision.id;
 		await trx.insertInto(`${entityType}Header`)
 			.values({bbid})
 			.executeTakeFirstOrThrow();
@@ -103,4 +105,7 @@ export async function approveImport({editorId, importEntity, orm}: {
 			}
 		}));
 	});
+
+	// The Kysely transaction has been committed at this point
+	orm.events.emit('import:approved', {bbid, editorId, entityType: type, revisionId});
 }
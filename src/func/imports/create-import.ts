@@ -26,6 +26,7 @@ import type {ORM} from '../..';
 import type {Transaction} from '../types';
 import _ from 'lodash';
 import {camelToSnake} from '../../util';
+import {emitAfterCommit} from '../../events';
 import {getAdditionalEntityProps} from '../entity';
 import {getExternalSourceId} from './misc';
 import {updateAliasSet} from '../alias';
@@ -251,6 +252,9 @@ export function createImport(orm: ORM, importData: QueuedEntity, {
 			throw new Error(`Failed to upsert import header: ${err}`);
 		}
 
+		if (!existingImport) {
+			emitAfterCommit(orm.events, transacting, 'import:created', {entityType, importId});
+		}
 		return {
 			importId,
 			status: existingImport ? 'updated pending' : 'created pending'
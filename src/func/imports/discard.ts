@@ -17,8 +17,10 @@
  */
 
 import {camelToSnake, snakeToCamel} from '../../util';
+import type {ORM} from '../..';
 import type {Transaction} from '../types';
 import {deleteImport} from './delete-import';
+import {emitAfterCommit} from '../../events';
 
 
 /* The maximum allowed limit of count of votes (in favour of discarding) */
@@ -41,11 +43,13 @@ export async function discardVotesCast(
  * @param  {Transaction} transacting - The knex Transacting object
  * @param  {string} importBbid - BBID of the import
  * @param  {number} editorId - Id of the user casting the vote
+ * @param  {ORM} [orm] - The BookBrainz ORM, its `import:discarded` listeners are notified once the
+ * 		import has been discarded and the transaction has been committed
  * @returns {Promise<boolean>} - Promise<true> if records has been deleted or
  * 		Promise<false> if the record is still present
  */
 export async function castDiscardVote(
-	transacting: Transaction, importBbid: string, editorId: number
+	transacting: Transaction, importBbid: string, editorId: number, orm?: ORM
 ): Promise<boolean> {
 	const votesCast = await discardVotesCast(transacting, importBbid);
 
@@ -60,6 +64,9 @@ export async function castDiscardVote(
 	// If cast vote is decisive one, delete the records
 	if (votesCast.length === DISCARD_LIMIT) {
 		await deleteImport(transacting, importBbid);
+		if (orm) {
+			emitAfterCommit(orm.events, transacting, 'import:discarded', {editorId, importId: importBbid});
+		}
 		// The record been deleted
 		return true;
 	}
@@ -21,15 +21,21 @@ export * as annotation from './annotation';
 export * as area from './area';
 export * as authorCredit from './author-credit';
 export * as disambiguation from './disambiguation';
+export * as diff from './diff';
 export * as editor from './editor';
 export * as entity from './entity';
 export * as externalServiceOauth from './externalServiceOauth';
 export * as identifier from './identifier';
 export * as imports from './imports';
 export * as language from './language';
+export * as oaiPmh from './oai-pmh';
 export * as publisher from './publisher';
 export * as relationship from './relationship';
 export * as relationshipAttributes from './relationshipAttributes';
 export * as releaseEvent from './releaseEvent';
+export * as revision from './revision';
+export * as revisionGraph from './revision-graph';
+export * as search from './search';
+export * as serializers from './serializers';
 export * as set from './set';
 export * as work from './work';
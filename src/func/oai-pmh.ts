@@ -0,0 +1,704 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {
+	DEFAULT_BASE_URL, type XMLElementT, createTextElement, getEntityUrl, getIdentifierValues, renderXMLElement,
+	toISODate
+} from './serializers/helpers';
+import {ENTITY_TYPES, type EntityTypeString} from '../types/entity';
+import {type SerializedEntityT, serializeEntities} from './serializers/canonical';
+import type {ORM} from '..';
+import {resolveRedirects} from './entity/redirect';
+
+
+export const OAI_PMH_NAMESPACE = 'http://www.openarchives.org/OAI/2.0/';
+const OAI_DC_NAMESPACE = 'http://www.openarchives.org/OAI/2.0/oai_dc/';
+const DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+const DCTERMS_NAMESPACE = 'http://purl.org/dc/terms/';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+export type OAIErrorCode = 'badArgument' | 'badResumptionToken' | 'badVerb' | 'cannotDisseminateFormat' |
+	'idDoesNotExist' | 'noMetadataFormats' | 'noRecordsMatch' | 'noSetHierarchy';
+
+/** Error which is reported to the harvester as OAI-PMH error with the given code. */
+export class OAIPMHError extends Error {
+	constructor(message: string, public code: OAIErrorCode) {
+		super(message);
+		Object.defineProperty(this, 'name', {
+			enumerable: false,
+			value: 'OAIPMHError'
+		});
+	}
+}
+
+export type OAIRequestArgs = {
+	from?: string;
+	identifier?: string;
+	metadataPrefix?: string;
+	resumptionToken?: string;
+	set?: string;
+	until?: string;
+	verb?: string;
+};
+
+export type OAIPMHOptions = {
+
+	/** Email addresses of the repository administrators, which are required by Identify. */
+	adminEmails?: string[];
+
+	/** URL of the OAI-PMH endpoint. */
+	baseUrl: string;
+
+	/** Maximum number of headers or records per response of the list verbs, defaults to 100. */
+	pageSize?: number;
+
+	/** Namespace of the OAI identifiers, defaults to `bookbrainz.org`. */
+	repositoryIdentifier?: string;
+
+	/** Name of the repository, defaults to BookBrainz. */
+	repositoryName?: string;
+
+	/** Base URL of the entity pages, defaults to the BookBrainz website. */
+	websiteUrl?: string;
+};
+
+export type OAIHeaderT = {
+
+	/** Time of the master revision of the entity, with a granularity of seconds. */
+	datestamp: string;
+
+	/** Whether the entity has been deleted or merged into another entity. */
+	deleted: boolean;
+	identifier: string;
+
+	/** OAI identifier of the entity which a merged entity redirects to. */
+	redirectedTo: string | null;
+	setSpec: string;
+};
+
+type HeaderRowT = {
+	bbid: string;
+	created_at: Date;
+	data_id: number | null;
+	revision_id: number;
+	target_bbid: string | null;
+	type: EntityTypeString;
+};
+
+type ListArgsT = {
+	entityTypes: EntityTypeString[];
+	from: string | null;
+	metadataPrefix: string;
+	set: string | null;
+	until: string | null;
+};
+
+type ResumptionStateT = ListArgsT & {
+	cursor: number;
+	lastBbid: string;
+	lastRevisionId: number;
+};
+
+const METADATA_PREFIX = 'oai_dc';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Upper bound of the Postgres `int` type, which revision IDs are cast to
+const MAX_REVISION_ID = 2 ** 31 - 1;
+
+/** Arguments of each verb, the verb itself is always allowed. */
+const VERB_ARGUMENTS: Record<string, {exclusive?: string, optional: string[], required: string[]}> = {
+	GetRecord: {optional: [], required: ['identifier', 'metadataPrefix']},
+	Identify: {optional: [], required: []},
+	ListIdentifiers: {exclusive: 'resumptionToken', optional: ['from', 'set', 'until'], required: ['metadataPrefix']},
+	ListMetadataFormats: {optional: ['identifier'], required: []},
+	ListRecords: {exclusive: 'resumptionToken', optional: ['from', 'set', 'until'], required: ['metadataPrefix']},
+	ListSets: {exclusive: 'resumptionToken', optional: [], required: []}
+};
+
+function getSetSpec(entityType: EntityTypeString): string {
+	return _.kebabCase(entityType);
+}
+
+function getOAIIdentifier(bbid: string, options: OAIPMHOptions): string {
+	return `oai:${options.repositoryIdentifier ?? 'bookbrainz.org'}:${bbid}`;
+}
+
+/**
+ * Extracts the BBID from an OAI identifier.
+ * @param {string} identifier - The OAI identifier, like `oai:bookbrainz.org:<bbid>`
+ * @param {OAIPMHOptions} options - Namespace of the identifiers
+ * @returns {string} - The BBID
+ * @throws {OAIPMHError} - If the identifier does not belong to the repository
+ */
+function parseOAIIdentifier(identifier: string, options: OAIPMHOptions): string {
+	const prefix = getOAIIdentifier('', options);
+	const bbid = identifier.startsWith(prefix) ? identifier.slice(prefix.length) : null;
+	if (!bbid || !UUID_PATTERN.test(bbid)) {
+		throw new OAIPMHError(`Identifier ${identifier} does not exist in this repository`, 'idDoesNotExist');
+	}
+	return bbid.toLowerCase();
+}
+
+// Datestamps are in UTC with a granularity of seconds
+function toDatestamp(date: Date): string {
+	return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Validates the `from` and `until` arguments, which may either be dates or
+ * datestamps with seconds but have to use the same granularity.
+ * @param {string} from - Lower bound of the datestamps
+ * @param {string} until - Upper bound of the datestamps, inclusive
+ * @returns {Object} - The bounds as ISO timestamps, `until` is exclusive
+ */
+function parseDateRange(from?: string, until?: string): {from: string | null, until: string | null} {
+	for (const value of _.compact([from, until])) {
+		if (!DATE_PATTERN.test(value) && !DATE_TIME_PATTERN.test(value) || isNaN(Date.parse(value))) {
+			throw new OAIPMHError(`${value} is not a valid datestamp`, 'badArgument');
+		}
+	}
+	if (from && until && from.length !== until.length) {
+		throw new OAIPMHError('The from and until arguments have different granularities', 'badArgument');
+	}
+	if (from && until && Date.parse(from) > Date.parse(until)) {
+		throw new OAIPMHError('The from argument is later than the until argument', 'badArgument');
+	}
+	let exclusiveUntil: string | null = null;
+	if (until) {
+		const untilDate = new Date(Date.parse(until));
+		if (DATE_PATTERN.test(until)) {
+			untilDate.setUTCDate(untilDate.getUTCDate() + 1);
+		}
+		else {
+			untilDate.setUTCSeconds(untilDate.getUTCSeconds() + 1);
+		}
+		exclusiveUntil = untilDate.toISOString();
+	}
+	return {from: from ? new Date(Date.parse(from)).toISOString() : null, until: exclusiveUntil};
+}
+
+function encodeResumptionToken(state: ResumptionStateT): string {
+	return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+// Bounds of the date range are stored as complete ISO timestamps, see `parseDateRange`
+function isValidTimestamp(value: unknown): boolean {
+	return value === null ||
+		_.isString(value) && !isNaN(Date.parse(value)) && new Date(Date.parse(value)).toISOString() === value;
+}
+
+/**
+ * Decodes a resumption token and validates all of its fields, so that
+ * manipulated tokens are reported to the harvester instead of failing in the
+ * database query.
+ * @param {string} token - The resumption token
+ * @returns {ResumptionStateT} - The state of the list request
+ * @throws {OAIPMHError} - If the token is malformed
+ */
+function decodeResumptionToken(token: string): ResumptionStateT {
+	let state: ResumptionStateT;
+	try {
+		state = JSON.parse(Buffer.from(token, 'base64url').toString());
+	}
+	catch (error) {
+		state = null;
+	}
+	const isValid = _.isPlainObject(state) &&
+		Number.isSafeInteger(state.cursor) && state.cursor >= 0 &&
+		Number.isInteger(state.lastRevisionId) && _.inRange(state.lastRevisionId, 0, MAX_REVISION_ID + 1) &&
+		_.isString(state.lastBbid) && UUID_PATTERN.test(state.lastBbid) &&
+		Array.isArray(state.entityTypes) && state.entityTypes.length > 0 &&
+		state.entityTypes.every((entityType) => ENTITY_TYPES.includes(entityType)) &&
+		isValidTimestamp(state.from) && isValidTimestamp(state.until) &&
+		state.metadataPrefix === METADATA_PREFIX && (state.set === null || _.isString(state.set));
+	if (!isValid) {
+		throw new OAIPMHError('The resumption token is invalid or has expired', 'badResumptionToken');
+	}
+	return state;
+}
+
+/**
+ * Checks the arguments of a request against the arguments of its verb.
+ * @param {OAIRequestArgs} args - The request arguments
+ * @throws {OAIPMHError} - If the verb is unknown or the arguments are invalid
+ */
+function validateArguments(args: OAIRequestArgs): void {
+	const verbArguments = VERB_ARGUMENTS[args.verb];
+	if (!verbArguments) {
+		throw new OAIPMHError(`${args.verb ?? 'The missing verb'} is not a legal OAI-PMH verb`, 'badVerb');
+	}
+	const {exclusive, optional, required} = verbArguments;
+	const argumentNames = _.without(Object.keys(_.omitBy(args, _.isNil)), 'verb');
+	if (exclusive && argumentNames.includes(exclusive)) {
+		if (argumentNames.length > 1) {
+			throw new OAIPMHError(`The ${exclusive} argument has to be the only argument`, 'badArgument');
+		}
+		return;
+	}
+	const illegalArguments = _.difference(argumentNames, [...required, ...optional]);
+	const missingArguments = _.difference(required, argumentNames);
+	if (illegalArguments.length || missingArguments.length) {
+		const illegalList = illegalArguments.join(', ') || 'none';
+		const missingList = missingArguments.join(', ') || 'none';
+		throw new OAIPMHError(`Illegal arguments: ${illegalList}, missing arguments: ${missingList}`, 'badArgument');
+	}
+}
+
+function checkMetadataPrefix(metadataPrefix: string): void {
+	if (metadataPrefix !== METADATA_PREFIX) {
+		throw new OAIPMHError(`The metadata format ${metadataPrefix} is not supported`, 'cannotDisseminateFormat');
+	}
+}
+
+/**
+ * Fetches the headers of the master revisions of entities, ordered by the ID
+ * of their master revision and their BBID.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Object} filter - Entity types, datestamp range, BBID and the position after which the rows start
+ * @param {number} limit - Maximum number of rows
+ * @returns {Promise<HeaderRowT[]>} - The header rows
+ */
+async function fetchHeaderRows(
+	orm: ORM,
+	filter: {
+		after?: {bbid: string, revisionId: number}, bbid?: string, entityTypes: EntityTypeString[],
+		from?: string | null, until?: string | null
+	},
+	limit: number
+): Promise<HeaderRowT[]> {
+	const {after = null, bbid = null, entityTypes, from = null, until = null} = filter;
+	// Only the filters which are set are added, so that every branch can use the indexes
+	// and stops after `limit` rows instead of sorting all headers
+	const conditions: string[] = [];
+	const bindings: Array<number | string> = [];
+	if (bbid) {
+		conditions.push('header.bbid = ?::uuid');
+		bindings.push(bbid);
+	}
+	if (from) {
+		conditions.push('revision.created_at >= ?::timestamptz');
+		bindings.push(from);
+	}
+	if (until) {
+		conditions.push('revision.created_at < ?::timestamptz');
+		bindings.push(until);
+	}
+	if (after) {
+		conditions.push('(header.master_revision_id, header.bbid) > (?::int, ?::uuid)');
+		bindings.push(after.revisionId, after.bbid);
+	}
+	const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+	// Entity types are validated by the callers, so they are safe to use as table names
+	const entries = entityTypes.map((entityType) => {
+		const tablePrefix = `bookbrainz.${_.snakeCase(entityType)}`;
+		return `(
+			SELECT '${entityType}' AS type, header.bbid, header.master_revision_id AS revision_id,
+				entity_revision.data_id, revision.created_at
+			FROM ${tablePrefix}_header AS header
+			JOIN ${tablePrefix}_revision AS entity_revision ON entity_revision.id = header.master_revision_id
+				AND entity_revision.bbid = header.bbid
+			JOIN bookbrainz.revision ON revision.id = header.master_revision_id
+			${whereClause}
+			ORDER BY header.master_revision_id, header.bbid
+			LIMIT ?
+		)`;
+	});
+
+	const {rows} = await orm.bookshelf.knex.raw(`
+		SELECT entry.type, entry.bbid, entry.revision_id, entry.data_id, entry.created_at,
+			entity_redirect.target_bbid
+		FROM (${entries.join(' UNION ALL ')}) AS entry
+		LEFT JOIN bookbrainz.entity_redirect ON entity_redirect.source_bbid = entry.bbid
+		ORDER BY entry.revision_id, entry.bbid
+		LIMIT ?`, [...entityTypes.flatMap(() => [...bindings, limit]), limit]);
+	return rows;
+}
+
+/**
+ * Converts header rows into OAI headers. Entities without data have been
+ * deleted or merged, merged entities are linked to the entity at the end of
+ * their redirect chain.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {HeaderRowT[]} rows - The header rows
+ * @param {OAIPMHOptions} options - Namespace of the identifiers
+ * @returns {Promise<OAIHeaderT[]>} - The OAI headers
+ */
+async function toHeaders(orm: ORM, rows: HeaderRowT[], options: OAIPMHOptions): Promise<OAIHeaderT[]> {
+	const redirectedBbids = rows.filter((row) => row.target_bbid).map((row) => row.bbid);
+	const {targets} = await resolveRedirects(orm, redirectedBbids);
+	return rows.map((row) => {
+		const targetBbid = row.target_bbid && targets[row.bbid];
+		return {
+			datestamp: toDatestamp(new Date(row.created_at)),
+			deleted: !row.data_id,
+			identifier: getOAIIdentifier(row.bbid, options),
+			redirectedTo: targetBbid && targetBbid !== row.bbid ? getOAIIdentifier(targetBbid, options) : null,
+			setSpec: getSetSpec(row.type)
+		};
+	});
+}
+
+function renderHeader(header: OAIHeaderT): XMLElementT {
+	return {
+		attributes: {status: header.deleted ? 'deleted' : null},
+		children: [
+			createTextElement('identifier', header.identifier),
+			createTextElement('datestamp', header.datestamp),
+			createTextElement('setSpec', header.setSpec)
+		],
+		name: 'header'
+	};
+}
+
+function createDCElement(name: string, text: string | number | null): XMLElementT | null {
+	return createTextElement(`dc:${name}`, text);
+}
+
+/**
+ * Converts an entity in canonical JSON format into unqualified Dublin Core.
+ * @param {SerializedEntityT} entity - The entity in canonical JSON format
+ * @param {OAIPMHOptions} options - Base URL of the entity pages
+ * @returns {XMLElementT} - The `oai_dc:dc` element
+ */
+export function toOAIDublinCore(entity: SerializedEntityT, options: Partial<OAIPMHOptions> = {}): XMLElementT {
+	const websiteUrl = options.websiteUrl ?? DEFAULT_BASE_URL;
+	const creators = 'authorCredit' in entity ? entity.authorCredit ?? [] : [];
+	const publishers = 'publishers' in entity ? entity.publishers : [];
+	const dates = 'releaseEvents' in entity ? _.uniq(_.compact(entity.releaseEvents.map((event) => event.date))) : [];
+	const languages = 'languages' in entity ? entity.languages : [];
+	const specificType = _.find(
+		[
+			'authorType', 'editionFormat', 'editionGroupType', 'publisherType', 'workType'
+		].map((key) => entity[key]?.label)
+	);
+	const relatedUrls = _.uniq(_.compact(entity.relationships.map((relationship) => {
+		const isSource = relationship.sourceBbid === entity.bbid;
+		const relatedType = isSource ? relationship.type.targetEntityType : relationship.type.sourceEntityType;
+		const relatedBbid = isSource ? relationship.targetBbid : relationship.sourceBbid;
+		return relatedType ? getEntityUrl(relatedType, relatedBbid, websiteUrl) : null;
+	})));
+
+	return {
+		attributes: {
+			'xmlns:dc': DC_NAMESPACE,
+			'xmlns:oai_dc': OAI_DC_NAMESPACE,
+			'xmlns:xsi': XSI_NAMESPACE,
+			'xsi:schemaLocation': `${OAI_DC_NAMESPACE} http://www.openarchives.org/OAI/2.0/oai_dc.xsd`
+		},
+		children: [
+			createDCElement('title', entity.name),
+			...creators.map((name) => createDCElement('creator', name.name)),
+			createDCElement('description', entity.disambiguation),
+			createDCElement('description', entity.annotation),
+			...publishers.map((publisher) => createDCElement('publisher', publisher.name)),
+			...dates.map((date) => createDCElement('date', toISODate(date))),
+			createDCElement('type', entity.type),
+			createDCElement('type', specificType),
+			createDCElement('identifier', getEntityUrl(entity.type, entity.bbid, websiteUrl)),
+			...getIdentifierValues(entity, /^ISBN/i).map((isbn) => createDCElement(
+				'identifier', `urn:isbn:${isbn.replace(/[\s-]/g, '')}`
+			)),
+			...languages.map((language) => createDCElement('language', language.isoCode3)),
+			...relatedUrls.map((url) => createDCElement('relation', url))
+		],
+		name: 'oai_dc:dc'
+	};
+}
+
+/**
+ * Renders the records of the given headers with their Dublin Core metadata.
+ * Deleted records have no metadata, merged records point to their target.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {HeaderRowT[]} rows - The header rows
+ * @param {OAIPMHOptions} options - Namespace of the identifiers and base URL of the entity pages
+ * @returns {Promise<XMLElementT[]>} - The record elements
+ */
+async function renderRecords(orm: ORM, rows: HeaderRowT[], options: OAIPMHOptions): Promise<XMLElementT[]> {
+	const headers = await toHeaders(orm, rows, options);
+	const activeRows = rows.filter((row) => row.data_id);
+	const serializedByType = await Promise.all(
+		_.map(_.groupBy(activeRows, 'type'), (typeRows, entityType: EntityTypeString) =>
+			serializeEntities(orm, entityType, typeRows.map((row) => row.bbid)))
+	);
+	const entitiesByBbid = _.keyBy(_.flatMap(serializedByType, 'entities'), 'bbid');
+
+	return rows.map((row, index) => {
+		const entity = row.data_id && entitiesByBbid[row.bbid];
+		const {redirectedTo} = headers[index];
+		return {
+			children: [
+				renderHeader(headers[index]),
+				entity ? {children: [toOAIDublinCore(entity, options)], name: 'metadata'} : null,
+				redirectedTo ? {
+					children: [
+						createTextElement('dcterms:isReplacedBy', redirectedTo, {'xmlns:dcterms': DCTERMS_NAMESPACE})
+					],
+					name: 'about'
+				} : null
+			],
+			name: 'record'
+		};
+	});
+}
+
+/**
+ * Responds to the Identify verb.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {OAIPMHOptions} options - Description of the repository
+ * @returns {Promise<XMLElementT>} - The Identify element
+ */
+export async function identify(orm: ORM, options: OAIPMHOptions): Promise<XMLElementT> {
+	const {rows} = await orm.bookshelf.knex.raw('SELECT min(created_at) AS earliest FROM bookbrainz.revision');
+	const earliestDatestamp = rows[0]?.earliest ? toDatestamp(new Date(rows[0].earliest)) : toDatestamp(new Date(0));
+	return {
+		children: [
+			createTextElement('repositoryName', options.repositoryName ?? 'BookBrainz'),
+			createTextElement('baseURL', options.baseUrl),
+			createTextElement('protocolVersion', '2.0'),
+			...(options.adminEmails ?? []).map((email) => createTextElement('adminEmail', email)),
+			createTextElement('earliestDatestamp', earliestDatestamp),
+			createTextElement('deletedRecord', 'persistent'),
+			createTextElement('granularity', 'YYYY-MM-DDThh:mm:ssZ')
+		],
+		name: 'Identify'
+	};
+}
+
+/**
+ * Responds to the ListMetadataFormats verb. Only `oai_dc` is supported.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {OAIRequestArgs} args - The request arguments, with an optional identifier
+ * @param {OAIPMHOptions} options - Namespace of the identifiers
+ * @returns {Promise<XMLElementT>} - The ListMetadataFormats element
+ */
+export async function listMetadataFormats(
+	orm: ORM, args: OAIRequestArgs, options: OAIPMHOptions
+): Promise<XMLElementT> {
+	if (args.identifier) {
+		const bbid = parseOAIIdentifier(args.identifier, options);
+		const [row] = await fetchHeaderRows(orm, {bbid, entityTypes: [...ENTITY_TYPES]}, 1);
+		if (!row) {
+			throw new OAIPMHError(`Identifier ${args.identifier} does not exist in this repository`, 'idDoesNotExist');
+		}
+	}
+	return {
+		children: [{
+			children: [
+				createTextElement('metadataPrefix', METADATA_PREFIX),
+				createTextElement('schema', 'http://www.openarchives.org/OAI/2.0/oai_dc.xsd'),
+				createTextElement('metadataNamespace', OAI_DC_NAMESPACE)
+			],
+			name: 'metadataFormat'
+		}],
+		name: 'ListMetadataFormats'
+	};
+}
+
+/**
+ * Responds to the ListSets verb. Each entity type is a set.
+ * @param {OAIRequestArgs} args - The request arguments
+ * @returns {XMLElementT} - The ListSets element
+ */
+export function listSets(args: OAIRequestArgs): XMLElementT {
+	if (args.resumptionToken) {
+		throw new OAIPMHError('ListSets does not use resumption tokens', 'badResumptionToken');
+	}
+	return {
+		children: ENTITY_TYPES.map((entityType) => ({
+			children: [
+				createTextElement('setSpec', getSetSpec(entityType)),
+				createTextElement('setName', _.startCase(entityType))
+			],
+			name: 'set'
+		})),
+		name: 'ListSets'
+	};
+}
+
+/**
+ * Fetches the next page of headers for the list verbs, either for new list
+ * arguments or for a resumption token.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {OAIRequestArgs} args - The request arguments
+ * @param {OAIPMHOptions} options - Page size of the lists
+ * @returns {Promise<Object>} - The header rows of the page and the resumption token element
+ */
+async function fetchListPage(
+	orm: ORM, args: OAIRequestArgs, options: OAIPMHOptions
+): Promise<{resumptionToken: XMLElementT | null, rows: HeaderRowT[]}> {
+	const {pageSize = 100} = options;
+	let state: ResumptionStateT | null = null;
+	let listArgs: ListArgsT;
+	if (args.resumptionToken) {
+		state = decodeResumptionToken(args.resumptionToken);
+		listArgs = _.pick(state, ['entityTypes', 'from', 'metadataPrefix', 'set', 'until']);
+	}
+	else {
+		checkMetadataPrefix(args.metadataPrefix);
+		const entityType = args.set && ENTITY_TYPES.find((type) => getSetSpec(type) === args.set);
+		if (args.set && !entityType) {
+			throw new OAIPMHError(`The set ${args.set} does not exist`, 'badArgument');
+		}
+		listArgs = {
+			entityTypes: entityType ? [entityType] : [...ENTITY_TYPES],
+			metadataPrefix: args.metadataPrefix,
+			set: args.set ?? null,
+			...parseDateRange(args.from, args.until)
+		};
+	}
+
+	const rows = await fetchHeaderRows(orm, {
+		...listArgs,
+		after: state && {bbid: state.lastBbid, revisionId: state.lastRevisionId}
+	}, pageSize + 1);
+	if (!state && !rows.length) {
+		throw new OAIPMHError('No records match the request', 'noRecordsMatch');
+	}
+
+	const cursor = state?.cursor ?? 0;
+	const pageRows = rows.slice(0, pageSize);
+	let resumptionToken: XMLElementT | null = null;
+	if (rows.length > pageSize) {
+		const lastRow = _.last(pageRows);
+		const token = encodeResumptionToken({
+			...listArgs, cursor: cursor + pageRows.length, lastBbid: lastRow.bbid, lastRevisionId: lastRow.revision_id
+		});
+		resumptionToken = createTextElement('resumptionToken', token, {cursor});
+	}
+	else if (state) {
+		// The last page of an incomplete list has an empty resumption token
+		resumptionToken = {attributes: {completeListSize: cursor + pageRows.length, cursor}, name: 'resumptionToken'};
+	}
+	return {resumptionToken, rows: pageRows};
+}
+
+/**
+ * Responds to the ListIdentifiers verb.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {OAIRequestArgs} args - The request arguments
+ * @param {OAIPMHOptions} options - Namespace of the identifiers and page size
+ * @returns {Promise<XMLElementT>} - The ListIdentifiers element
+ */
+export async function listIdentifiers(orm: ORM, args: OAIRequestArgs, options: OAIPMHOptions): Promise<XMLElementT> {
+	const {resumptionToken, rows} = await fetchListPage(orm, args, options);
+	const headers = await toHeaders(orm, rows, options);
+	return {
+		children: [...headers.map(renderHeader), resumptionToken],
+		name: 'ListIdentifiers'
+	};
+}
+
+/**
+ * Responds to the ListRecords verb.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {OAIRequestArgs} args - The request arguments
+ * @param {OAIPMHOptions} options - Namespace of the identifiers, page size and base URL of the entity pages
+ * @returns {Promise<XMLElementT>} - The ListRecords element
+ */
+export async function listRecords(orm: ORM, args: OAIRequestArgs, options: OAIPMHOptions): Promise<XMLElementT> {
+	const {resumptionToken, rows} = await fetchListPage(orm, args, options);
+	const records = await renderRecords(orm, rows, options);
+	return {
+		children: [...records, resumptionToken],
+		name: 'ListRecords'
+	};
+}
+
+/**
+ * Responds to the GetRecord verb. Merged entities are reported as deleted
+ * records which point to the entity they have been merged into.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {OAIRequestArgs} args - The request arguments
+ * @param {OAIPMHOptions} options - Namespace of the identifiers and base URL of the entity pages
+ * @returns {Promise<XMLElementT>} - The GetRecord element
+ */
+export async function getRecord(orm: ORM, args: OAIRequestArgs, options: OAIPMHOptions): Promise<XMLElementT> {
+	checkMetadataPrefix(args.metadataPrefix);
+	const bbid = parseOAIIdentifier(args.identifier, options);
+	const rows = await fetchHeaderRows(orm, {bbid, entityTypes: [...ENTITY_TYPES]}, 1);
+	if (!rows.length) {
+		throw new OAIPMHError(`Identifier ${args.identifier} does not exist in this repository`, 'idDoesNotExist');
+	}
+	return {
+		children: await renderRecords(orm, rows, options),
+		name: 'GetRecord'
+	};
+}
+
+/**
+ * Handles an OAI-PMH request and renders the complete response, including
+ * the OAI-PMH errors of invalid requests.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {OAIRequestArgs} args - The request arguments, as query parameters or form fields
+ * @param {OAIPMHOptions} options - Description and URL of the repository
+ * @returns {Promise<string>} - The XML response
+ */
+export async function handleOAIRequest(orm: ORM, args: OAIRequestArgs, options: OAIPMHOptions): Promise<string> {
+	let responseElement: XMLElementT;
+	let isValidRequest = true;
+	try {
+		validateArguments(args);
+		switch (args.verb) {
+			case 'GetRecord':
+				responseElement = await getRecord(orm, args, options);
+				break;
+			case 'Identify':
+				responseElement = await identify(orm, options);
+				break;
+			case 'ListIdentifiers':
+				responseElement = await listIdentifiers(orm, args, options);
+				break;
+			case 'ListMetadataFormats':
+				responseElement = await listMetadataFormats(orm, args, options);
+				break;
+			case 'ListRecords':
+				responseElement = await listRecords(orm, args, options);
+				break;
+			default:
+				responseElement = listSets(args);
+		}
+	}
+	catch (error) {
+		if (!(error instanceof OAIPMHError)) {
+			throw error;
+		}
+		// Arguments of requests with a bad verb or bad arguments must not be repeated
+		isValidRequest = error.code !== 'badVerb' && error.code !== 'badArgument';
+		responseElement = createTextElement('error', error.message, {code: error.code});
+	}
+
+	const response: XMLElementT = {
+		attributes: {
+			xmlns: OAI_PMH_NAMESPACE,
+			'xmlns:xsi': XSI_NAMESPACE,
+			'xsi:schemaLocation': `${OAI_PMH_NAMESPACE} http://www.openarchives.org/OAI/2.0/OAI-PMH.xsd`
+		},
+		children: [
+			createTextElement('responseDate', toDatestamp(new Date())),
+			{attributes: isValidRequest ? args : {}, name: 'request', text: options.baseUrl},
+			responseElement
+		],
+		name: 'OAI-PMH'
+	};
+	return `<?xml version="1.0" encoding="UTF-8"?>\n${renderXMLElement(response)}\n`;
+}
@@ -125,13 +125,16 @@ async function updateRelationshipSetForEntity(
  * @param {any} oldSet - the RelationshipSet object for the old entity data
  * @param {Array<Relationship>} newSetItems - the edited RelationshipSet for the
  *        entity
+ * @param {Array<string>} [unchangedBBIDs] - BBIDs of affected entities whose
+ *        relationship sets are already up to date, no new sets are created for
+ *        them
  *
  * @returns {Promise<any>} a promise which resolves to a {BBID: RelationshipSet}
  *          map
  */
 export function updateRelationshipSets(
 	orm: ORM, transacting: Transaction, oldSet: any,
-	newSetItems: Array<Relationship>
+	newSetItems: Array<Relationship>, unchangedBBIDs: Array<string> = []
 ): Promise<any> {
 	function comparisonFunc(obj: Relationship, other: Relationship) {
 		return obj.typeId === other.typeId &&
@@ -151,8 +154,9 @@ export function updateRelationshipSets(
 		return Promise.resolve({});
 	}
 
-	const affectedBBIDs: Array<string> =
-		getAffectedBBIDs(allAddedItems, allRemovedItems);
+	const affectedBBIDs: Array<string> = _.difference(
+		getAffectedBBIDs(allAddedItems, allRemovedItems), unchangedBBIDs
+	);
 
 	// For each BBID, get the entity and the old relationship set, then apply
 	// the relevant changes to create a new set.
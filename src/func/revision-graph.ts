@@ -0,0 +1,199 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import type {ORM} from '..';
+import {getEntityModelByType} from './entity/misc';
+
+
+export type RevisionGraphNodeT = {
+
+	/** Length of the shortest path between the start revision and this revision. */
+	depth: number;
+	revisionId: number;
+};
+
+export type RevisionGraphOptions = {
+
+	/** Maximum depth of the returned revisions, all revisions are returned if it is omitted. */
+	maxDepth?: number | null;
+};
+
+export type MergedEntityT = {
+
+	/** BBID of the entity which has been merged. */
+	bbid: string;
+
+	/** Creation time of the merge revision. */
+	mergedAt: Date;
+
+	/** Whether the merged entity still redirects, false if the merge has been reverted. */
+	redirected: boolean;
+
+	/** ID of the merge revision. */
+	revisionId: number;
+
+	/** BBID of the entity which it has been merged into, which may itself have been merged later on. */
+	targetBbid: string;
+};
+
+/**
+ * Walks the revision graph from a revision towards its parents or its children.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {number} revisionId - ID of the start revision
+ * @param {string} direction - Whether the ancestors or the descendants are collected
+ * @param {RevisionGraphOptions} options - Depth limit of the traversal
+ * @returns {Promise<RevisionGraphNodeT[]>} - The visited revisions, closest first
+ */
+async function traverseRevisionGraph(
+	orm: ORM, revisionId: number, direction: 'ancestors' | 'descendants', {maxDepth = null}: RevisionGraphOptions
+): Promise<RevisionGraphNodeT[]> {
+	if (!_.isNil(maxDepth) && (!Number.isInteger(maxDepth) || maxDepth < 1)) {
+		throw new Error('Maximum depth has to be a positive integer');
+	}
+	const [fromColumn, toColumn] = direction === 'ancestors' ? ['child_id', 'parent_id'] : ['parent_id', 'child_id'];
+
+	const {rows} = await orm.bookshelf.knex.raw(`
+		WITH RECURSIVE visited(revision_id, depth) AS (
+			SELECT ${toColumn}, 1 FROM bookbrainz.revision_parent WHERE ${fromColumn} = ?
+			UNION
+			SELECT revision_parent.${toColumn}, visited.depth + 1
+			FROM visited
+			JOIN bookbrainz.revision_parent ON revision_parent.${fromColumn} = visited.revision_id
+			WHERE ?::int IS NULL OR visited.depth < ?::int
+		)
+		SELECT revision_id, min(depth) AS depth
+		FROM visited
+		GROUP BY revision_id
+		ORDER BY depth, revision_id DESC`, [revisionId, maxDepth, maxDepth]);
+
+	return rows.map((row) => ({depth: row.depth, revisionId: row.revision_id}));
+}
+
+/**
+ * Fetches all revisions which precede a revision in the revision graph, which
+ * includes the revisions of entities that have been merged by a merge revision.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {number} revisionId - ID of the revision
+ * @param {RevisionGraphOptions} [options] - Depth limit of the traversal
+ * @returns {Promise<RevisionGraphNodeT[]>} - The ancestors, closest first
+ */
+export function getRevisionAncestors(
+	orm: ORM, revisionId: number, options: RevisionGraphOptions = {}
+): Promise<RevisionGraphNodeT[]> {
+	return traverseRevisionGraph(orm, revisionId, 'ancestors', options);
+}
+
+/**
+ * Fetches all revisions which succeed a revision in the revision graph.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {number} revisionId - ID of the revision
+ * @param {RevisionGraphOptions} [options] - Depth limit of the traversal
+ * @returns {Promise<RevisionGraphNodeT[]>} - The descendants, closest first
+ */
+export function getRevisionDescendants(
+	orm: ORM, revisionId: number, options: RevisionGraphOptions = {}
+): Promise<RevisionGraphNodeT[]> {
+	return traverseRevisionGraph(orm, revisionId, 'descendants', options);
+}
+
+/**
+ * Finds the closest common ancestor of two revisions, a revision counts as
+ * its own ancestor. If several ancestors are equally close, the latest one
+ * is returned.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {number} revisionId - ID of the first revision
+ * @param {number} otherRevisionId - ID of the second revision
+ * @returns {Promise<number | null>} - ID of the common ancestor, null if the revisions have none
+ */
+export async function getCommonAncestor(
+	orm: ORM, revisionId: number, otherRevisionId: number
+): Promise<number | null> {
+	if (revisionId === otherRevisionId) {
+		return revisionId;
+	}
+
+	const {rows} = await orm.bookshelf.knex.raw(`
+		WITH RECURSIVE ancestor(start_id, revision_id, depth) AS (
+			SELECT start_id, start_id, 0 FROM unnest(?::int[]) AS start_id
+			UNION
+			SELECT ancestor.start_id, revision_parent.parent_id, ancestor.depth + 1
+			FROM ancestor
+			JOIN bookbrainz.revision_parent ON revision_parent.child_id = ancestor.revision_id
+		), closest_ancestor AS (
+			SELECT start_id, revision_id, min(depth) AS depth
+			FROM ancestor
+			GROUP BY start_id, revision_id
+		)
+		SELECT revision_id
+		FROM closest_ancestor
+		GROUP BY revision_id
+		HAVING count(*) = 2
+		ORDER BY sum(depth), revision_id DESC
+		LIMIT 1`, [[revisionId, otherRevisionId]]);
+
+	return rows.length ? rows[0].revision_id : null;
+}
+
+/**
+ * Fetches all entities which have been merged into an entity over time,
+ * including entities which have been merged into these entities before, and
+ * merges which have been reverted since.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} bbid - BBID of the entity
+ * @returns {Promise<MergedEntityT[]>} - The merged entities, in the order in which they have been merged
+ */
+export async function getMergedEntities(orm: ORM, bbid: string): Promise<MergedEntityT[]> {
+	const {Entity} = orm;
+	const entityHeader = await new Entity({bbid}).fetch({require: true});
+	// Throws for invalid entity types, which are interpolated into the query below
+	getEntityModelByType(orm, entityHeader.get('type'));
+	const revisionTable = `bookbrainz.${_.snakeCase(entityHeader.get('type'))}_revision`;
+
+	// Merge revisions keep the data of the target and remove the data of the merged entities
+	const {rows} = await orm.bookshelf.knex.raw(`
+		WITH RECURSIVE merged(bbid, target_bbid, revision_id) AS (
+			SELECT source.bbid, target.bbid, target.id
+			FROM ${revisionTable} AS target
+			JOIN ${revisionTable} AS source ON source.id = target.id
+				AND source.is_merge AND source.data_id IS NULL
+			WHERE target.bbid = ? AND target.is_merge AND target.data_id IS NOT NULL
+			UNION
+			SELECT source.bbid, target.bbid, target.id
+			FROM merged
+			JOIN ${revisionTable} AS target ON target.bbid = merged.bbid
+				AND target.is_merge AND target.data_id IS NOT NULL
+			JOIN ${revisionTable} AS source ON source.id = target.id
+				AND source.is_merge AND source.data_id IS NULL
+		)
+		SELECT merged.bbid, merged.target_bbid, merged.revision_id, revision.created_at,
+			EXISTS (
+				SELECT 1 FROM bookbrainz.entity_redirect WHERE entity_redirect.source_bbid = merged.bbid
+			) AS redirected
+		FROM merged
+		JOIN bookbrainz.revision ON revision.id = merged.revision_id
+		ORDER BY merged.revision_id, merged.bbid`, [bbid]);
+
+	return rows.map((row) => ({
+		bbid: row.bbid,
+		mergedAt: row.created_at,
+		redirected: row.redirected,
+		revisionId: row.revision_id,
+		targetBbid: row.target_bbid
+	}));
+}
@@ -0,0 +1,378 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {ENTITY_TYPES, type EntityTypeString} from '../types/entity';
+import {
+	addRevisionParents, createNote, getMasterRevision, getRelationshipsOfData, incrementEditorRevisionCount,
+	saveRelationshipSetsOfOtherEntities, setMasterRevision
+} from './entity/helpers';
+import {getAddedItems, getRemovedItems} from './set';
+import type {EntityDiffT} from './diff';
+import {HISTORY_BBID_QUERY} from './entity/history';
+import type {ORM} from '..';
+import type {Transaction} from './types';
+import {emitAfterCommit} from '../events';
+import {getEntityModelByType} from './entity/misc';
+import {isSameRelationship} from './entity/merge-entities';
+import {updateRelationshipSets} from './relationship';
+
+
+export type RevertRevisionOptions = {
+
+	/** Revert even if some of the entities have been changed by later revisions, which are overwritten. */
+	force?: boolean;
+
+	/**
+	 * Restore the data of the entities as of this earlier revision instead of
+	 * the data before the reverted revision.
+	 */
+	toRevisionId?: number;
+};
+
+export type RevertRevisionResult = {
+
+	/** BBIDs of the entities whose data has been restored. */
+	revertedBbids: string[];
+
+	/** ID of the new revision. */
+	revisionId: number;
+};
+
+/**
+ * Kind of change of an entity by a revision. Changes of the relationship set
+ * by a reciprocal relationship, merges into the entity and restorations of a
+ * deleted entity are edits.
+ */
+export type EntityChangeKind = 'created' | 'deleted' | 'edited' | 'merged';
+
+export type EntityChangeT = {
+	bbid: string;
+	createdAt: Date;
+	entityType: EntityTypeString;
+	kind: EntityChangeKind;
+	revisionId: number;
+
+	/** BBID of the entity which a merged entity has been merged into, null for other kinds of changes. */
+	targetBbid: string | null;
+};
+
+export type EntityChangesT = {
+
+	/** Changed entities, in the order of the revisions and by BBID within a revision. */
+	changes: EntityChangeT[];
+
+	/** Whether there are more revisions after `lastRevisionId`. */
+	hasMore: boolean;
+
+	/** ID of the last revision which has been included, pass it to the next call to resume the feed. */
+	lastRevisionId: number;
+};
+
+/** Entity which has been changed by the reverted revision. */
+type RevertedEntityT = {
+	bbid: string,
+	entityType: EntityTypeString,
+	masterDataId: number | null,
+	masterRevisionId: number,
+	restoredDataId: number | null
+};
+
+/**
+ * Fetches the BBIDs and types of all entities which have been changed by a revision.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {number} revisionId - ID of the revision
+ * @returns {Promise<Array>} - BBIDs and types of the entities
+ */
+export async function getEntitiesOfRevision(
+	transacting: Transaction, revisionId: number
+): Promise<Array<{bbid: string, entityType: EntityTypeString}>> {
+	const bbidsByType = await Promise.all(ENTITY_TYPES.map((entityType) =>
+		transacting.pluck('bbid')
+			.from(`bookbrainz.${_.snakeCase(entityType)}_revision`)
+			.where('id', revisionId)));
+
+	return ENTITY_TYPES.flatMap((entityType, index) => bbidsByType[index].map((bbid) => ({bbid, entityType})));
+}
+
+/**
+ * Fetches the data ID which an entity had as of the given revision.
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {string} entityType - Type of the entity
+ * @param {string} bbid - BBID of the entity
+ * @param {number} revisionId - ID of the revision
+ * @param {boolean} inclusive - Whether changes by the given revision itself are included
+ * @returns {Promise<number | null>} - The data ID, null if the entity did not
+ * 		exist yet or was deleted at that time
+ */
+async function getDataIdAsOf(
+	transacting: Transaction, entityType: EntityTypeString, bbid: string, revisionId: number, inclusive: boolean
+): Promise<number | null> {
+	const entityRevision = await transacting.select('data_id')
+		.from(`bookbrainz.${_.snakeCase(entityType)}_revision`)
+		.where('bbid', bbid)
+		.where('id', inclusive ? '<=' : '<', revisionId)
+		.orderBy('id', 'desc')
+		.first();
+	return entityRevision?.data_id ?? null;
+}
+
+/**
+ * Restoring the data of an entity which has been changed by later revisions
+ * also drops or resurrects relationships which have been changed later on.
+ * Returns these relationship changes, so that they can be applied to the
+ * reciprocal relationship sets of the other entities.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Transaction} transacting - The current knex transaction
+ * @param {RevertedEntityT} entity - The reverted entity
+ * @returns {Promise<Array>} - Relationships which can be passed to `updateRelationshipSets`
+ */
+async function getRestoredRelationshipChanges(orm: ORM, transacting: Transaction, entity: RevertedEntityT) {
+	const [masterRelationships, restoredRelationships] = await Promise.all([
+		getRelationshipsOfData(orm, transacting, entity.entityType, entity.masterDataId),
+		getRelationshipsOfData(orm, transacting, entity.entityType, entity.restoredDataId)
+	]);
+	return [
+		...getAddedItems(masterRelationships, restoredRelationships, isSameRelationship)
+			.map((relationship) => ({..._.omit(relationship, 'id'), isAdded: true})),
+		...getRemovedItems(masterRelationships, restoredRelationships, isSameRelationship)
+			.map((relationship) => ({...relationship, isRemoved: true}))
+	];
+}
+
+/**
+ * Reverts a revision by creating a new revision which restores the data of
+ * every entity changed by that revision to the data before it (or to the data
+ * as of an earlier revision). Entities which have been created by the reverted
+ * revision are deleted.
+ * If later revisions have changed the same entities, the revert is refused
+ * unless it is forced; in that case relationships which have been changed by
+ * the later revisions are also updated in the relationship sets of the other
+ * entities involved.
+ * Reverting a merge restores the merged entities and removes their redirects.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {number} revisionId - ID of the revision which should be reverted
+ * @param {number} editorId - ID of the editor who reverts the revision
+ * @param {string} [note] - Optional edit note for the new revision
+ * @param {RevertRevisionOptions} [options] - Options to force the revert or to choose an earlier revision
+ * @returns {Promise<RevertRevisionResult>} - The reverted entities and the ID of the new revision
+ */
+export function revertRevision(
+	orm: ORM, revisionId: number, editorId: number, note?: string,
+	{force = false, toRevisionId}: RevertRevisionOptions = {}
+): Promise<RevertRevisionResult> {
+	const {Revision} = orm;
+
+	return orm.bookshelf.transaction<RevertRevisionResult>(async (transacting) => {
+		const revision = await new Revision({id: revisionId}).fetch({require: true, transacting});
+		if (!_.isNil(toRevisionId) && toRevisionId >= revisionId) {
+			throw new Error('Revisions can only be reverted to an earlier revision');
+		}
+
+		const entities: RevertedEntityT[] = await Promise.all(
+			(await getEntitiesOfRevision(transacting, revisionId)).map(async ({bbid, entityType}) => {
+				const masterRevision = await getMasterRevision(transacting, entityType, bbid);
+				const restoredDataId = _.isNil(toRevisionId) ?
+					await getDataIdAsOf(transacting, entityType, bbid, revisionId, false) :
+					await getDataIdAsOf(transacting, entityType, bbid, toRevisionId, true);
+				return {
+					bbid, entityType, masterDataId: masterRevision.dataId,
+					masterRevisionId: masterRevision.revisionId, restoredDataId
+				};
+			})
+		);
+
+		const changedLaterEntities = entities.filter((entity) => entity.masterRevisionId !== revisionId);
+		if (changedLaterEntities.length && !force) {
+			throw new Error(`Reverting revision ${revisionId} would overwrite later revisions of ${
+				_.map(changedLaterEntities, 'bbid').join(', ')}`);
+		}
+		const revertedEntities = entities.filter((entity) => entity.restoredDataId !== entity.masterDataId);
+		if (!revertedEntities.length) {
+			throw new Error(`Revision ${revisionId} has no changes which can be reverted`);
+		}
+		const revertedBbids = _.map(revertedEntities, 'bbid');
+
+		const relationshipChanges = await Promise.all(revertedEntities
+			.filter((entity) => entity.masterRevisionId !== revisionId)
+			.map((entity) => getRestoredRelationshipChanges(orm, transacting, entity)));
+		const relationshipSets = await updateRelationshipSets(
+			orm, transacting, null, _.uniqWith(relationshipChanges.flat(), _.isEqual)
+		);
+
+		const newRevision = await new Revision({authorId: editorId}).save(null, {transacting});
+		const newRevisionId: number = newRevision.get('id');
+
+		await Promise.all(revertedEntities.map(({bbid, entityType, restoredDataId}) =>
+			setMasterRevision(transacting, {bbid, dataId: restoredDataId, entityType, revisionId: newRevisionId})));
+		const otherParentRevisionIds = await saveRelationshipSetsOfOtherEntities(
+			transacting, relationshipSets, _.map(entities, 'bbid'), newRevisionId
+		);
+
+		if (revision.get('isMerge')) {
+			// Restored entities must no longer redirect to the merge target
+			await transacting('bookbrainz.entity_redirect')
+				.whereIn('source_bbid', _.map(revertedEntities.filter((entity) => entity.restoredDataId), 'bbid'))
+				.del();
+		}
+
+		await Promise.all([
+			addRevisionParents(transacting, newRevisionId, [
+				..._.map(revertedEntities, 'masterRevisionId'), ...otherParentRevisionIds
+			]),
+			createNote(transacting, editorId, newRevisionId, note),
+			incrementEditorRevisionCount(transacting, editorId),
+			transacting('bookbrainz.editor')
+				.where('id', revision.get('authorId'))
+				.increment('revisions_reverted', 1)
+		]);
+
+		emitAfterCommit(orm.events, transacting, 'revision:reverted', {
+			editorId, revertedBbids, revertedRevisionId: revisionId, revisionId: newRevisionId
+		});
+		return {revertedBbids, revisionId: newRevisionId};
+	});
+}
+
+/**
+ * Compares the entity data of any two revisions of an entity, which do not
+ * have to be parent and child. Revisions of entities which have been merged
+ * into the entity are accepted as well, in that case the data of the merged
+ * entity as of that revision is compared.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - The entity model name
+ * @param {string} bbid - BBID of the entity
+ * @param {number} fromRevisionId - ID of the revision whose data is the base of the comparison
+ * @param {number} toRevisionId - ID of the revision whose data is compared to the base
+ * @returns {Promise<EntityDiffT>} - The changes from the first to the second revision per section
+ */
+export async function compareRevisions<T extends EntityTypeString>(
+	orm: ORM, entityType: T, bbid: string, fromRevisionId: number, toRevisionId: number
+): Promise<EntityDiffT<T>> {
+	// Throws for invalid entity types, which are interpolated into the query below
+	getEntityModelByType(orm, entityType);
+	const RevisionModel = orm[`${entityType}Revision`];
+
+	const revisionIds = [fromRevisionId, toRevisionId];
+	// A merge revision also changes the merged entities, prefer the row of the entity itself
+	const {rows} = await orm.bookshelf.knex.raw(`
+		WITH RECURSIVE ${HISTORY_BBID_QUERY}
+		SELECT DISTINCT ON (entity_revision.id) entity_revision.id, entity_revision.bbid, entity_revision.data_id
+		FROM bookbrainz.${_.snakeCase(entityType)}_revision AS entity_revision
+		WHERE entity_revision.bbid IN (SELECT bbid FROM history_bbid)
+			AND entity_revision.id = ANY(?::int[])
+		ORDER BY entity_revision.id, entity_revision.bbid = ?::uuid DESC`, [bbid, revisionIds, bbid]);
+
+	const [fromRevision, toRevision] = revisionIds.map((revisionId) => {
+		const row = _.find(rows, {id: revisionId});
+		if (!row) {
+			throw new Error(`Revision ${revisionId} does not belong to ${entityType} ${bbid}`);
+		}
+		return new RevisionModel({bbid: row.bbid, dataId: row.data_id, id: row.id});
+	});
+	// @ts-expect-error - The bookshelf type declarations do not support our models which do not use ES
+	// class inheritance. So we either have to adapt all models or switch to a different ORM (BB-729).
+	return toRevision.diff(fromRevision, {semantic: true});
+}
+
+/**
+ * Fetches the entities which have been changed by the revisions after the
+ * given revision, to replicate changes into other systems. Revisions are never
+ * split between calls, so the feed can be resumed with `lastRevisionId`.
+ *
+ * Revision IDs are taken when a transaction inserts its revision, so a revision
+ * with a lower ID may still be committed after one with a higher ID. The feed
+ * therefore stops before the first revision whose transaction is not older than
+ * the oldest transaction which is still in progress. Later revisions are
+ * returned by a following call, once the transactions before them have ended.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {number} lastRevisionId - ID of the last revision which has already been processed, 0 to start
+ * @param {number} [limit] - Maximum number of revisions
+ * @returns {Promise<EntityChangesT>} - The changed entities and the position of the feed
+ */
+export async function getChangesSince(orm: ORM, lastRevisionId: number, limit = 100): Promise<EntityChangesT> {
+	if (!Number.isInteger(lastRevisionId) || lastRevisionId < 0) {
+		throw new Error('Last revision ID has to be a non-negative integer');
+	}
+	if (!Number.isInteger(limit) || limit < 1) {
+		throw new Error('Limit has to be a positive integer');
+	}
+
+	// Entity types are constants, so they are safe to use as table names
+	const entries = ENTITY_TYPES.map((entityType) => {
+		const revisionTable = `bookbrainz.${_.snakeCase(entityType)}_revision`;
+		return `
+			SELECT '${entityType}' AS type, entity_revision.id, entity_revision.bbid, entity_revision.data_id,
+				entity_revision.is_merge,
+				NOT EXISTS (
+					SELECT 1 FROM ${revisionTable} AS previous
+					WHERE previous.bbid = entity_revision.bbid AND previous.id < entity_revision.id
+				) AS is_new,
+				(
+					SELECT target.bbid FROM ${revisionTable} AS target
+					WHERE target.id = entity_revision.id AND target.is_merge AND target.data_id IS NOT NULL
+					LIMIT 1
+				) AS target_bbid
+			FROM ${revisionTable} AS entity_revision
+			WHERE entity_revision.id IN (SELECT id FROM changed_revision)`;
+	});
+
+	const {rows} = await orm.bookshelf.knex.raw(`
+		WITH horizon AS (
+			SELECT (txid_snapshot_xmin(txid_current_snapshot()) % 4294967296)::text::xid AS xid
+		), changed_revision AS (
+			SELECT id, created_at FROM bookbrainz.revision
+			WHERE id > ? AND id < ALL (
+				SELECT recent.id FROM bookbrainz.revision AS recent, horizon
+				WHERE recent.id > ? AND age(recent.xmin) <= age(horizon.xid)
+			)
+			ORDER BY id
+			LIMIT ?
+		)
+		SELECT changed_revision.id AS revision_id, changed_revision.created_at, entry.type, entry.bbid,
+			entry.data_id, entry.is_merge, entry.is_new, entry.target_bbid
+		FROM changed_revision
+		LEFT JOIN (${entries.join(' UNION ALL ')}) AS entry ON entry.id = changed_revision.id
+		ORDER BY changed_revision.id, entry.bbid`, [lastRevisionId, lastRevisionId, limit + 1]);
+
+	const revisionIds: number[] = _.take(_.sortedUniq(rows.map((row): number => row.revision_id)), limit);
+	const includedRows = rows.filter((row) => row.bbid && row.revision_id <= _.last(revisionIds));
+	const changes = includedRows.map((row): EntityChangeT => {
+		let kind: EntityChangeKind = 'edited';
+		if (row.data_id === null) {
+			kind = row.is_merge ? 'merged' : 'deleted';
+		}
+		else if (row.is_new) {
+			kind = 'created';
+		}
+		return {
+			bbid: row.bbid,
+			createdAt: row.created_at,
+			entityType: row.type,
+			kind,
+			revisionId: row.revision_id,
+			targetBbid: kind === 'merged' ? row.target_bbid : null
+		};
+	});
+
+	return {
+		changes,
+		hasMore: rows.some((row) => row.revision_id > _.last(revisionIds)),
+		lastRevisionId: _.last(revisionIds) ?? lastRevisionId
+	};
+}
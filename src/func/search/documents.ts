@@ -0,0 +1,224 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {ENTITY_TYPES, type EntityTypeString} from '../../types/entity';
+import {
+	type SerializedAliasT, type SerializedAreaT, type SerializedEntityT, serializeEntities
+} from '../serializers/canonical';
+import type {ORM} from '../..';
+
+
+export type SearchAliasT = {
+
+	/** ISO 639-3 code of the alias language. */
+	language: string | null;
+	name: string;
+	primary: boolean;
+	sortName: string;
+};
+
+/**
+ * Denormalised entity for search engines. All names of related entities are
+ * included, so that the document can be indexed without further lookups.
+ * Properties which do not apply to an entity type are empty.
+ */
+export type SearchDocumentT = {
+	aliases: SearchAliasT[];
+
+	/** Names of the areas of the entity, like begin and end area or the areas of release events. */
+	areas: string[];
+
+	/** Names of the author credit, for editions and edition groups. */
+	authors: string[];
+	bbid: string;
+	defaultAlias: SearchAliasT | null;
+	disambiguation: string | null;
+
+	/** Name of the edition group of an edition. */
+	editionGroup: string | null;
+	identifiers: Array<{type: string, value: string}>;
+
+	/** Names of the publishers of an edition. */
+	publishers: string[];
+	type: EntityTypeString;
+};
+
+export type SearchDocumentBatchT = {
+
+	/** BBID of the last entity of the batch, pass it as `after` to resume the iteration. */
+	cursor: string;
+	documents: SearchDocumentT[];
+};
+
+export type SearchDocumentOptions = {
+
+	/** Only entities with a greater BBID are included, pass the `cursor` of a previous batch. */
+	after?: string | null;
+
+	/** Maximum number of documents per batch, defaults to 100. */
+	batchSize?: number;
+
+	/** Entity types which are included, defaults to all types. */
+	types?: EntityTypeString[];
+};
+
+function toSearchAlias(alias: SerializedAliasT): SearchAliasT {
+	return {
+		language: alias.language?.isoCode3 ?? null,
+		name: alias.name,
+		primary: alias.primary,
+		sortName: alias.sortName
+	};
+}
+
+function getAreas(entity: SerializedEntityT): SerializedAreaT[] {
+	switch (entity.type) {
+		case 'Author':
+			return [entity.beginArea, entity.endArea];
+		case 'Edition':
+			return entity.releaseEvents.map((releaseEvent) => releaseEvent.area);
+		case 'Publisher':
+			return [entity.area];
+		default:
+			return [];
+	}
+}
+
+/**
+ * Flattens an entity in canonical JSON format into a search document.
+ * @param {SerializedEntityT} entity - The entity in canonical JSON format
+ * @param {string | null} [editionGroupName] - Name of the edition group of an edition
+ * @returns {SearchDocumentT} - The search document
+ */
+export function toSearchDocument(entity: SerializedEntityT, editionGroupName: string | null = null): SearchDocumentT {
+	const authorCredit = 'authorCredit' in entity ? entity.authorCredit ?? [] : [];
+
+	return {
+		aliases: entity.aliases.map(toSearchAlias),
+		areas: _.uniq(_.compact(getAreas(entity)).map((area) => area.name)),
+		authors: authorCredit.map((name) => name.name),
+		bbid: entity.bbid,
+		defaultAlias: entity.defaultAlias && toSearchAlias(entity.defaultAlias),
+		disambiguation: entity.disambiguation,
+		editionGroup: entity.type === 'Edition' ? editionGroupName : null,
+		identifiers: entity.identifiers.map((identifier) => ({type: identifier.type.label, value: identifier.value})),
+		publishers: entity.type === 'Edition' ? _.compact(entity.publishers.map((publisher) => publisher.name)) : [],
+		type: entity.type
+	};
+}
+
+/**
+ * Loads entities of one type and builds their search documents.
+ * Missing, deleted and merged entities are skipped.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - The entity model name
+ * @param {string[]} bbids - BBIDs of the entities
+ * @returns {Promise<SearchDocumentT[]>} - The search documents, in the order of the BBIDs
+ */
+export async function getSearchDocuments(
+	orm: ORM, entityType: EntityTypeString, bbids: string[]
+): Promise<SearchDocumentT[]> {
+	const {entities} = await serializeEntities(orm, entityType, bbids);
+	let editionGroupNames: Record<string, string> = {};
+	if (entityType === 'Edition') {
+		const editionGroupBbids = _.uniq(_.compact(entities.map((entity) => 'editionGroupBbid' in entity &&
+			entity.editionGroupBbid)));
+		const editionGroups = editionGroupBbids.length ? await orm.bookshelf.knex('bookbrainz.edition_group')
+			.select('bbid', 'name')
+			.whereIn('bbid', editionGroupBbids)
+			.andWhere('master', true) : [];
+		editionGroupNames = _.fromPairs(editionGroups.map((editionGroup) => [editionGroup.bbid, editionGroup.name]));
+	}
+	const documentsByBbid = _.keyBy(entities.map((entity) => toSearchDocument(
+		entity, 'editionGroupBbid' in entity ? editionGroupNames[entity.editionGroupBbid] ?? null : null
+	)), 'bbid');
+	return _.compact(bbids.map((bbid) => documentsByBbid[bbid]));
+}
+
+/**
+ * Fetches the search documents of the next entities in the order of their BBIDs.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string[]} types - Entity types which are included
+ * @param {string | null} after - Only entities with a greater BBID are included
+ * @param {number} limit - Maximum number of entities
+ * @returns {Promise<Object | null>} - The batch and its number of entities, null if there are no more entities
+ */
+async function fetchSearchDocumentBatch(
+	orm: ORM, types: EntityTypeString[], after: string | null, limit: number
+): Promise<SearchDocumentBatchT & {size: number} | null> {
+	// Every type is sorted and limited separately, so that the BBID indexes are used
+	// Entity types are validated by the caller, so they are safe to use as table names
+	const entries = types.map((entityType) => `(
+		SELECT bbid, '${entityType}' AS type FROM bookbrainz.${_.snakeCase(entityType)}
+		WHERE master AND data_id IS NOT NULL${after ? ' AND bbid > ?::uuid' : ''}
+		ORDER BY bbid
+		LIMIT ?
+	)`);
+	const {rows} = await orm.bookshelf.knex.raw(
+		`${entries.join(' UNION ALL ')} ORDER BY bbid LIMIT ?`,
+		[...types.flatMap(() => (after ? [after, limit] : [limit])), limit]
+	);
+	if (!rows.length) {
+		return null;
+	}
+
+	const documentsByType = await Promise.all(_.map(_.groupBy(rows, 'type'), (typeRows, entityType) =>
+		getSearchDocuments(orm, entityType as EntityTypeString, typeRows.map((row) => row.bbid))));
+	const documentsByBbid = _.keyBy(documentsByType.flat(), 'bbid');
+	return {
+		cursor: _.last(rows as Array<{bbid: string}>).bbid,
+		documents: _.compact(rows.map((row) => documentsByBbid[row.bbid])),
+		size: rows.length
+	};
+}
+
+/**
+ * Iterates over all entities which are neither deleted nor merged, in the
+ * order of their BBIDs, and yields their search documents in batches.
+ * The iteration can be resumed by passing the cursor of the last batch.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {SearchDocumentOptions} [options] - Entity types, batch size and position of the iteration
+ * @yields {SearchDocumentBatchT} - The search documents of the next entities and the cursor
+ */
+export async function* generateSearchDocuments(
+	orm: ORM, {after = null, batchSize = 100, types = [...ENTITY_TYPES]}: SearchDocumentOptions = {}
+): AsyncGenerator<SearchDocumentBatchT> {
+	if (!Number.isInteger(batchSize) || batchSize < 1) {
+		throw new Error('Batch size has to be a positive integer');
+	}
+	const invalidTypes = _.difference(types, ENTITY_TYPES);
+	if (invalidTypes.length) {
+		throw new Error(`Unknown entity types ${invalidTypes.join(', ')}`);
+	}
+
+	let cursor = after;
+	let hasMore = true;
+	while (hasMore) {
+		// Each batch starts after the last entity of the previous batch
+		// eslint-disable-next-line no-await-in-loop
+		const batch = await fetchSearchDocumentBatch(orm, types, cursor, batchSize);
+		if (!batch) {
+			return;
+		}
+		const {size, ...documentBatch} = batch;
+		yield documentBatch;
+		({cursor} = documentBatch);
+		hasMore = size === batchSize;
+	}
+}
@@ -0,0 +1,243 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {ENTITY_TYPES, type EntityDataT, type EntityTypeString} from '../../types/entity';
+import type {ParsedAuthor, ParsedPublisher} from '../../types/parser';
+import type {ORM} from '../..';
+import {parseDate} from '../../util';
+
+
+export type DuplicateSignalT =
+	| {name: string, similarity: number, type: 'alias'}
+	| {identifierTypeId: number, type: 'identifier', value: string}
+	| {type: 'area' | 'authorCredit' | 'dates'};
+
+/**
+ * Entity data which is compared with existing entities, entity data for
+ * `createEntity` and parsed import data can be passed as is.
+ */
+export type DuplicateQueryT = Partial<
+	Pick<EntityDataT, 'alias' | 'authorCredit' | 'identifiers'> &
+	Pick<ParsedAuthor, 'beginDate' | 'endDate'> &
+	Pick<ParsedPublisher, 'areaId'>
+>;
+
+export type DuplicateCandidateT = {
+	bbid: string;
+	disambiguation: string | null;
+
+	/** Name of the default alias. */
+	name: string | null;
+
+	/** Likelihood that the entity is a duplicate, between 0 and 1. */
+	score: number;
+
+	/** Signals which have matched, the best matching alias first. */
+	signals: DuplicateSignalT[];
+};
+
+export type FindDuplicatesOptions = {
+
+	/** Entities which are never reported, like the entity itself when it is edited. */
+	excludeBbids?: string[];
+
+	/** Maximum number of candidates, defaults to 10. */
+	limit?: number;
+
+	/** Minimum trigram similarity of alias names, defaults to 0.5. */
+	minSimilarity?: number;
+};
+
+/** Weight of each signal in the score, alias signals are weighted by their similarity. */
+const SIGNAL_WEIGHTS: Record<DuplicateSignalT['type'], number> = {
+	alias: 0.5,
+	area: 0.15,
+	authorCredit: 0.25,
+	dates: 0.15,
+	identifier: 0.5
+};
+
+// Only alias signals are partial matches
+function getSignalStrength(signal: DuplicateSignalT): number {
+	return 'similarity' in signal ? signal.similarity : 1;
+}
+
+/**
+ * Calculates the score of a duplicate candidate. Only the best alias and the
+ * first shared identifier count, so that entities with many similar aliases
+ * are not preferred.
+ * @param {DuplicateSignalT[]} signals - Signals which have matched
+ * @returns {number} - The score, between 0 and 1
+ */
+export function getDuplicateScore(signals: DuplicateSignalT[]): number {
+	const bestSignals = _.uniqBy(_.orderBy(signals, getSignalStrength, 'desc'), 'type');
+	const score = _.sumBy(bestSignals, (signal) => SIGNAL_WEIGHTS[signal.type] * getSignalStrength(signal));
+	return Math.min(1, _.round(score, 4));
+}
+
+/**
+ * Checks whether two year ranges overlap. Missing years are open ends, but
+ * each range has to have at least one year.
+ * @param {Array} range - Begin and end year of the first range
+ * @param {Array} other - Begin and end year of the second range
+ * @returns {boolean} - Whether the ranges overlap
+ */
+function doYearRangesOverlap(range: Array<number | null>, other: Array<number | null>): boolean {
+	if (range.every(_.isNil) || other.every(_.isNil)) {
+		return false;
+	}
+	const [begin, end] = range;
+	const [otherBegin, otherEnd] = other;
+	return (begin ?? -Infinity) <= (otherEnd ?? Infinity) && (otherBegin ?? -Infinity) <= (end ?? Infinity);
+}
+
+/**
+ * Fetches the aliases of master entities which are similar to any of the
+ * given names, ignoring case and accents.
+ * The `%` operator uses the trigram index of `sql/search.sql` on the
+ * normalized alias names, its threshold is only changed for the current
+ * transaction. Without the index all aliases are compared with the names.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityView - Name of the view of the entity type
+ * @param {string[]} names - Names of the new entity
+ * @param {string[]} excludeBbids - Entities which are skipped
+ * @param {number} minSimilarity - Minimum trigram similarity
+ * @returns {Promise<Object[]>} - BBID, alias name and similarity of the matching aliases
+ */
+function fetchSimilarAliases(
+	orm: ORM, entityView: string, names: string[], excludeBbids: string[], minSimilarity: number
+): Promise<Array<{bbid: string, name: string, similarity: number}>> {
+	return orm.bookshelf.knex.transaction(async (transacting) => {
+		await transacting.raw('SELECT set_config(\'pg_trgm.similarity_threshold\', ?, true)', [String(minSimilarity)]);
+		const {rows} = await transacting.raw(`
+			SELECT entity.bbid, alias.name, max(similarity(bookbrainz.unaccent_lower(alias.name), input.name))
+				AS similarity
+			FROM (SELECT bookbrainz.unaccent_lower(input_name) AS name FROM unnest(?::text[]) AS input_name) AS input
+			JOIN bookbrainz.alias ON bookbrainz.unaccent_lower(alias.name) % input.name
+			JOIN bookbrainz.alias_set__alias AS set_alias ON set_alias.alias_id = alias.id
+			JOIN ${entityView} AS entity ON entity.alias_set_id = set_alias.set_id
+			WHERE entity.master AND entity.data_id IS NOT NULL AND NOT entity.bbid = ANY(?::uuid[])
+				AND similarity(bookbrainz.unaccent_lower(alias.name), input.name) >= ?
+			GROUP BY entity.bbid, alias.name`, [names, excludeBbids, minSimilarity]);
+		return rows;
+	});
+}
+
+/**
+ * Finds entities which are likely duplicates of new or imported entity data.
+ * Candidates are master entities of the same type which are neither deleted
+ * nor merged and which have an alias with a similar name (ignoring case and
+ * accents) or share an identifier of the same type. The same author credit
+ * (for editions and edition groups), overlapping dates (for authors) and the
+ * same area (for publishers) increase the score of a candidate.
+ * This needs the extensions, the `bookbrainz.unaccent_lower` function and the
+ * trigram index of `sql/search.sql`.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - The entity model name
+ * @param {DuplicateQueryT} data - Data of the new entity
+ * @param {FindDuplicatesOptions} [options] - Excluded entities, number of candidates and minimum similarity
+ * @returns {Promise<DuplicateCandidateT[]>} - The candidates, most likely duplicates first
+ */
+export async function findDuplicates(
+	orm: ORM, entityType: EntityTypeString, data: DuplicateQueryT, options: FindDuplicatesOptions = {}
+): Promise<DuplicateCandidateT[]> {
+	const {excludeBbids = [], limit = 10, minSimilarity = 0.5} = options;
+	if (!ENTITY_TYPES.includes(entityType)) {
+		throw new Error(`Unknown entity type ${entityType}`);
+	}
+	if (!Number.isInteger(limit) || limit < 1) {
+		throw new Error('Limit has to be a positive integer');
+	}
+	if (!(minSimilarity > 0 && minSimilarity <= 1)) {
+		throw new Error('Minimum similarity has to be greater than 0 and at most 1');
+	}
+
+	const names = _.uniq(_.compact((data.alias ?? []).map((alias) => _.trim(alias.name))));
+	const identifiers = _.uniqBy((data.identifiers ?? []).filter((identifier) => identifier.value),
+		(identifier) => `${identifier.typeId}:${identifier.value}`);
+	if (!names.length && !identifiers.length) {
+		return [];
+	}
+
+	// The entity type is validated above, so it is safe to use as table name
+	const entityView = `bookbrainz.${_.snakeCase(entityType)}`;
+	const [aliasRows, {rows: identifierRows}] = await Promise.all([
+		fetchSimilarAliases(orm, entityView, names, excludeBbids, minSimilarity),
+		orm.bookshelf.knex.raw(`
+			SELECT DISTINCT entity.bbid, identifier.type_id, identifier.value
+			FROM ${entityView} AS entity
+			JOIN bookbrainz.identifier_set__identifier AS set_identifier
+				ON set_identifier.set_id = entity.identifier_set_id
+			JOIN bookbrainz.identifier ON identifier.id = set_identifier.identifier_id
+			JOIN unnest(?::int[], ?::text[]) AS input(type_id, value)
+				ON input.type_id = identifier.type_id AND input.value = identifier.value
+			WHERE entity.master AND entity.data_id IS NOT NULL AND NOT entity.bbid = ANY(?::uuid[])`, [
+			identifiers.map((identifier) => identifier.typeId), identifiers.map((identifier) => identifier.value),
+			excludeBbids
+		])
+	]);
+
+	const signalsByBbid: Record<string, DuplicateSignalT[]> = {};
+	for (const row of aliasRows) {
+		(signalsByBbid[row.bbid] ??= []).push({name: row.name, similarity: Number(row.similarity), type: 'alias'});
+	}
+	for (const row of identifierRows) {
+		(signalsByBbid[row.bbid] ??= []).push({identifierTypeId: row.type_id, type: 'identifier', value: row.value});
+	}
+	const candidateBbids = Object.keys(signalsByBbid);
+	if (!candidateBbids.length) {
+		return [];
+	}
+
+	// Additional signals are only checked for candidates, they are too weak on their own
+	const hasAuthorCredit = entityType === 'Edition' || entityType === 'EditionGroup';
+	const {rows: candidateRows} = await orm.bookshelf.knex.raw(`
+		SELECT entity.*, ARRAY(
+			SELECT author_bbid FROM bookbrainz.author_credit_name AS credit_name
+			WHERE credit_name.author_credit_id = ${hasAuthorCredit ? 'entity.author_credit_id' : 'NULL'}
+			ORDER BY credit_name.position
+		) AS author_bbids
+		FROM ${entityView} AS entity
+		WHERE entity.master AND entity.bbid = ANY(?::uuid[])`, [candidateBbids]);
+
+	const authorBbids = (data.authorCredit ?? []).map((name) => name.authorBBID);
+	const years = [parseDate(data.beginDate)[0], parseDate(data.endDate)[0]];
+	const candidates = candidateRows.map((row): DuplicateCandidateT => {
+		const signals = _.orderBy(signalsByBbid[row.bbid], [(signal) => signal.type === 'alias', getSignalStrength],
+			['desc', 'desc']);
+		if (authorBbids.length && _.isEqual(row.author_bbids, authorBbids)) {
+			signals.push({type: 'authorCredit'});
+		}
+		if (entityType === 'Author' && doYearRangesOverlap(years, [row.begin_year, row.end_year])) {
+			signals.push({type: 'dates'});
+		}
+		if (entityType === 'Publisher' && data.areaId && row.area_id === data.areaId) {
+			signals.push({type: 'area'});
+		}
+		return {
+			bbid: row.bbid,
+			disambiguation: row.disambiguation,
+			name: row.name,
+			score: getDuplicateScore(signals),
+			signals
+		};
+	});
+
+	return _.take(_.orderBy(candidates, ['score', 'bbid'], ['desc', 'asc']), limit);
+}
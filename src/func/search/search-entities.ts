@@ -0,0 +1,143 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {ENTITY_TYPES, type EntityTypeString} from '../../types/entity';
+import type {ORM} from '../..';
+
+
+export type SearchEntitiesOptions = {
+
+	/** Only aliases in these languages are matched, defaults to all languages. */
+	languageIds?: number[];
+
+	/** Maximum number of results, defaults to 20. */
+	limit?: number;
+
+	/** Number of results which are skipped, for pagination. */
+	offset?: number;
+
+	/** Entity types which are searched, defaults to all types. */
+	types?: EntityTypeString[];
+};
+
+export type SearchResultT = {
+	bbid: string;
+	defaultAlias: {languageId: number | null, name: string, sortName: string} | null;
+	disambiguation: string | null;
+
+	/** Relevance of the best matching alias, higher is better. */
+	score: number;
+	type: EntityTypeString;
+};
+
+/**
+ * Validates the search options and fills in the defaults.
+ * @param {SearchEntitiesOptions} options - The search options
+ * @returns {Required<SearchEntitiesOptions>} - The validated options, `languageIds` is null for all languages
+ */
+function validateSearchOptions(options: SearchEntitiesOptions): Required<SearchEntitiesOptions> {
+	const {languageIds = null, limit = 20, offset = 0, types = [...ENTITY_TYPES]} = options;
+	const invalidTypes = _.difference(types, ENTITY_TYPES);
+	if (invalidTypes.length) {
+		throw new Error(`Unknown entity types ${invalidTypes.join(', ')}`);
+	}
+	if (!types.length) {
+		throw new Error('At least one entity type has to be searched');
+	}
+	if (languageIds && !languageIds.every(Number.isInteger)) {
+		throw new Error('Language IDs have to be integers');
+	}
+	if (!Number.isInteger(limit) || limit < 1) {
+		throw new Error('Limit has to be a positive integer');
+	}
+	if (!Number.isInteger(offset) || offset < 0) {
+		throw new Error('Offset has to be a non-negative integer');
+	}
+	return {languageIds, limit, offset, types};
+}
+
+/**
+ * Searches the alias names of all master entities which are neither deleted
+ * nor merged. Results are ranked by the trigram similarity of the whole name
+ * and of the words in the name, so that misspelled names and names which
+ * contain the search terms are found. Matching ignores case and accents.
+ * This needs the `pg_trgm` and `unaccent` extensions of PostgreSQL, the
+ * `bookbrainz.unaccent_lower` function and the alias name index, which are
+ * created by `sql/search.sql`. It is meant for small deployments and tests,
+ * large deployments should use a search server with the documents of
+ * `getSearchDocuments`.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} query - The search terms
+ * @param {SearchEntitiesOptions} [options] - Entity types, alias languages and page of the results
+ * @returns {Promise<SearchResultT[]>} - The matching entities, best matches first
+ */
+export async function searchEntities(
+	orm: ORM, query: string, options: SearchEntitiesOptions = {}
+): Promise<SearchResultT[]> {
+	const {languageIds, limit, offset, types} = validateSearchOptions(options);
+	const term = _.trim(query);
+	if (!term) {
+		return [];
+	}
+
+	// Entity types are validated above, so they are safe to use as table names
+	const entries = types.map((entityType) => `
+		SELECT bbid, '${entityType}' AS type, alias_set_id, default_alias_id, disambiguation
+		FROM bookbrainz.${_.snakeCase(entityType)}
+		WHERE master AND data_id IS NOT NULL`);
+
+	// Both trigram operators can use the index on the unaccented alias names of `sql/search.sql`,
+	// `%>` also matches names which contain the search terms as separate words
+	const {rows} = await orm.bookshelf.knex.raw(`
+		WITH matched_alias AS (
+			SELECT alias.id,
+				public.similarity(bookbrainz.unaccent_lower(alias.name), bookbrainz.unaccent_lower(?)) +
+				public.word_similarity(bookbrainz.unaccent_lower(?), bookbrainz.unaccent_lower(alias.name)) AS score
+			FROM bookbrainz.alias
+			WHERE (
+				bookbrainz.unaccent_lower(alias.name) OPERATOR(public.%) bookbrainz.unaccent_lower(?)
+				OR bookbrainz.unaccent_lower(alias.name) OPERATOR(public.%>) bookbrainz.unaccent_lower(?)
+			) AND (?::int[] IS NULL OR alias.language_id = ANY(?::int[]))
+		), matched AS (
+			SELECT entry.bbid, entry.type, entry.default_alias_id, entry.disambiguation,
+				max(matched_alias.score) AS score
+			FROM matched_alias
+			JOIN bookbrainz.alias_set__alias AS set_alias ON set_alias.alias_id = matched_alias.id
+			JOIN (${entries.join(' UNION ALL ')}) AS entry ON entry.alias_set_id = set_alias.set_id
+			GROUP BY entry.bbid, entry.type, entry.default_alias_id, entry.disambiguation
+		)
+		SELECT matched.bbid, matched.type, matched.disambiguation, matched.score,
+			default_alias.name, default_alias.sort_name, default_alias.language_id
+		FROM matched
+		LEFT JOIN bookbrainz.alias AS default_alias ON default_alias.id = matched.default_alias_id
+		ORDER BY matched.score DESC, matched.bbid
+		LIMIT ? OFFSET ?`, [term, term, term, term, languageIds, languageIds, limit, offset]);
+
+	return rows.map((row): SearchResultT => ({
+		bbid: row.bbid,
+		defaultAlias: row.name === null ? null : {
+			languageId: row.language_id,
+			name: row.name,
+			sortName: row.sort_name
+		},
+		disambiguation: row.disambiguation,
+		score: Number(row.score),
+		type: row.type
+	}));
+}
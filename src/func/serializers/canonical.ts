@@ -0,0 +1,426 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {type GetEntitiesResult, getEntities} from '../entity/get-entities';
+import type {EntityTypeString} from '../../types/entity';
+import type {ORM} from '../..';
+import {formatDate} from '../../util';
+import {getEntity} from '../entity/misc';
+
+
+/**
+ * Version of the canonical JSON format, which is increased whenever existing
+ * properties are changed or removed.
+ */
+export const CANONICAL_SCHEMA_VERSION = 1;
+
+/** Entry of a type table, like an identifier type or an author type. */
+export type SerializedTypeT = {
+	id: number;
+	label: string;
+};
+
+export type SerializedAreaT = {
+	id: number;
+
+	/** MusicBrainz identifier of the area. */
+	mbid: string;
+	name: string;
+};
+
+export type SerializedLanguageT = {
+	id: number;
+
+	/** ISO 639-3 code of the language. */
+	isoCode3: string | null;
+	name: string;
+};
+
+export type SerializedAliasT = {
+	default: boolean;
+	language: SerializedLanguageT | null;
+	name: string;
+	primary: boolean;
+	sortName: string;
+};
+
+export type SerializedIdentifierT = {
+	type: SerializedTypeT;
+	value: string;
+};
+
+export type SerializedRelationshipT = {
+	attributes: Array<{type: string, value: string | null}>;
+	sourceBbid: string;
+	targetBbid: string;
+	type: SerializedTypeT & {
+		linkPhrase: string,
+		reverseLinkPhrase: string,
+		sourceEntityType: EntityTypeString,
+		targetEntityType: EntityTypeString
+	};
+};
+
+export type SerializedAuthorCreditNameT = {
+	authorBbid: string;
+	joinPhrase: string;
+	name: string;
+};
+
+export type SerializedPublisherT = {
+	bbid: string;
+	name: string | null;
+};
+
+export type SerializedReleaseEventT = {
+	area: SerializedAreaT | null;
+
+	/** ISO 8601-2004 formatted date, see `formatDate`. */
+	date: string | null;
+};
+
+/*
+ * Sets are sorted by their content, so that the output for the same entity
+ * data is always identical. Dates are ISO 8601-2004 formatted strings and
+ * missing values are always null.
+ */
+
+type SerializedEntityBaseT<T extends EntityTypeString> = {
+	aliases: SerializedAliasT[];
+	annotation: string | null;
+	bbid: string;
+	defaultAlias: SerializedAliasT | null;
+	disambiguation: string | null;
+	identifiers: SerializedIdentifierT[];
+
+	/** Name of the default alias. */
+	name: string | null;
+
+	/** Relationships of the entity, in both directions. */
+	relationships: SerializedRelationshipT[];
+	revisionId: number;
+	schemaVersion: typeof CANONICAL_SCHEMA_VERSION;
+
+	/** Sort name of the default alias. */
+	sortName: string | null;
+	type: T;
+};
+
+export type SerializedAuthorT = SerializedEntityBaseT<'Author'> & {
+	authorType: SerializedTypeT | null;
+	beginArea: SerializedAreaT | null;
+	beginDate: string | null;
+	endArea: SerializedAreaT | null;
+	endDate: string | null;
+	ended: boolean;
+	gender: SerializedTypeT | null;
+};
+
+export type SerializedEditionT = SerializedEntityBaseT<'Edition'> & {
+	authorCredit: SerializedAuthorCreditNameT[] | null;
+	depth: number | null;
+	editionFormat: SerializedTypeT | null;
+	editionGroupBbid: string | null;
+	editionStatus: SerializedTypeT | null;
+	height: number | null;
+	languages: SerializedLanguageT[];
+	pages: number | null;
+	publishers: SerializedPublisherT[];
+	releaseEvents: SerializedReleaseEventT[];
+	weight: number | null;
+	width: number | null;
+};
+
+export type SerializedEditionGroupT = SerializedEntityBaseT<'EditionGroup'> & {
+	authorCredit: SerializedAuthorCreditNameT[] | null;
+	editionGroupType: SerializedTypeT | null;
+};
+
+export type SerializedPublisherEntityT = SerializedEntityBaseT<'Publisher'> & {
+	area: SerializedAreaT | null;
+	beginDate: string | null;
+	endDate: string | null;
+	ended: boolean;
+	publisherType: SerializedTypeT | null;
+};
+
+export type SerializedSeriesT = SerializedEntityBaseT<'Series'> & {
+
+	/** Type of the entities which are part of the series. */
+	seriesEntityType: EntityTypeString;
+	seriesOrderingType: SerializedTypeT | null;
+};
+
+export type SerializedWorkT = SerializedEntityBaseT<'Work'> & {
+	languages: SerializedLanguageT[];
+	workType: SerializedTypeT | null;
+};
+
+export type SerializedEntityTypes = {
+	Author: SerializedAuthorT;
+	Edition: SerializedEditionT;
+	EditionGroup: SerializedEditionGroupT;
+	Publisher: SerializedPublisherEntityT;
+	Series: SerializedSeriesT;
+	Work: SerializedWorkT;
+};
+
+export type SerializedEntityT<T extends EntityTypeString = EntityTypeString> = SerializedEntityTypes[T];
+
+export type SerializedEntitiesResult<T extends EntityTypeString> = Omit<GetEntitiesResult, 'entities'> & {
+	entities: Array<SerializedEntityT<T>>;
+};
+
+/** Entity in JSON format, as returned by `getEntity` with the relations of `getCanonicalRelations`. */
+type EntityJSON = Record<string, any>;
+
+const COMMON_RELATIONS = [
+	'aliasSet.aliases.language',
+	'annotation',
+	'defaultAlias.language',
+	'identifierSet.identifiers.type',
+	'relationshipSet.relationships.type',
+	'relationshipSet.relationships.attributeSet.relationshipAttributes.type',
+	'relationshipSet.relationships.attributeSet.relationshipAttributes.value'
+];
+
+const ENTITY_RELATIONS: Record<EntityTypeString, string[]> = {
+	Author: ['authorType', 'beginArea', 'endArea', 'gender'],
+	Edition: [
+		'authorCredit.names', 'editionFormat', 'editionStatus', 'languageSet.languages', 'publisherSet.publishers',
+		'releaseEventSet.releaseEvents.area'
+	],
+	EditionGroup: ['authorCredit.names', 'editionGroupType'],
+	Publisher: ['area', 'publisherType'],
+	Series: ['seriesOrderingType'],
+	Work: ['languageSet.languages', 'workType']
+};
+
+/**
+ * Returns the relations which have to be loaded to serialize an entity of
+ * the given type.
+ * @param {string} entityType - The entity model name
+ * @returns {string[]} - Relations which can be passed to `getEntity` or `getEntities`
+ */
+export function getCanonicalRelations(entityType: EntityTypeString): string[] {
+	if (!ENTITY_RELATIONS[entityType]) {
+		throw new Error(`Unknown entity type ${entityType}`);
+	}
+	return [...COMMON_RELATIONS, ...ENTITY_RELATIONS[entityType]];
+}
+
+function serializeType(type: Record<string, any> | null | undefined, labelKey = 'label'): SerializedTypeT | null {
+	if (!type || _.isNil(type.id)) {
+		return null;
+	}
+	return {id: type.id, label: type[labelKey]};
+}
+
+function serializeArea(area: Record<string, any> | null | undefined): SerializedAreaT | null {
+	if (!area || _.isNil(area.id)) {
+		return null;
+	}
+	return {id: area.id, mbid: area.gid, name: area.name};
+}
+
+function serializeLanguage(language: Record<string, any> | null | undefined): SerializedLanguageT | null {
+	if (!language || _.isNil(language.id)) {
+		return null;
+	}
+	return {id: language.id, isoCode3: language.isoCode3 ?? null, name: language.name};
+}
+
+function serializeAlias(alias: Record<string, any>, defaultAliasId: number | null): SerializedAliasT {
+	return {
+		default: alias.id === defaultAliasId,
+		language: serializeLanguage(alias.language),
+		name: alias.name,
+		primary: Boolean(alias.primary),
+		sortName: alias.sortName
+	};
+}
+
+function serializeLanguages(entity: EntityJSON): SerializedLanguageT[] {
+	return _.sortBy((entity.languageSet?.languages ?? []).map(serializeLanguage), ['name', 'id']);
+}
+
+function serializeAuthorCredit(entity: EntityJSON): SerializedAuthorCreditNameT[] | null {
+	const names = entity.authorCredit?.names;
+	if (!names) {
+		return null;
+	}
+	return _.sortBy(names, 'position').map((name) => ({
+		authorBbid: name.authorBBID,
+		joinPhrase: name.joinPhrase,
+		name: name.name
+	}));
+}
+
+function serializeDate(entity: EntityJSON, prefix: 'begin' | 'end'): string | null {
+	return formatDate(entity[`${prefix}Year`], entity[`${prefix}Month`], entity[`${prefix}Day`]);
+}
+
+function serializeCommonProps(entity: EntityJSON): SerializedEntityBaseT<EntityTypeString> {
+	const relationships = (entity.relationshipSet?.relationships ?? []).map((relationship) => ({
+		attributes: _.sortBy(
+			(relationship.attributeSet?.relationshipAttributes ?? []).map((attribute) => ({
+				type: attribute.type?.name,
+				value: attribute.value?.textValue ?? null
+			})),
+			['type', 'value']
+		),
+		sourceBbid: relationship.sourceBbid,
+		targetBbid: relationship.targetBbid,
+		type: {
+			id: relationship.typeId,
+			label: relationship.type?.label,
+			linkPhrase: relationship.type?.linkPhrase,
+			reverseLinkPhrase: relationship.type?.reverseLinkPhrase,
+			sourceEntityType: relationship.type?.sourceEntityType,
+			targetEntityType: relationship.type?.targetEntityType
+		}
+	}));
+	const identifiers = (entity.identifierSet?.identifiers ?? []).map((identifier) => ({
+		type: {id: identifier.typeId, label: identifier.type?.label},
+		value: identifier.value
+	}));
+	const defaultAliasId = entity.defaultAliasId ?? null;
+
+	return {
+		aliases: _.sortBy(
+			(entity.aliasSet?.aliases ?? []).map((alias) => serializeAlias(alias, defaultAliasId)),
+			['sortName', 'name', 'language.id']
+		),
+		annotation: entity.annotation?.content ?? null,
+		bbid: entity.bbid,
+		defaultAlias: entity.defaultAlias?.id ? serializeAlias(entity.defaultAlias, defaultAliasId) : null,
+		disambiguation: entity.disambiguation ?? null,
+		identifiers: _.sortBy(identifiers, ['type.id', 'value']),
+		name: entity.name ?? null,
+		relationships: _.sortBy(relationships, ['type.id', 'sourceBbid', 'targetBbid']),
+		revisionId: entity.revisionId,
+		schemaVersion: CANONICAL_SCHEMA_VERSION,
+		sortName: entity.sortName ?? null,
+		type: entity.type
+	};
+}
+
+const ENTITY_SERIALIZERS: {
+	[T in EntityTypeString]: (entity: EntityJSON) => Omit<SerializedEntityT<T>, keyof SerializedEntityBaseT<T>>
+} = {
+	Author: (entity) => ({
+		authorType: serializeType(entity.authorType),
+		beginArea: serializeArea(entity.beginArea),
+		beginDate: serializeDate(entity, 'begin'),
+		endArea: serializeArea(entity.endArea),
+		endDate: serializeDate(entity, 'end'),
+		ended: Boolean(entity.ended),
+		gender: serializeType(entity.gender, 'name')
+	}),
+	Edition: (entity) => ({
+		authorCredit: serializeAuthorCredit(entity),
+		depth: entity.depth ?? null,
+		editionFormat: serializeType(entity.editionFormat),
+		editionGroupBbid: entity.editionGroupBbid ?? null,
+		editionStatus: serializeType(entity.editionStatus),
+		height: entity.height ?? null,
+		languages: serializeLanguages(entity),
+		pages: entity.pages ?? null,
+		publishers: _.sortBy((entity.publisherSet?.publishers ?? []).map((publisher) => ({
+			bbid: publisher.bbid,
+			name: publisher.name ?? null
+		})), 'bbid'),
+		releaseEvents: _.sortBy((entity.releaseEventSet?.releaseEvents ?? []).map((releaseEvent) => ({
+			area: serializeArea(releaseEvent.area),
+			date: formatDate(releaseEvent.year, releaseEvent.month, releaseEvent.day)
+		})), ['date', 'area.id']),
+		weight: entity.weight ?? null,
+		width: entity.width ?? null
+	}),
+	EditionGroup: (entity) => ({
+		authorCredit: serializeAuthorCredit(entity),
+		editionGroupType: serializeType(entity.editionGroupType)
+	}),
+	Publisher: (entity) => ({
+		area: serializeArea(entity.area),
+		beginDate: serializeDate(entity, 'begin'),
+		endDate: serializeDate(entity, 'end'),
+		ended: Boolean(entity.ended),
+		publisherType: serializeType(entity.publisherType)
+	}),
+	Series: (entity) => ({
+		seriesEntityType: entity.entityType,
+		seriesOrderingType: serializeType(entity.seriesOrderingType)
+	}),
+	Work: (entity) => ({
+		languages: serializeLanguages(entity),
+		workType: serializeType(entity.workType)
+	})
+};
+
+/**
+ * Converts an entity in JSON format into the canonical JSON format.
+ * The entity has to be loaded with the relations of `getCanonicalRelations`.
+ * @param {Object} entity - The entity in JSON format, as returned by `getEntity`
+ * @returns {SerializedEntityT} - The entity in canonical JSON format
+ */
+export function serializeEntityJSON<T extends EntityTypeString>(entity: EntityJSON): SerializedEntityT<T> {
+	const entityType: T = entity.type;
+	if (!ENTITY_SERIALIZERS[entityType]) {
+		throw new Error(`Unknown entity type ${entityType}`);
+	}
+	if (!entity.dataId) {
+		throw new Error(`Entity ${entity.bbid} has been deleted and can not be serialized`);
+	}
+	return {
+		...serializeCommonProps(entity),
+		...ENTITY_SERIALIZERS[entityType](entity)
+	} as SerializedEntityT<T>;
+}
+
+/**
+ * Fetches an entity with all of its data and converts it into the canonical
+ * JSON format. Redirects are followed like by `getEntity`.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - The entity model name
+ * @param {string} bbid - BBID of the entity
+ * @returns {Promise<SerializedEntityT>} - The entity in canonical JSON format
+ */
+export async function serializeEntity<T extends EntityTypeString>(
+	orm: ORM, entityType: T, bbid: string
+): Promise<SerializedEntityT<T>> {
+	const entity = await getEntity(orm, entityType, bbid, getCanonicalRelations(entityType));
+	return serializeEntityJSON<T>(entity);
+}
+
+/**
+ * Fetches multiple entities of the same type with all of their data and
+ * converts them into the canonical JSON format, see `getEntities`.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - The entity model name
+ * @param {string[]} bbids - BBIDs of the entities
+ * @returns {Promise<SerializedEntitiesResult>} - The entities in canonical JSON format and the
+ * 		BBIDs which have been missing, redirected or deleted
+ */
+export async function serializeEntities<T extends EntityTypeString>(
+	orm: ORM, entityType: T, bbids: string[]
+): Promise<SerializedEntitiesResult<T>> {
+	const result = await getEntities(orm, entityType, bbids, getCanonicalRelations(entityType));
+	return {...result, entities: result.entities.map((entity) => serializeEntityJSON<T>(entity))};
+}
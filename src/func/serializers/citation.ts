@@ -0,0 +1,306 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {DEFAULT_BASE_URL, getEntityUrl, getIdentifierValues} from './helpers';
+import {type SerializedEditionT, type SerializedWorkT, serializeEntities, serializeEntity} from './canonical';
+import type {ORM} from '../..';
+import {parseDate} from '../../util';
+
+
+/** Name of an author in CSL-JSON format, either split into parts or as literal name. */
+export type CSLNameT = {
+	family?: string;
+	given?: string;
+	literal?: string;
+	'non-dropping-particle'?: string;
+};
+
+export type CSLItemT = {
+	DOI?: string;
+	ISBN?: string;
+	URL: string;
+	author?: CSLNameT[];
+	'citation-key': string;
+	id: string;
+	issued?: {'date-parts': number[][]};
+	'number-of-pages'?: number;
+	publisher?: string;
+	'publisher-place'?: string;
+	title: string;
+	type: 'book' | 'document';
+};
+
+export type CitableEntityT = SerializedEditionT | SerializedWorkT;
+
+export type CitationOptions = {
+
+	/**
+	 * Authors of a work, which are taken from its author relationships.
+	 * Editions use their author credit instead.
+	 */
+	authors?: Array<{name: string, sortName: string}>;
+
+	/** Base URL which is used to link to entities, defaults to the BookBrainz website. */
+	baseUrl?: string;
+};
+
+export type CitationT = {
+	bibtex: string;
+	csl: CSLItemT;
+};
+
+/** Lowercase name particles which are part of the family name, like in "Ludwig van Beethoven". */
+const NAME_PARTICLES = new Set(['da', 'de', 'del', 'della', 'der', 'di', 'du', 'la', 'le', 'ten', 'ter', 'van', 'von']);
+
+/**
+ * Splits a name into family and given names. Names in "Family, Given" order
+ * (like sort names) are split at the comma, other names are assumed to be in
+ * "Given Family" order. Single word names are kept as literal names.
+ * @param {string} name - The name
+ * @returns {CSLNameT} - The name in CSL-JSON format
+ */
+export function parseName(name: string): CSLNameT {
+	const trimmedName = name.trim();
+	const commaIndex = trimmedName.indexOf(',');
+	if (commaIndex > 0) {
+		return {
+			family: trimmedName.slice(0, commaIndex).trim(),
+			given: trimmedName.slice(commaIndex + 1).trim()
+		};
+	}
+	const words = trimmedName.split(/\s+/);
+	if (words.length < 2) {
+		return {literal: trimmedName};
+	}
+	let familyIndex = words.length - 1;
+	while (familyIndex > 1 && NAME_PARTICLES.has(words[familyIndex - 1])) {
+		familyIndex--;
+	}
+	const particle = words.slice(familyIndex, -1).join(' ');
+	return {
+		family: _.last(words),
+		given: words.slice(0, familyIndex).join(' '),
+		...particle && {'non-dropping-particle': particle}
+	};
+}
+
+function getCitationNames(entity: CitableEntityT, options: CitationOptions): CSLNameT[] {
+	if (entity.type === 'Edition') {
+		return (entity.authorCredit ?? []).map((name) => parseName(name.name));
+	}
+	return (options.authors ?? []).map((author) => parseName(author.sortName || author.name));
+}
+
+/**
+ * Checks whether the author credit of an edition ends with "et al.", in
+ * which case the list of authors is incomplete. BibTeX marks this with
+ * "and others", CSL-JSON has no equivalent.
+ * @param {CitableEntityT} entity - The entity in canonical JSON format
+ * @returns {boolean} - Whether further authors have been omitted
+ */
+function hasOmittedAuthors(entity: CitableEntityT): boolean {
+	return entity.type === 'Edition' && (/et\.? al/i).test(_.last(entity.authorCredit ?? [])?.joinPhrase ?? '');
+}
+
+/**
+ * Returns the year, month and day of the earliest dated release event.
+ * @param {CitableEntityT} entity - The entity in canonical JSON format
+ * @returns {number[] | null} - The date parts, or null if there is no dated release event
+ */
+function getIssuedDateParts(entity: CitableEntityT): number[] | null {
+	if (entity.type !== 'Edition') {
+		return null;
+	}
+	const dates = entity.releaseEvents
+		.filter((releaseEvent) => releaseEvent.date)
+		.map((releaseEvent) => parseDate(releaseEvent.date));
+	const earliestDate = _.sortBy(dates, [0, 1, 2])[0];
+	return earliestDate ? _.takeWhile(earliestDate, (part) => !_.isNil(part)) : null;
+}
+
+function getFirstIdentifier(entity: CitableEntityT, labelPattern: RegExp): string | null {
+	return getIdentifierValues(entity, labelPattern)[0] ?? null;
+}
+
+function getISBN(entity: CitableEntityT): string | null {
+	const isbns = getIdentifierValues(entity, /^ISBN/i).map((isbn) => isbn.replace(/[\s-]/g, ''));
+	return _.maxBy(isbns, 'length') ?? null;
+}
+
+function toKeyPart(text: string | null | undefined): string {
+	return _.deburr(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Returns the citation key of an entity, which consists of the family name of
+ * the first author, the year, the first word of the title and the first
+ * characters of the BBID, e.g. `adams1979hitchhikers-de305d54`. The BBID part
+ * keeps keys unique, the rest makes them recognizable.
+ * @param {CitableEntityT} entity - The entity in canonical JSON format
+ * @param {CitationOptions} [options] - Authors of a work
+ * @returns {string} - The citation key
+ */
+export function getCitationKey(entity: CitableEntityT, options: CitationOptions = {}): string {
+	const [firstAuthor] = getCitationNames(entity, options);
+	const [year] = getIssuedDateParts(entity) ?? [];
+	const titleWords = (entity.name ?? '').split(/\s+/).map(toKeyPart);
+	const firstTitleWord = titleWords.find((word) => word.length > 3) ?? titleWords.find(Boolean);
+	return [
+		toKeyPart(firstAuthor?.family ?? firstAuthor?.literal),
+		year ?? '',
+		firstTitleWord ?? '',
+		`-${entity.bbid.slice(0, 8)}`
+	].join('');
+}
+
+/**
+ * Converts an edition or a work in canonical JSON format into a CSL-JSON item.
+ * Editions are cited as books, works as generic documents.
+ * @param {CitableEntityT} entity - The entity in canonical JSON format, see `serializeEntityJSON`
+ * @param {CitationOptions} [options] - Base URL and authors of a work
+ * @returns {CSLItemT} - The CSL-JSON item
+ */
+export function toCSLJSON(entity: CitableEntityT, options: CitationOptions = {}): CSLItemT {
+	const {baseUrl = DEFAULT_BASE_URL} = options;
+	if (entity.type !== 'Edition' && entity.type !== 'Work') {
+		throw new Error(`Entities of type ${(entity as CitableEntityT).type} can not be cited`);
+	}
+	const authors = getCitationNames(entity, options);
+	const dateParts = getIssuedDateParts(entity);
+	const publishers = entity.type === 'Edition' ? _.compact(entity.publishers.map((publisher) => publisher.name)) : [];
+	const place = entity.type === 'Edition' ?
+		entity.releaseEvents.find((releaseEvent) => releaseEvent.area)?.area.name :
+		null;
+	const item: CSLItemT = {
+		DOI: getFirstIdentifier(entity, /DOI/i),
+		ISBN: getISBN(entity),
+		URL: getEntityUrl(entity.type, entity.bbid, baseUrl),
+		author: authors,
+		'citation-key': getCitationKey(entity, options),
+		id: entity.bbid,
+		issued: dateParts && {'date-parts': [dateParts]},
+		'number-of-pages': entity.type === 'Edition' ? entity.pages : null,
+		publisher: publishers.join('; '),
+		'publisher-place': place,
+		title: entity.name,
+		type: entity.type === 'Edition' ? 'book' : 'document'
+	};
+	return _.omitBy(item, (value) => _.isNil(value) || value === '' || _.isEqual(value, [])) as CSLItemT;
+}
+
+/**
+ * Escapes the characters which have a special meaning in BibTeX.
+ * @param {string} value - The field value
+ * @returns {string} - The escaped value
+ */
+function escapeBibTeX(value: string): string {
+	return value
+		.replace(/\\/g, '\\textbackslash{}')
+		.replace(/([{}&%$#_])/g, '\\$1')
+		.replace(/~/g, '\\textasciitilde{}')
+		.replace(/\^/g, '\\textasciicircum{}');
+}
+
+function formatBibTeXName(name: CSLNameT): string {
+	if (name.literal) {
+		// Braces prevent BibTeX from splitting single names and names of groups
+		return `{${escapeBibTeX(name.literal)}}`;
+	}
+	const family = _.compact([name['non-dropping-particle'], name.family]).join(' ');
+	return escapeBibTeX(name.given ? `${family}, ${name.given}` : family);
+}
+
+const BIBTEX_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Converts an edition or a work in canonical JSON format into a BibTeX entry.
+ * Editions are cited as `@book`, works as `@misc`.
+ * @param {CitableEntityT} entity - The entity in canonical JSON format, see `serializeEntityJSON`
+ * @param {CitationOptions} [options] - Base URL and authors of a work
+ * @returns {string} - The BibTeX entry
+ */
+export function toBibTeX(entity: CitableEntityT, options: CitationOptions = {}): string {
+	const item = toCSLJSON(entity, options);
+	const [year, month] = item.issued?.['date-parts'][0] ?? [];
+	const authors = (item.author ?? []).map(formatBibTeXName);
+	if (authors.length && hasOmittedAuthors(entity)) {
+		authors.push('others');
+	}
+	const fields: Array<[string, string | null]> = [
+		['author', authors.join(' and ')],
+		['title', escapeBibTeX(item.title ?? '')],
+		['publisher', item.publisher && escapeBibTeX(item.publisher)],
+		['address', item['publisher-place'] && escapeBibTeX(item['publisher-place'])],
+		['year', year?.toString()],
+		['month', month ? BIBTEX_MONTHS[month - 1] : null],
+		['isbn', item.ISBN],
+		['doi', item.DOI && escapeBibTeX(item.DOI)],
+		['url', item.URL]
+	];
+	const fieldLines = fields
+		.filter(([, value]) => value)
+		.map(([name, value]) => `\t${name} = {${value}}`);
+	return [
+		`@${item.type === 'book' ? 'book' : 'misc'}{${item['citation-key']},`,
+		fieldLines.join(',\n'),
+		'}',
+		''
+	].join('\n');
+}
+
+/**
+ * Fetches the authors of a work, which are the source entities of its author
+ * relationships, ordered by their sort names.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {SerializedWorkT} work - The work in canonical JSON format
+ * @returns {Promise<Array>} - Names and sort names of the authors
+ */
+async function getWorkAuthors(orm: ORM, work: SerializedWorkT): Promise<CitationOptions['authors']> {
+	const authorBbids = work.relationships
+		.filter((relationship) => relationship.targetBbid === work.bbid && relationship.type.label === 'Author' &&
+			relationship.type.sourceEntityType === 'Author')
+		.map((relationship) => relationship.sourceBbid);
+	if (!authorBbids.length) {
+		return [];
+	}
+	const {entities} = await serializeEntities(orm, 'Author', _.uniq(authorBbids));
+	return _.sortBy(entities.map((author) => ({name: author.name, sortName: author.sortName})), 'sortName');
+}
+
+/**
+ * Fetches an edition or a work and returns its citation in CSL-JSON and
+ * BibTeX format. The authors of works are taken from their author relationships.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - Either `Edition` or `Work`
+ * @param {string} bbid - BBID of the entity
+ * @param {CitationOptions} [options] - Base URL of the entity pages
+ * @returns {Promise<CitationT>} - The citation in both formats
+ */
+export async function getCitation(
+	orm: ORM, entityType: 'Edition' | 'Work', bbid: string, options: Omit<CitationOptions, 'authors'> = {}
+): Promise<CitationT> {
+	const entity = await serializeEntity(orm, entityType, bbid);
+	const citationOptions: CitationOptions = entity.type === 'Work' ?
+		{...options, authors: await getWorkAuthors(orm, entity)} :
+		options;
+	return {
+		bibtex: toBibTeX(entity, citationOptions),
+		csl: toCSLJSON(entity, citationOptions)
+	};
+}
@@ -0,0 +1,168 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import type {SerializedEntityT, SerializedLanguageT} from './canonical';
+import type {EntityTypeString} from '../../types/entity';
+
+
+/** Base URL of the BookBrainz website, which is used to build entity URLs. */
+export const DEFAULT_BASE_URL = 'https://bookbrainz.org';
+
+/**
+ * Bibliographic language codes (ISO 639-2/B) which differ from the ISO 639-3
+ * codes (which are equal to ISO 639-2/T for these languages) of our languages.
+ */
+const BIBLIOGRAPHIC_LANGUAGE_CODES: Record<string, string> = {
+	bod: 'tib',
+	ces: 'cze',
+	cym: 'wel',
+	deu: 'ger',
+	ell: 'gre',
+	eus: 'baq',
+	fas: 'per',
+	fra: 'fre',
+	hye: 'arm',
+	isl: 'ice',
+	kat: 'geo',
+	mkd: 'mac',
+	mri: 'mao',
+	msa: 'may',
+	mya: 'bur',
+	nld: 'dut',
+	ron: 'rum',
+	slk: 'slo',
+	sqi: 'alb',
+	zho: 'chi'
+};
+
+/**
+ * Builds the URL of an entity on the BookBrainz website.
+ * @param {string} entityType - The entity model name
+ * @param {string} bbid - BBID of the entity
+ * @param {string} [baseUrl] - Base URL of the website
+ * @returns {string} - URL of the entity page
+ */
+export function getEntityUrl(entityType: EntityTypeString, bbid: string, baseUrl = DEFAULT_BASE_URL): string {
+	return `${_.trimEnd(baseUrl, '/')}/${_.kebabCase(entityType)}/${bbid}`;
+}
+
+/**
+ * Returns the values of all identifiers of a serialized entity whose type
+ * label matches the given pattern, e.g. `/^ISBN/`.
+ * @param {SerializedEntityT} entity - The entity in canonical JSON format
+ * @param {RegExp} labelPattern - Pattern which the label of the identifier type has to match
+ * @returns {string[]} - Values of the matching identifiers
+ */
+export function getIdentifierValues(entity: SerializedEntityT, labelPattern: RegExp): string[] {
+	return entity.identifiers
+		.filter((identifier) => labelPattern.test(identifier.type.label ?? ''))
+		.map((identifier) => identifier.value);
+}
+
+/**
+ * Converts an ISO 8601-2004 date as returned by `formatDate` into the common
+ * ISO 8601 format with a four digit year, as expected by most other formats.
+ * @param {string} date - Date with an expanded year, e.g. `+001952-03-11`
+ * @returns {string} - Date with a four digit year, e.g. `1952-03-11`
+ */
+export function toISODate(date: string | null): string | null {
+	const match = date?.match(/^([+-])(\d+)(.*)$/);
+	if (!match) {
+		return date ?? null;
+	}
+	const [, sign, year, monthAndDay] = match;
+	return `${sign === '-' ? '-' : ''}${_.padStart(_.trimStart(year, '0'), 4, '0')}${monthAndDay}`;
+}
+
+/**
+ * Escapes the characters which have a special meaning in XML.
+ * @param {string} value - Text content or attribute value
+ * @returns {string} - The escaped value
+ */
+export function escapeXML(value: string): string {
+	return value
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Returns the ISO 639-2/B code of a language, which is used by library and
+ * book trade formats like MARC21 and ONIX.
+ * @param {SerializedLanguageT} language - The language in canonical JSON format
+ * @returns {string | null} - The bibliographic language code, or null if the language has no ISO 639-3 code
+ */
+export function toBibliographicLanguageCode(language: SerializedLanguageT): string | null {
+	return language.isoCode3 ? BIBLIOGRAPHIC_LANGUAGE_CODES[language.isoCode3] ?? language.isoCode3 : null;
+}
+
+/** Element of an XML document, see `renderXMLElement`. */
+export type XMLElementT = {
+	attributes?: Record<string, string | number | null | undefined>;
+
+	/** Child elements, null entries are skipped. */
+	children?: Array<XMLElementT | null>;
+	name: string;
+	text?: string | number | null;
+};
+
+/**
+ * Creates an element with text content.
+ * @param {string} name - Name of the element
+ * @param {string | number | null} text - Text content of the element
+ * @param {Object} [attributes] - Attributes of the element
+ * @returns {XMLElementT | null} - The element, or null if there is no text content
+ */
+export function createTextElement(
+	name: string, text: string | number | null | undefined, attributes?: XMLElementT['attributes']
+): XMLElementT | null {
+	if (_.isNil(text) || text === '') {
+		return null;
+	}
+	return {attributes, name, text};
+}
+
+/**
+ * Renders an XML element and its children with one tab of indentation per
+ * level. Attributes without a value are skipped.
+ * @param {XMLElementT} element - The element
+ * @param {number} [depth] - Nesting level of the element
+ * @returns {string} - The XML representation of the element
+ */
+export function renderXMLElement(element: XMLElementT, depth = 0): string {
+	const indentation = '\t'.repeat(depth);
+	const attributes = _.map(
+		_.omitBy(element.attributes ?? {}, _.isNil),
+		(value, name) => ` ${name}="${escapeXML(value.toString())}"`
+	).join('');
+	const children = _.compact(element.children ?? []);
+	if (children.length) {
+		return [
+			`${indentation}<${element.name}${attributes}>`,
+			...children.map((child) => renderXMLElement(child, depth + 1)),
+			`${indentation}</${element.name}>`
+		].join('\n');
+	}
+	if (_.isNil(element.text)) {
+		return `${indentation}<${element.name}${attributes}/>`;
+	}
+	return `${indentation}<${element.name}${attributes}>${escapeXML(element.text.toString())}</${element.name}>`;
+}
@@ -0,0 +1,46 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+export {
+	CANONICAL_SCHEMA_VERSION, type SerializedAliasT, type SerializedAreaT, type SerializedAuthorCreditNameT,
+	type SerializedAuthorT, type SerializedEditionGroupT, type SerializedEditionT, type SerializedEntitiesResult,
+	type SerializedEntityT, type SerializedEntityTypes, type SerializedIdentifierT, type SerializedLanguageT,
+	type SerializedPublisherEntityT, type SerializedPublisherT, type SerializedRelationshipT,
+	type SerializedReleaseEventT, type SerializedSeriesT, type SerializedTypeT, type SerializedWorkT,
+	getCanonicalRelations, serializeEntities, serializeEntity, serializeEntityJSON
+} from './canonical';
+export {
+	DEFAULT_BASE_URL, type XMLElementT, createTextElement, escapeXML, getEntityUrl, getIdentifierValues,
+	renderXMLElement, toBibliographicLanguageCode, toISODate
+} from './helpers';
+export {
+	type JSONLDDocumentT, type JSONLDNodeT, type JSONLDOptions, SCHEMA_ORG_CONTEXT, serializeEntityAsJSONLD, toJSONLD
+} from './json-ld';
+export {
+	MARCXML_NAMESPACE, type MarcControlFieldT, type MarcDataFieldT, type MarcOptions, type MarcRecordT,
+	type MarcSubfieldT, authorToMarcAuthorityRecord, editionToMarcRecord, serializeAuthorAsMarcAuthorityRecord,
+	serializeEditionAsMarcRecord, toMarc21, toMarcXML
+} from './marc';
+export {
+	ONIX_NAMESPACE, type ONIXOptions, createONIXStream, editionToONIXProduct, generateONIXMessage,
+	serializeEditionAsONIX, toONIXMessage
+} from './onix';
+export {
+	type CSLItemT, type CSLNameT, type CitableEntityT, type CitationOptions, type CitationT, getCitation,
+	getCitationKey, parseName, toBibTeX, toCSLJSON
+} from './citation';
@@ -0,0 +1,274 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {DEFAULT_BASE_URL, getEntityUrl, getIdentifierValues, toISODate} from './helpers';
+import {
+	type SerializedAreaT, type SerializedAuthorCreditNameT, type SerializedEntityT, type SerializedLanguageT,
+	serializeEntity
+} from './canonical';
+import type {EntityTypeString} from '../../types/entity';
+import type {ORM} from '../..';
+
+
+export const SCHEMA_ORG_CONTEXT = 'https://schema.org';
+
+/** Node of a JSON-LD graph, which is either a full description or a reference by `@id`. */
+export type JSONLDNodeT = {
+	'@id'?: string;
+	'@type'?: string;
+	[property: string]: unknown;
+};
+
+export type JSONLDDocumentT = JSONLDNodeT & {
+	'@context': typeof SCHEMA_ORG_CONTEXT;
+	'@id': string;
+	'@type': string;
+};
+
+export type JSONLDOptions = {
+
+	/** Base URL which is used to build the `@id` of entities, defaults to the BookBrainz website. */
+	baseUrl?: string;
+
+	/** BBIDs of the editions of an edition group, which are listed as `workExample`. */
+	editionBbids?: string[];
+};
+
+/**
+ * Schema.org properties of relationship types, keyed by relationship type
+ * label. The `source` property is set on the source entity and points to the
+ * target entity, the `target` property is set on the target entity and points
+ * to the source entity.
+ */
+const RELATIONSHIP_PROPERTIES: Record<string, {source?: string, target?: string}> = {
+	Author: {target: 'author'},
+	Contains: {source: 'hasPart', target: 'isPartOf'},
+	Editor: {target: 'editor'},
+	Illustrator: {target: 'illustrator'},
+	Publisher: {target: 'publisher'},
+	Translator: {target: 'translator'}
+};
+
+/** Schema.org book formats of edition format labels. */
+const BOOK_FORMATS: Record<string, string> = {
+	audiobook: 'https://schema.org/AudiobookFormat',
+	ebook: 'https://schema.org/EBook',
+	hardcover: 'https://schema.org/Hardcover',
+	paperback: 'https://schema.org/Paperback'
+};
+
+const SAME_AS_URL_BUILDERS: Array<{labelPattern: RegExp, toUrl: (value: string) => string}> = [
+	{labelPattern: /^ISBN/i, toUrl: (value) => `urn:isbn:${value.replace(/[\s-]/g, '')}`},
+	{labelPattern: /VIAF/i, toUrl: (value) => `https://viaf.org/viaf/${value}`},
+	{labelPattern: /Wikidata/i, toUrl: (value) => `https://www.wikidata.org/wiki/${value}`}
+];
+
+function toPlace(area: SerializedAreaT | null): JSONLDNodeT | null {
+	return area && {'@type': 'Place', name: area.name};
+}
+
+function toLanguageCodes(languages: SerializedLanguageT[]): string[] {
+	return _.compact(languages.map((language) => language.isoCode3));
+}
+
+function toAuthors(authorCredit: SerializedAuthorCreditNameT[] | null, baseUrl: string): JSONLDNodeT[] {
+	return (authorCredit ?? []).map((name) => ({
+		'@id': getEntityUrl('Author', name.authorBbid, baseUrl),
+		name: name.name
+	}));
+}
+
+function getSchemaType(entity: SerializedEntityT): string {
+	switch (entity.type) {
+		case 'Author':
+			return entity.authorType?.label === 'Group' ? 'Organization' : 'Person';
+		case 'Edition':
+		case 'EditionGroup':
+			return 'Book';
+		case 'Publisher':
+			return 'Organization';
+		case 'Series':
+			return 'BookSeries';
+		case 'Work':
+			return 'CreativeWork';
+		default:
+			throw new Error(`Unknown entity type ${(entity as SerializedEntityT).type}`);
+	}
+}
+
+function getEntitySpecificProps(entity: SerializedEntityT, schemaType: string, options: JSONLDOptions): JSONLDNodeT {
+	const {baseUrl = DEFAULT_BASE_URL, editionBbids = []} = options;
+	switch (entity.type) {
+		case 'Author':
+			if (schemaType === 'Organization') {
+				return {
+					dissolutionDate: toISODate(entity.endDate),
+					foundingDate: toISODate(entity.beginDate),
+					location: toPlace(entity.beginArea)
+				};
+			}
+			return {
+				birthDate: toISODate(entity.beginDate),
+				birthPlace: toPlace(entity.beginArea),
+				deathDate: toISODate(entity.endDate),
+				deathPlace: toPlace(entity.endArea),
+				gender: entity.gender?.label
+			};
+		case 'Edition': {
+			const releaseEvent = entity.releaseEvents.find((event) => event.date);
+			return {
+				author: toAuthors(entity.authorCredit, baseUrl),
+				bookFormat: BOOK_FORMATS[_.toLower(entity.editionFormat?.label).replace(/[^a-z]/g, '')],
+				datePublished: toISODate(releaseEvent?.date ?? null),
+				exampleOfWork: entity.editionGroupBbid &&
+					{'@id': getEntityUrl('EditionGroup', entity.editionGroupBbid, baseUrl), '@type': 'Book'},
+				inLanguage: toLanguageCodes(entity.languages),
+				isbn: getIdentifierValues(entity, /^ISBN/i),
+				numberOfPages: entity.pages,
+				publisher: entity.publishers.map((publisher) => ({
+					'@id': getEntityUrl('Publisher', publisher.bbid, baseUrl),
+					'@type': 'Organization',
+					name: publisher.name
+				}))
+			};
+		}
+		case 'EditionGroup':
+			return {
+				author: toAuthors(entity.authorCredit, baseUrl),
+				genre: entity.editionGroupType?.label,
+				workExample: _.sortBy(editionBbids).map((bbid) => ({
+					'@id': getEntityUrl('Edition', bbid, baseUrl),
+					'@type': 'Book'
+				}))
+			};
+		case 'Publisher':
+			return {
+				additionalType: entity.publisherType?.label,
+				dissolutionDate: toISODate(entity.endDate),
+				foundingDate: toISODate(entity.beginDate),
+				location: toPlace(entity.area)
+			};
+		case 'Work':
+			return {
+				genre: entity.workType?.label,
+				inLanguage: toLanguageCodes(entity.languages)
+			};
+		default:
+			return {};
+	}
+}
+
+/**
+ * Collects the schema.org properties of the relationships of an entity.
+ * Relationships with series are always mapped to `hasPart` and `isPartOf`.
+ * @param {SerializedEntityT} entity - The entity in canonical JSON format
+ * @param {string} baseUrl - Base URL of the referenced entities
+ * @returns {Object} - References to the related entities, keyed by property
+ */
+function getRelationshipProps(entity: SerializedEntityT, baseUrl: string): Record<string, JSONLDNodeT[]> {
+	const props: Record<string, JSONLDNodeT[]> = {};
+	for (const relationship of entity.relationships) {
+		const isSource = relationship.sourceBbid === entity.bbid;
+		const otherBbid = isSource ? relationship.targetBbid : relationship.sourceBbid;
+		const otherType = isSource ? relationship.type.targetEntityType : relationship.type.sourceEntityType;
+		let property = RELATIONSHIP_PROPERTIES[relationship.type.label]?.[isSource ? 'source' : 'target'];
+		if (otherType === 'Series') {
+			property = 'isPartOf';
+		}
+		else if (entity.type === 'Series') {
+			property = 'hasPart';
+		}
+		if (property && otherType) {
+			props[property] = [...props[property] ?? [], {'@id': getEntityUrl(otherType, otherBbid, baseUrl)}];
+		}
+	}
+	return props;
+}
+
+function isEmptyValue(value: unknown): boolean {
+	return _.isNil(value) || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Converts an entity in canonical JSON format into a JSON-LD document using
+ * the schema.org vocabulary. Properties without a value are omitted.
+ * @param {SerializedEntityT} entity - The entity in canonical JSON format, see `serializeEntityJSON`
+ * @param {JSONLDOptions} [options] - Base URL of the entity pages and the editions of an edition group
+ * @returns {JSONLDDocumentT} - The JSON-LD document
+ */
+export function toJSONLD(entity: SerializedEntityT, options: JSONLDOptions = {}): JSONLDDocumentT {
+	const {baseUrl = DEFAULT_BASE_URL} = options;
+	const schemaType = getSchemaType(entity);
+	const url = getEntityUrl(entity.type, entity.bbid, baseUrl);
+	const alternateNames = entity.aliases
+		.filter((alias) => !alias.default)
+		.map((alias) => alias.name);
+	const sameAs = _.flatMap(SAME_AS_URL_BUILDERS, ({labelPattern, toUrl}) =>
+		getIdentifierValues(entity, labelPattern).map(toUrl));
+
+	const props: JSONLDNodeT = {
+		alternateName: _.uniq(alternateNames),
+		description: entity.annotation,
+		disambiguatingDescription: entity.disambiguation,
+		identifier: entity.bbid,
+		name: entity.name,
+		sameAs,
+		url
+	};
+	const specificProps = getEntitySpecificProps(entity, schemaType, options);
+	const relationshipProps = getRelationshipProps(entity, baseUrl);
+	for (const [property, references] of Object.entries(relationshipProps)) {
+		const existing = specificProps[property];
+		const values = Array.isArray(existing) ? existing : _.compact([existing]);
+		specificProps[property] = _.uniqBy([...values, ...references], '@id');
+	}
+
+	return {
+		'@context': SCHEMA_ORG_CONTEXT,
+		'@id': url,
+		'@type': schemaType,
+		..._.omitBy({...props, ...specificProps}, isEmptyValue)
+	};
+}
+
+/**
+ * Fetches an entity and converts it into a JSON-LD document using the
+ * schema.org vocabulary. The master editions of edition groups are listed as
+ * `workExample` unless they are passed as option.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} entityType - The entity model name
+ * @param {string} bbid - BBID of the entity
+ * @param {JSONLDOptions} [options] - Base URL of the entity pages and the editions of an edition group
+ * @returns {Promise<JSONLDDocumentT>} - The JSON-LD document
+ */
+export async function serializeEntityAsJSONLD(
+	orm: ORM, entityType: EntityTypeString, bbid: string, options: JSONLDOptions = {}
+): Promise<JSONLDDocumentT> {
+	const entity = await serializeEntity(orm, entityType, bbid);
+	let {editionBbids} = options;
+	if (entity.type === 'EditionGroup' && !editionBbids) {
+		const editions = await orm.bookshelf.knex('bookbrainz.edition')
+			.select('bbid')
+			.where('edition_group_bbid', entity.bbid)
+			.andWhere('master', true)
+			.whereNotNull('data_id');
+		editionBbids = editions.map((edition) => edition.bbid);
+	}
+	return toJSONLD(entity, {...options, editionBbids});
+}
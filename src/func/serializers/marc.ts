@@ -0,0 +1,427 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {
+	DEFAULT_BASE_URL, escapeXML, getEntityUrl, getIdentifierValues, toBibliographicLanguageCode, toISODate
+} from './helpers';
+import {
+	type SerializedAuthorT, type SerializedEditionGroupT, type SerializedEditionT, serializeEntity
+} from './canonical';
+import type {ORM} from '../..';
+import {parseDate} from '../../util';
+
+
+export const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+export type MarcSubfieldT = {
+	code: string;
+	value: string;
+};
+
+export type MarcControlFieldT = {
+	tag: string;
+	value: string;
+};
+
+export type MarcDataFieldT = {
+	ind1: string;
+	ind2: string;
+	subfields: MarcSubfieldT[];
+	tag: string;
+};
+
+/**
+ * A MARC21 record. The record length and the base address of data in the
+ * leader are only filled in by `toMarc21` and `toMarcXML`.
+ */
+export type MarcRecordT = {
+	controlFields: MarcControlFieldT[];
+	dataFields: MarcDataFieldT[];
+	leader: string;
+};
+
+export type MarcOptions = {
+
+	/** Base URL which is used to link to entities, defaults to the BookBrainz website. */
+	baseUrl?: string;
+
+	/** Date which is written to the "date entered on file" of the 008 field, defaults to now. */
+	dateEntered?: Date;
+
+	/** Edition group of an edition, which is used as uniform title. */
+	editionGroup?: SerializedEditionGroupT | null;
+};
+
+const FIELD_TERMINATOR = '\x1E';
+const RECORD_TERMINATOR = '\x1D';
+const SUBFIELD_DELIMITER = '\x1F';
+const MAX_RECORD_LENGTH = 99999;
+
+/** RDA carrier types of edition format labels, as code and term. */
+const CARRIER_TYPES: Record<string, [string, string]> = {
+	audiobook: ['sd', 'audio disc'],
+	ebook: ['cr', 'online resource'],
+	hardcover: ['nc', 'volume'],
+	paperback: ['nc', 'volume']
+};
+
+function getFormatKey(edition: SerializedEditionT): string {
+	return _.toLower(edition.editionFormat?.label).replace(/[^a-z]/g, '');
+}
+
+function getYear(date: string | null): number | null {
+	return parseDate(date)[0];
+}
+
+/**
+ * Formats a date as `yymmdd`, the format of the "date entered on file" of 008 fields.
+ * @param {Date} date - The date
+ * @returns {string} - The formatted date
+ */
+function formatDateEntered(date: Date): string {
+	return [date.getUTCFullYear() % 100, date.getUTCMonth() + 1, date.getUTCDate()]
+		.map((part) => _.padStart(part.toString(), 2, '0'))
+		.join('');
+}
+
+/**
+ * Creates a data field from a list of subfield codes and values.
+ * Subfields without a value are skipped.
+ * @param {string} tag - Tag of the field
+ * @param {string} ind1 - First indicator
+ * @param {string} ind2 - Second indicator
+ * @param {Array} subfields - Pairs of subfield code and value
+ * @returns {MarcDataFieldT | null} - The data field or null if none of the subfields have a value
+ */
+function createDataField(
+	tag: string, ind1: string, ind2: string, subfields: Array<[string, string | number | null | undefined]>
+): MarcDataFieldT | null {
+	const nonEmptySubfields = subfields
+		.filter(([, value]) => !_.isNil(value) && value !== '')
+		.map(([code, value]) => ({code, value: value.toString()}));
+	if (!nonEmptySubfields.length) {
+		return null;
+	}
+	return {ind1, ind2, subfields: nonEmptySubfields, tag};
+}
+
+function createRecord(leader: string, controlFields: MarcControlFieldT[], dataFields: MarcDataFieldT[]): MarcRecordT {
+	return {
+		controlFields,
+		dataFields: _.sortBy(_.compact(dataFields), 'tag'),
+		leader
+	};
+}
+
+/**
+ * Builds the fixed-length data elements (008) of a book.
+ * Audiobooks are coded as nonmusical sound recordings without further details.
+ * @param {SerializedEditionT} edition - The edition in canonical JSON format
+ * @param {Date} dateEntered - Date entered on file
+ * @param {string | null} languageCode - MARC code of the main language
+ * @returns {string} - The 008 field value
+ */
+function getEditionFixedData(edition: SerializedEditionT, dateEntered: Date, languageCode: string | null): string {
+	const years = _.compact(edition.releaseEvents.map((releaseEvent) => getYear(releaseEvent.date)));
+	const year = _.min(years.filter((releaseYear) => releaseYear > 0 && releaseYear < 10000));
+	const formatKey = getFormatKey(edition);
+	const formOfItem = formatKey === 'ebook' ? 'o' : ' ';
+	const materialSpecificData = formatKey === 'audiobook' ?
+		'|'.repeat(17) :
+		`    ${' '}${formOfItem}    ${' '}000 | `;
+
+	return [
+		formatDateEntered(dateEntered),
+		year ? 's' : 'n',
+		year ? _.padStart(year.toString(), 4, '0') : 'uuuu',
+		'    ',
+		'xx ',
+		materialSpecificData,
+		languageCode ?? 'und',
+		' ',
+		'd'
+	].join('');
+}
+
+/**
+ * Converts an edition in canonical JSON format into a MARC21 bibliographic
+ * record. Authors are linked by the URLs of their BookBrainz pages.
+ * @param {SerializedEditionT} edition - The edition in canonical JSON format, see `serializeEntityJSON`
+ * @param {MarcOptions} [options] - Base URL, date entered on file and the edition group of the edition
+ * @returns {MarcRecordT} - The bibliographic record
+ */
+export function editionToMarcRecord(edition: SerializedEditionT, options: MarcOptions = {}): MarcRecordT {
+	const {baseUrl = DEFAULT_BASE_URL, dateEntered = new Date(), editionGroup} = options;
+	const languageCodes = _.uniq(_.compact(edition.languages.map(toBibliographicLanguageCode)));
+	const [mainAuthor, ...addedAuthors] = edition.authorCredit ?? [];
+	const statementOfResponsibility = (edition.authorCredit ?? [])
+		.map((name) => `${name.name}${name.joinPhrase}`)
+		.join('');
+	const releaseEvent = edition.releaseEvents.find((event) => event.date) ?? edition.releaseEvents[0];
+	const [carrierCode, carrierTerm] = CARRIER_TYPES[getFormatKey(edition)] ?? [];
+	const dimensions = _.compact([edition.width, edition.height, edition.depth]);
+	const hasUniformTitle = editionGroup?.name && editionGroup.name !== edition.name;
+	const leader = `00000n${getFormatKey(edition) === 'audiobook' ? 'i' : 'a'}m a22000003u 4500`;
+
+	return createRecord(leader, [
+		{tag: '001', value: edition.bbid},
+		{tag: '003', value: 'BookBrainz'},
+		{tag: '008', value: getEditionFixedData(edition, dateEntered, languageCodes[0] ?? null)}
+	], [
+		...getIdentifierValues(edition, /^ISBN/i).map((isbn) => createDataField(
+			'020', ' ', ' ', [['a', isbn.replace(/[\s-]/g, '')]]
+		)),
+		...getIdentifierValues(edition, /Barcode|EAN/i).map((barcode) => createDataField(
+			'024', '3', ' ', [['a', barcode]]
+		)),
+		...getIdentifierValues(edition, /Wikidata/i).map((wikidataId) => createDataField(
+			'024', '7', ' ', [['a', wikidataId], ['2', 'wikidata']]
+		)),
+		...getIdentifierValues(edition, /OCLC/i).map((oclcNumber) => createDataField(
+			'035', ' ', ' ', [['a', `(OCoLC)${oclcNumber}`]]
+		)),
+		languageCodes.length > 1 ?
+			createDataField('041', '0', ' ', languageCodes.map((code) => ['a', code])) :
+			null,
+		mainAuthor && createDataField('100', '1', ' ', [
+			['a', mainAuthor.name],
+			['e', 'author'],
+			['0', getEntityUrl('Author', mainAuthor.authorBbid, baseUrl)]
+		]),
+		hasUniformTitle ?
+			createDataField(mainAuthor ? '240' : '130', mainAuthor ? '1' : '0', mainAuthor ? '0' : ' ', [
+				['a', editionGroup.name],
+				['0', getEntityUrl('EditionGroup', editionGroup.bbid, baseUrl)]
+			]) :
+			null,
+		createDataField('245', mainAuthor ? '1' : '0', '0', [
+			['a', edition.name],
+			['c', statementOfResponsibility]
+		]),
+		...edition.aliases
+			.filter((alias) => !alias.default)
+			.map((alias) => createDataField('246', '3', ' ', [['a', alias.name]])),
+		releaseEvent && createDataField('264', ' ', '1', [
+			['a', releaseEvent.area?.name],
+			...edition.publishers.map((publisher): [string, string | null] => ['b', publisher.name]),
+			['c', getYear(releaseEvent.date)]
+		]),
+		createDataField('300', ' ', ' ', [
+			['a', edition.pages && `${edition.pages} pages`],
+			['c', dimensions.length ? `${dimensions.join(' x ')} mm` : null]
+		]),
+		carrierCode ?
+			createDataField('338', ' ', ' ', [['a', carrierTerm], ['b', carrierCode], ['2', 'rdacarrier']]) :
+			null,
+		createDataField('500', ' ', ' ', [['a', edition.disambiguation]]),
+		...addedAuthors.map((name) => createDataField('700', '1', ' ', [
+			['a', name.name],
+			['e', 'author'],
+			['0', getEntityUrl('Author', name.authorBbid, baseUrl)]
+		])),
+		createDataField('856', '4', '0', [['u', getEntityUrl('Edition', edition.bbid, baseUrl)]])
+	]);
+}
+
+/**
+ * Builds the fixed-length data elements (008) of a name authority record.
+ * @param {boolean} isPerson - Whether the name is a personal name
+ * @param {Date} dateEntered - Date entered on file
+ * @returns {string} - The 008 field value
+ */
+function getAuthorityFixedData(isPerson: boolean, dateEntered: Date): string {
+	return [
+		formatDateEntered(dateEntered),
+		'n', 'n', '|', 'a', 'z', 'n', 'n', 'n', 'a', 'a', 'b', 'n',
+		' '.repeat(10),
+		' ', '|', ' ', 'a',
+		isPerson ? 'a' : 'n',
+		'c',
+		' '.repeat(4),
+		' ', 'd'
+	].join('');
+}
+
+/**
+ * Converts an author in canonical JSON format into a MARC21 name authority
+ * record. Groups are recorded as corporate names.
+ * @param {SerializedAuthorT} author - The author in canonical JSON format, see `serializeEntityJSON`
+ * @param {MarcOptions} [options] - Base URL and date entered on file
+ * @returns {MarcRecordT} - The authority record
+ */
+export function authorToMarcAuthorityRecord(author: SerializedAuthorT, options: MarcOptions = {}): MarcRecordT {
+	const {baseUrl = DEFAULT_BASE_URL, dateEntered = new Date()} = options;
+	const isPerson = author.authorType?.label !== 'Group';
+	const headingTag = isPerson ? '100' : '110';
+	const tracingTag = isPerson ? '400' : '410';
+	const nameIndicator = isPerson ? '1' : '2';
+	const beginYear = getYear(author.beginDate);
+	const endYear = getYear(author.endDate);
+	const dates = beginYear || endYear ? `${beginYear ?? ''}-${endYear ?? ''}` : null;
+	const url = getEntityUrl('Author', author.bbid, baseUrl);
+
+	return createRecord('00000nz  a2200000o  4500', [
+		{tag: '001', value: author.bbid},
+		{tag: '003', value: 'BookBrainz'},
+		{tag: '008', value: getAuthorityFixedData(isPerson, dateEntered)}
+	], [
+		...getIdentifierValues(author, /VIAF/i).map((viafId) => createDataField(
+			'024', '7', ' ', [['a', viafId], ['2', 'viaf']]
+		)),
+		...getIdentifierValues(author, /Wikidata/i).map((wikidataId) => createDataField(
+			'024', '7', ' ', [['a', wikidataId], ['2', 'wikidata']]
+		)),
+		createDataField('046', ' ', ' ', [
+			[isPerson ? 'f' : 's', toISODate(author.beginDate)],
+			[isPerson ? 'g' : 't', toISODate(author.endDate)],
+			['2', author.beginDate || author.endDate ? 'edtf' : null]
+		]),
+		createDataField(headingTag, nameIndicator, ' ', [
+			['a', author.sortName ?? author.name],
+			['d', isPerson ? dates : null]
+		]),
+		createDataField('370', ' ', ' ', isPerson ?
+			[['a', author.beginArea?.name], ['b', author.endArea?.name]] :
+			[['e', author.beginArea?.name]]),
+		createDataField('375', ' ', ' ', [['a', author.gender?.label]]),
+		...author.aliases
+			.filter((alias) => !alias.default)
+			.map((alias) => createDataField(tracingTag, nameIndicator, ' ', [['a', alias.sortName]])),
+		createDataField('670', ' ', ' ', [['a', 'BookBrainz'], ['u', url]])
+	]);
+}
+
+function serializeDataField(field: MarcDataFieldT): string {
+	const subfields = field.subfields.map(({code, value}) => `${SUBFIELD_DELIMITER}${code}${value}`);
+	return `${field.ind1}${field.ind2}${subfields.join('')}`;
+}
+
+/**
+ * Returns the leader of a record with the record length and the base address
+ * of data of its ISO 2709 representation.
+ * @param {MarcRecordT} record - The MARC record
+ * @returns {string} - The complete leader
+ */
+function getLeaderWithLengths(record: MarcRecordT): string {
+	const fields = [
+		...record.controlFields.map((field) => field.value),
+		...record.dataFields.map(serializeDataField)
+	];
+	const directoryLength = fields.length * 12;
+	const baseAddress = record.leader.length + directoryLength + 1;
+	const fieldsLength = _.sumBy(fields, (field) => Buffer.byteLength(field + FIELD_TERMINATOR));
+	const recordLength = baseAddress + fieldsLength + 1;
+	if (recordLength > MAX_RECORD_LENGTH) {
+		throw new Error(`MARC record ${record.controlFields[0]?.value} exceeds the maximum record length`);
+	}
+	return [
+		_.padStart(recordLength.toString(), 5, '0'),
+		record.leader.slice(5, 12),
+		_.padStart(baseAddress.toString(), 5, '0'),
+		record.leader.slice(17)
+	].join('');
+}
+
+/**
+ * Encodes a record in the MARC21 exchange format (ISO 2709) with UTF-8
+ * character coding.
+ * @param {MarcRecordT} record - The MARC record
+ * @returns {Buffer} - The binary record
+ */
+export function toMarc21(record: MarcRecordT): Buffer {
+	const fields = [
+		...record.controlFields.map(({tag, value}) => ({tag, value})),
+		...record.dataFields.map((field) => ({tag: field.tag, value: serializeDataField(field)}))
+	];
+	let directory = '';
+	let offset = 0;
+	for (const {tag, value} of fields) {
+		const length = Buffer.byteLength(value + FIELD_TERMINATOR);
+		directory += `${tag}${_.padStart(length.toString(), 4, '0')}${_.padStart(offset.toString(), 5, '0')}`;
+		offset += length;
+	}
+	const data = fields.map(({value}) => value + FIELD_TERMINATOR).join('');
+
+	return Buffer.from(
+		`${getLeaderWithLengths(record)}${directory}${FIELD_TERMINATOR}${data}${RECORD_TERMINATOR}`,
+		'utf8'
+	);
+}
+
+/**
+ * Encodes one or more records as a MARCXML collection.
+ * @param {MarcRecordT | MarcRecordT[]} records - The MARC records
+ * @returns {string} - The MARCXML document
+ */
+export function toMarcXML(records: MarcRecordT | MarcRecordT[]): string {
+	const recordElements = _.castArray(records).map((record) => [
+		'\t<record>',
+		`\t\t<leader>${escapeXML(getLeaderWithLengths(record))}</leader>`,
+		...record.controlFields.map((field) =>
+			`\t\t<controlfield tag="${field.tag}">${escapeXML(field.value)}</controlfield>`),
+		...record.dataFields.map((field) => [
+			`\t\t<datafield tag="${field.tag}" ind1="${escapeXML(field.ind1)}" ind2="${escapeXML(field.ind2)}">`,
+			...field.subfields.map((subfield) =>
+				`\t\t\t<subfield code="${escapeXML(subfield.code)}">${escapeXML(subfield.value)}</subfield>`),
+			'\t\t</datafield>'
+		].join('\n')),
+		'\t</record>'
+	].join('\n'));
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<collection xmlns="${MARCXML_NAMESPACE}">`,
+		...recordElements,
+		'</collection>',
+		''
+	].join('\n');
+}
+
+/**
+ * Fetches an edition and its edition group and converts them into a MARC21
+ * bibliographic record, which can be encoded with `toMarc21` or `toMarcXML`.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} bbid - BBID of the edition
+ * @param {MarcOptions} [options] - Base URL and date entered on file
+ * @returns {Promise<MarcRecordT>} - The bibliographic record
+ */
+export async function serializeEditionAsMarcRecord(
+	orm: ORM, bbid: string, options: Omit<MarcOptions, 'editionGroup'> = {}
+): Promise<MarcRecordT> {
+	const edition = await serializeEntity(orm, 'Edition', bbid);
+	const editionGroup = edition.editionGroupBbid ?
+		await serializeEntity(orm, 'EditionGroup', edition.editionGroupBbid) :
+		null;
+	return editionToMarcRecord(edition, {...options, editionGroup});
+}
+
+/**
+ * Fetches an author and converts it into a MARC21 name authority record,
+ * which can be encoded with `toMarc21` or `toMarcXML`.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} bbid - BBID of the author
+ * @param {MarcOptions} [options] - Base URL and date entered on file
+ * @returns {Promise<MarcRecordT>} - The authority record
+ */
+export async function serializeAuthorAsMarcAuthorityRecord(
+	orm: ORM, bbid: string, options: Omit<MarcOptions, 'editionGroup'> = {}
+): Promise<MarcRecordT> {
+	const author = await serializeEntity(orm, 'Author', bbid);
+	return authorToMarcAuthorityRecord(author, options);
+}
@@ -0,0 +1,365 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import * as _ from 'lodash';
+import {type SerializedEditionT, serializeEntities, serializeEntity} from './canonical';
+import {
+	type XMLElementT, createTextElement, getIdentifierValues, renderXMLElement, toBibliographicLanguageCode
+} from './helpers';
+import type {ORM} from '../..';
+import {Readable} from 'stream';
+import {parseDate} from '../../util';
+
+
+export const ONIX_NAMESPACE = 'http://ns.editeur.org/onix/3.0/reference';
+
+export type ONIXOptions = {
+
+	/** Number of editions which are fetched at once in batch mode, defaults to 100. */
+	batchSize?: number;
+
+	/** Name of the sender in the message header, defaults to BookBrainz. */
+	senderName?: string;
+
+	/** Date and time when the message was sent, defaults to now. */
+	sentAt?: Date;
+};
+
+/** Name of the proprietary identifier type which is used for BBIDs. */
+const BBID_TYPE_NAME = 'BookBrainz BBID';
+
+/** ONIX product form codes (code list 150) of edition format labels. */
+const PRODUCT_FORMS: Record<string, string> = {
+	audiobook: 'AA',
+	ebook: 'EA',
+	hardcover: 'BB',
+	paperback: 'BC'
+};
+
+/** ONIX publishing status codes (code list 64) of edition status labels. */
+const PUBLISHING_STATUSES: Record<string, string> = {
+	draft: '02',
+	official: '04'
+};
+
+function toLabelKey(type: {label: string} | null): string {
+	return _.toLower(type?.label).replace(/[^a-z]/g, '');
+}
+
+/**
+ * Creates an identifier composite like ProductIdentifier or NameIdentifier
+ * which holds a BBID as proprietary identifier.
+ * @param {string} name - Name of the composite, which has to end with `Identifier`
+ * @param {string} bbid - The BBID
+ * @returns {XMLElementT} - The identifier composite
+ */
+function createProprietaryIdentifier(name: string, bbid: string): XMLElementT {
+	return {
+		children: [
+			createTextElement(name.replace(/Identifier$/, 'IDType'), '01'),
+			createTextElement('IDTypeName', BBID_TYPE_NAME),
+			createTextElement('IDValue', bbid)
+		],
+		name
+	};
+}
+
+function createProductIdentifiers(edition: SerializedEditionT): XMLElementT[] {
+	const isbns = _.uniq(getIdentifierValues(edition, /^ISBN/i).map((isbn) => isbn.replace(/[\s-]/g, '')));
+	return [
+		createProprietaryIdentifier('ProductIdentifier', edition.bbid),
+		...isbns
+			.filter((isbn) => isbn.length === 10 || isbn.length === 13)
+			.map((isbn) => ({
+				children: [
+					// ISBN-13 or ISBN-10
+					createTextElement('ProductIDType', isbn.length === 13 ? '15' : '02'),
+					createTextElement('IDValue', isbn)
+				],
+				name: 'ProductIdentifier'
+			}))
+	];
+}
+
+function createMeasure(type: string, value: number | null, unit: string): XMLElementT | null {
+	if (!value) {
+		return null;
+	}
+	return {
+		children: [
+			createTextElement('MeasureType', type),
+			createTextElement('Measurement', value),
+			createTextElement('MeasureUnitCode', unit)
+		],
+		name: 'Measure'
+	};
+}
+
+/**
+ * Builds the publishing date of the earliest dated release event, with the
+ * date format code (code list 55) which matches the precision of the date.
+ * @param {SerializedEditionT} edition - The edition in canonical JSON format
+ * @returns {XMLElementT | null} - The PublishingDate composite, or null if the edition has no release date
+ */
+function createPublishingDate(edition: SerializedEditionT): XMLElementT | null {
+	const dates = edition.releaseEvents
+		.map((releaseEvent) => parseDate(releaseEvent.date))
+		.filter(([year]) => year > 0 && year < 10000);
+	if (!dates.length) {
+		return null;
+	}
+	const [year, month, day] = _.sortBy(dates, [0, 1, 2])[0];
+	const dateParts = _.compact([year, month, day && month ? day : null])
+		.map((part, index) => _.padStart(part.toString(), index ? 2 : 4, '0'));
+	const dateFormats = ['05', '01', '00'];
+
+	return {
+		children: [
+			createTextElement('PublishingDateRole', '01'),
+			createTextElement('Date', dateParts.join(''), {dateformat: dateFormats[dateParts.length - 1]})
+		],
+		name: 'PublishingDate'
+	};
+}
+
+/**
+ * Converts an edition in canonical JSON format into an ONIX 3.0 Product
+ * composite. The BBID is used as record reference and proprietary identifier.
+ * @param {SerializedEditionT} edition - The edition in canonical JSON format, see `serializeEntityJSON`
+ * @returns {XMLElementT} - The Product composite
+ */
+export function editionToONIXProduct(edition: SerializedEditionT): XMLElementT {
+	const contributors = (edition.authorCredit ?? []).map((name, index) => ({
+		children: [
+			createTextElement('SequenceNumber', index + 1),
+			// By (author)
+			createTextElement('ContributorRole', 'A01'),
+			createProprietaryIdentifier('NameIdentifier', name.authorBbid),
+			createTextElement('PersonName', name.name)
+		],
+		name: 'Contributor'
+	}));
+	const publishers = edition.publishers.map((publisher, index) => ({
+		children: [
+			// Publisher or co-publisher
+			createTextElement('PublishingRole', index ? '02' : '01'),
+			createProprietaryIdentifier('PublisherIdentifier', publisher.bbid),
+			createTextElement('PublisherName', publisher.name)
+		],
+		name: 'Publisher'
+	}));
+	const languages = _.uniq(_.compact(edition.languages.map(toBibliographicLanguageCode))).map((code) => ({
+		children: [
+			// Language of text
+			createTextElement('LanguageRole', '01'),
+			createTextElement('LanguageCode', code)
+		],
+		name: 'Language'
+	}));
+	const extent = edition.pages ? {
+		children: [
+			// Main content page count in pages
+			createTextElement('ExtentType', '00'),
+			createTextElement('ExtentValue', edition.pages),
+			createTextElement('ExtentUnit', '03')
+		],
+		name: 'Extent'
+	} : null;
+
+	return {
+		children: [
+			createTextElement('RecordReference', `org.bookbrainz.edition.${edition.bbid}`),
+			// Notification confirmed on publication
+			createTextElement('NotificationType', '03'),
+			createTextElement('RecordSourceName', 'BookBrainz'),
+			...createProductIdentifiers(edition),
+			{
+				children: [
+					// Single-component retail product
+					createTextElement('ProductComposition', '00'),
+					createTextElement('ProductForm', PRODUCT_FORMS[toLabelKey(edition.editionFormat)] ?? '00'),
+					createMeasure('01', edition.height, 'mm'),
+					createMeasure('02', edition.width, 'mm'),
+					createMeasure('03', edition.depth, 'mm'),
+					createMeasure('08', edition.weight, 'gr'),
+					{
+						children: [
+							// Distinctive title of the product
+							createTextElement('TitleType', '01'),
+							{
+								children: [
+									createTextElement('TitleElementLevel', '01'),
+									createTextElement('TitleText', edition.name)
+								],
+								name: 'TitleElement'
+							}
+						],
+						name: 'TitleDetail'
+					},
+					...contributors,
+					contributors.length ? null : {name: 'NoContributor'},
+					...languages,
+					extent
+				],
+				name: 'DescriptiveDetail'
+			},
+			{
+				children: [
+					...publishers,
+					createTextElement(
+						'PublishingStatus', PUBLISHING_STATUSES[toLabelKey(edition.editionStatus)] ?? '00'
+					),
+					createPublishingDate(edition)
+				],
+				name: 'PublishingDetail'
+			}
+		],
+		name: 'Product'
+	};
+}
+
+/**
+ * Creates a Product composite which notifies the recipient that an edition
+ * has been deleted.
+ * @param {string} bbid - BBID of the deleted edition
+ * @returns {XMLElementT} - The Product composite
+ */
+function createDeleteProduct(bbid: string): XMLElementT {
+	return {
+		children: [
+			createTextElement('RecordReference', `org.bookbrainz.edition.${bbid}`),
+			// Delete
+			createTextElement('NotificationType', '05'),
+			createTextElement('RecordSourceName', 'BookBrainz'),
+			createProprietaryIdentifier('ProductIdentifier', bbid)
+		],
+		name: 'Product'
+	};
+}
+
+/**
+ * Formats a date and time as `YYYYMMDDTHHMMZ`, the format of the sent date
+ * time of ONIX message headers.
+ * @param {Date} date - The date and time
+ * @returns {string} - The formatted date and time in UTC
+ */
+function formatSentDateTime(date: Date): string {
+	return date.toISOString().replace(/[-:]/g, '').slice(0, 13).concat('Z');
+}
+
+function getMessageStart({senderName = 'BookBrainz', sentAt = new Date()}: ONIXOptions): string {
+	const header: XMLElementT = {
+		children: [
+			{children: [createTextElement('SenderName', senderName)], name: 'Sender'},
+			createTextElement('SentDateTime', formatSentDateTime(sentAt))
+		],
+		name: 'Header'
+	};
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<ONIXMessage release="3.0" xmlns="${ONIX_NAMESPACE}">`,
+		renderXMLElement(header, 1),
+		''
+	].join('\n');
+}
+
+const MESSAGE_END = '</ONIXMessage>\n';
+
+/**
+ * Converts editions in canonical JSON format into a complete ONIX 3.0 message.
+ * @param {SerializedEditionT[]} editions - The editions in canonical JSON format
+ * @param {ONIXOptions} [options] - Sender name and sent date of the message header
+ * @returns {string} - The ONIX message
+ */
+export function toONIXMessage(editions: SerializedEditionT[], options: ONIXOptions = {}): string {
+	const products = editions.map((edition) => `${renderXMLElement(editionToONIXProduct(edition), 1)}\n`);
+	return [getMessageStart(options), ...products, MESSAGE_END].join('');
+}
+
+/**
+ * Fetches an edition and converts it into an ONIX 3.0 message.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {string} bbid - BBID of the edition
+ * @param {ONIXOptions} [options] - Sender name and sent date of the message header
+ * @returns {Promise<string>} - The ONIX message
+ */
+export async function serializeEditionAsONIX(orm: ORM, bbid: string, options: ONIXOptions = {}): Promise<string> {
+	const edition = await serializeEntity(orm, 'Edition', bbid);
+	return toONIXMessage([edition], options);
+}
+
+/**
+ * Generates an ONIX 3.0 message for many editions piece by piece, so that the
+ * whole message never has to be kept in memory. Editions are fetched in
+ * batches, redirected BBIDs are replaced by their target edition and deleted
+ * editions are sent with a delete notification. Missing BBIDs are skipped.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Iterable<string> | AsyncIterable<string>} bbids - BBIDs of the editions
+ * @param {ONIXOptions} [options] - Batch size, sender name and sent date of the message header
+ * @yields {string} - Consecutive parts of the ONIX message
+ */
+export async function* generateONIXMessage(
+	orm: ORM, bbids: Iterable<string> | AsyncIterable<string>, options: ONIXOptions = {}
+): AsyncGenerator<string, void, undefined> {
+	const {batchSize = 100} = options;
+	if (!Number.isInteger(batchSize) || batchSize < 1) {
+		throw new Error('Batch size has to be a positive integer');
+	}
+	const sentBbids = new Set<string>();
+
+	async function* renderBatch(batch: string[]): AsyncGenerator<string, void, undefined> {
+		const {deleted, entities} = await serializeEntities(orm, 'Edition', batch);
+		for (const edition of entities) {
+			if (!sentBbids.has(edition.bbid)) {
+				sentBbids.add(edition.bbid);
+				yield `${renderXMLElement(editionToONIXProduct(edition), 1)}\n`;
+			}
+		}
+		for (const bbid of deleted) {
+			yield `${renderXMLElement(createDeleteProduct(bbid), 1)}\n`;
+		}
+	}
+
+	yield getMessageStart(options);
+	let batch: string[] = [];
+	for await (const bbid of bbids) {
+		batch.push(bbid);
+		if (batch.length === batchSize) {
+			yield* renderBatch(batch);
+			batch = [];
+		}
+	}
+	if (batch.length) {
+		yield* renderBatch(batch);
+	}
+	yield MESSAGE_END;
+}
+
+/**
+ * Creates a readable stream of an ONIX 3.0 message for many editions, see
+ * `generateONIXMessage`.
+ * @param {ORM} orm - The BookBrainz ORM
+ * @param {Iterable<string> | AsyncIterable<string>} bbids - BBIDs of the editions
+ * @param {ONIXOptions} [options] - Batch size, sender name and sent date of the message header
+ * @returns {Readable} - Stream of the ONIX message
+ */
+export function createONIXStream(
+	orm: ORM, bbids: Iterable<string> | AsyncIterable<string>, options: ONIXOptions = {}
+): Readable {
+	return Readable.from(generateONIXMessage(orm, bbids, options));
+}
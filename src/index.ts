@@ -24,6 +24,7 @@ import {type Knex, knex} from 'knex';
 
 import Bookshelf from '@metabrainz/bookshelf';
 import type {DB} from './types/schema';
+import {ORMEventEmitter} from './events';
 import {Pool} from 'pg';
 import achievementType from './models/achievementType';
 import achievementUnlock from './models/achievementUnlock';
@@ -111,6 +112,7 @@ import workType from './models/workType';
 export default function init(config: Knex.Config) {
 	const bookshelf = Bookshelf(knex(config));
 	bookshelf.plugin('bookshelf-virtuals-plugin');
+	const events = new ORMEventEmitter();
 
 	// Initialize these here to set up dependencies
 	const AuthorData = authorData(bookshelf);
@@ -200,7 +202,7 @@ export default function init(config: Knex.Config) {
 		TitleUnlock: titleUnlock(bookshelf),
 		UserCollection: userCollection(bookshelf),
 		UserCollectionCollaborator: userCollectionCollaborator(bookshelf),
-		UserCollectionItem: userCollectionItem(bookshelf),
+		UserCollectionItem: userCollectionItem(bookshelf, events),
 		Work: work(bookshelf),
 		WorkData,
 		WorkHeader: workHeader(bookshelf),
@@ -208,6 +210,7 @@ export default function init(config: Knex.Config) {
 		WorkRevision: workRevision(bookshelf),
 		WorkType: workType(bookshelf),
 		bookshelf,
+		events,
 		func,
 		kysely,
 		util
@@ -216,4 +219,5 @@ export default function init(config: Knex.Config) {
 
 export type ORM = ReturnType<typeof init>;
 
+export type {ORMEventEmitter, ORMEventListener, ORMEventName, ORMEventPayloads} from './events';
 export {func};
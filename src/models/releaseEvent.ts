@@ -22,6 +22,9 @@ import type Bookshelf from '@metabrainz/bookshelf';
 
 export default function releaseEvent(bookshelf: Bookshelf) {
 	const ReleaseEvent = bookshelf.Model.extend({
+		area() {
+			return this.belongsTo('Area', 'area_id');
+		},
 		format: camelToSnake,
 		idAttribute: 'id',
 		parse: snakeToCamel,
@@ -16,6 +16,7 @@
  * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
  */
 
+import {type RevisionDiffOptions, diffRevisionData} from '../../func/diff';
 import {camelToSnake, diffRevisions, snakeToCamel} from '../../util';
 import type Bookshelf from '@metabrainz/bookshelf';
 
@@ -25,8 +26,8 @@ export default function editionRevision(bookshelf: Bookshelf) {
 		data() {
 			return this.belongsTo('EditionData', 'data_id');
 		},
-		diff(other) {
-			return diffRevisions(this, other, [
+		diff(other, {semantic = false}: RevisionDiffOptions = {}) {
+			const includes = [
 				'annotation', 'disambiguation', 'aliasSet.aliases.language',
 				'aliasSet.defaultAlias', 'authorCredit.names',
 				'relationshipSet.relationships',
@@ -36,7 +37,10 @@ export default function editionRevision(bookshelf: Bookshelf) {
 				'identifierSet.identifiers.type',
 				'relationshipSet.relationships.attributeSet.relationshipAttributes.value',
 				'relationshipSet.relationships.attributeSet.relationshipAttributes.type'
-			]);
+			];
+			return semantic ?
+				diffRevisionData('Edition', this, other, includes) :
+				diffRevisions(this, other, includes);
 		},
 		entity() {
 			return this.belongsTo('EditionHeader', 'bbid');
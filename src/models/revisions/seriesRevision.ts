@@ -16,6 +16,7 @@
  * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
  */
 
+import {type RevisionDiffOptions, diffRevisionData} from '../../func/diff';
 import {camelToSnake, diffRevisions, snakeToCamel} from '../../util';
 import type Bookshelf from '@metabrainz/bookshelf';
 
@@ -25,8 +26,8 @@ export default function seriesRevision(bookshelf: Bookshelf) {
 		data() {
 			return this.belongsTo('SeriesData', 'data_id');
 		},
-		diff(other) {
-			return diffRevisions(this, other, [
+		diff(other, {semantic = false}: RevisionDiffOptions = {}) {
+			const includes = [
 				'annotation',
 				'disambiguation',
 				'aliasSet.aliases.language',
@@ -36,7 +37,10 @@ export default function seriesRevision(bookshelf: Bookshelf) {
 				'relationshipSet.relationships.attributeSet.relationshipAttributes.type',
 				'seriesOrderingType',
 				'identifierSet.identifiers.type'
-			]);
+			];
+			return semantic ?
+				diffRevisionData('Series', this, other, includes) :
+				diffRevisions(this, other, includes);
 		},
 		entity() {
 			return this.belongsTo('SeriesHeader', 'bbid');
@@ -16,16 +16,25 @@
  * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
  */
 
+import {type ORMEventEmitter, emitAfterCommit} from '../events';
 import {camelToSnake, snakeToCamel} from '../util';
 import type Bookshelf from '@metabrainz/bookshelf';
 
 
-export default function userCollectionItem(bookshelf: Bookshelf) {
+export default function userCollectionItem(bookshelf: Bookshelf, events: ORMEventEmitter) {
 	const UserCollectionItem = bookshelf.Model.extend({
 		entity() {
 			return this.belongsTo('Entity', 'bbid');
 		},
 		format: camelToSnake,
+		initialize() {
+			this.on('created', (model, options) => {
+				emitAfterCommit(events, options.transacting, 'collection:itemAdded', {
+					bbid: model.get('bbid'),
+					collectionId: model.get('collectionId')
+				});
+			});
+		},
 		parse: snakeToCamel,
 		tableName: 'bookbrainz.user_collection_item'
 	});
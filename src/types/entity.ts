@@ -16,9 +16,11 @@
  * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
  */
 
+import {AuthorCreditNameT, FormPublisherT, FormRelationshipT} from '../func/types';
 import {LazyLoadedAliasSetT, LazyLoadedAliasT} from './aliases';
 import {LazyLoaded} from './utils';
 import {LazyLoadedIdentifierSetT} from './identifiers';
+import {ParsedEntity} from './parser';
 
 
 export const ENTITY_TYPES = [
@@ -43,3 +45,21 @@ export type LazyLoadedEntityT = EntityT & LazyLoaded<{
 	defaultAlias: LazyLoadedAliasT,
 	identifierSet: LazyLoadedIdentifierSetT,
 }>;
+
+/** Properties of parsed entities which only make sense for imports. */
+type ImportOnlyProps = 'externalIdentifier' | 'externalSource' | 'lastEdited' | 'metadata';
+
+/**
+ * Entity data as it is submitted by an editor, which is the parsed entity
+ * data without the import metadata, plus the sets which only editors can fill.
+ */
+export type EntityDataT<T extends ParsedEntity = ParsedEntity> = Omit<T, ImportOnlyProps> & Partial<{
+	authorCredit: AuthorCreditNameT[];
+	publishers: FormPublisherT[];
+
+	/**
+	 * Relationships of the entity, a missing source or target BBID refers to
+	 * the entity itself (which has no BBID yet when it is created).
+	 */
+	relationships: FormRelationshipT[];
+}>;
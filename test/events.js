@@ -0,0 +1,424 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {ORMEventEmitter, emitAfterCommit} from '../lib/events';
+import {approveImport, castDiscardVote, createImport} from '../lib/func/imports';
+import {createEntity, deleteEntity, editEntity, mergeEntities, restoreEntity} from '../lib/func/entity';
+import bookbrainzData from './bookshelf';
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import {revertRevision} from '../lib/func/revision';
+import {truncateTables} from '../lib/util';
+
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+const {Editor, EditorType, Gender, UserCollection, UserCollectionItem, bookshelf} = bookbrainzData;
+
+const payload = {bbid: 'de305d54-75b4-431b-adb2-eb6b9e546014', collectionId: 'c0ffee00-0000-4000-8000-000000000000'};
+
+describe('ORMEventEmitter', () => {
+	it('should call listeners with the payload until they are removed', () => {
+		const events = new ORMEventEmitter();
+		const received = [];
+		function listener(eventPayload) {
+			received.push(eventPayload);
+		}
+
+		events.on('collection:itemAdded', listener);
+		events.once('collection:itemAdded', () => received.push('once'));
+		expect(events.emit('collection:itemAdded', payload)).to.be.true;
+		events.emit('collection:itemAdded', payload);
+		events.off('collection:itemAdded', listener);
+
+		expect(events.emit('collection:itemAdded', payload)).to.be.false;
+		expect(received).to.deep.equal([payload, 'once', payload]);
+	});
+
+	it('should pass errors of listeners to the error listeners', async () => {
+		const events = new ORMEventEmitter();
+		const errors = [];
+		const received = [];
+
+		events.on('error', (error) => errors.push(error.message));
+		events.on('collection:itemAdded', () => {
+			throw new Error('sync');
+		});
+		events.on('collection:itemAdded', () => Promise.reject(new Error('async')));
+		events.on('collection:itemAdded', (eventPayload) => received.push(eventPayload));
+
+		expect(() => events.emit('collection:itemAdded', payload)).to.not.throw();
+		await new Promise(setImmediate);
+
+		expect(received).to.deep.equal([payload]);
+		expect(errors).to.deep.equal(['sync', 'async']);
+	});
+});
+
+describe('emitAfterCommit', () => {
+	it('should emit immediately without a transaction', () => {
+		const events = new ORMEventEmitter();
+		const received = [];
+		events.on('collection:itemAdded', (eventPayload) => received.push(eventPayload));
+
+		emitAfterCommit(events, null, 'collection:itemAdded', payload);
+
+		expect(received).to.deep.equal([payload]);
+	});
+
+	it('should emit once the transaction has been committed', async () => {
+		const events = new ORMEventEmitter();
+		const received = [];
+		events.on('collection:itemAdded', (eventPayload) => received.push(eventPayload));
+
+		await bookshelf.transaction(async (transacting) => {
+			emitAfterCommit(events, transacting, 'collection:itemAdded', payload);
+			await transacting.raw('SELECT 1');
+			expect(received).to.be.empty;
+		});
+
+		expect(received).to.deep.equal([payload]);
+	});
+
+	it('should not emit if the transaction is rolled back', async () => {
+		const events = new ORMEventEmitter();
+		const received = [];
+		events.on('collection:itemAdded', (eventPayload) => received.push(eventPayload));
+
+		const transaction = bookshelf.transaction((transacting) => {
+			emitAfterCommit(events, transacting, 'collection:itemAdded', payload);
+			return Promise.reject(new Error('rollback'));
+		});
+
+		await expect(transaction).to.be.rejectedWith('rollback');
+		expect(received).to.be.empty;
+	});
+});
+
+describe('lifecycle events of the ORM', () => {
+	const editorId = 1;
+	const collectionId = 'c0ffee00-0000-4000-8000-000000000000';
+	const {knex} = bookshelf;
+
+	function getAuthorData(name) {
+		return {
+			alias: [{default: true, languageId: null, name, primary: true, sortName: name}],
+			ended: false,
+			identifiers: []
+		};
+	}
+
+	function getImportData(externalIdentifier) {
+		return {
+			data: {...getAuthorData('Imported'), externalSource: 'test', metadata: {}},
+			entityType: 'Author',
+			externalIdentifier,
+			externalSource: 'test'
+		};
+	}
+
+	/**
+	 * Runs an action and collects the payloads of an event which are emitted
+	 * while it runs or right after it has settled.
+	 * @param {string} event - Name of the event
+	 * @param {Function} action - Async function which should cause the event
+	 * @returns {Promise<Object[]>} - The payloads of the event
+	 */
+	async function collectEvents(event, action) {
+		const received = [];
+		function listener(eventPayload) {
+			received.push(eventPayload);
+		}
+		bookbrainzData.events.on(event, listener);
+		try {
+			await action();
+			await new Promise(setImmediate);
+		}
+		finally {
+			bookbrainzData.events.off(event, listener);
+		}
+		return received;
+	}
+
+	/**
+	 * Runs an action whose transaction fails at commit time, after all of its
+	 * statements have succeeded, because of a deferred trigger on the table.
+	 * @param {string} table - Table which is written by the action
+	 * @param {Function} action - Async function which writes to the table
+	 * @returns {Promise} - Promise which is rejected once the transaction has been rolled back
+	 */
+	async function failOnCommit(table, action) {
+		await knex.raw(`
+			CREATE CONSTRAINT TRIGGER fail_on_commit AFTER INSERT OR UPDATE OR DELETE ON ${table}
+			DEFERRABLE INITIALLY DEFERRED FOR EACH ROW EXECUTE FUNCTION bookbrainz.fail_on_commit()`);
+		try {
+			await expect(action()).to.be.rejectedWith('commit failed');
+		}
+		finally {
+			await knex.raw(`DROP TRIGGER fail_on_commit ON ${table}`);
+		}
+	}
+
+	before(async () => {
+		await knex.raw(`
+			CREATE FUNCTION bookbrainz.fail_on_commit() RETURNS trigger AS $$
+			BEGIN
+				RAISE EXCEPTION 'commit failed';
+			END;
+			$$ LANGUAGE plpgsql`);
+		await Promise.all([
+			new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+			new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'})
+		]);
+		await new Editor({genderId: 1, id: editorId, name: 'bob', typeId: 1}).save(null, {method: 'insert'});
+	});
+
+	after(async function truncate() {
+		this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+		await knex.raw('DROP FUNCTION bookbrainz.fail_on_commit()');
+		await truncateTables(bookshelf, [
+			'bookbrainz.entity',
+			'bookbrainz.entity_redirect',
+			'bookbrainz.revision',
+			'bookbrainz.note',
+			'bookbrainz.alias',
+			'bookbrainz.alias_set',
+			'bookbrainz.identifier_set',
+			'bookbrainz.disambiguation',
+			'bookbrainz.import_metadata',
+			'bookbrainz.discard_votes',
+			'bookbrainz.external_source',
+			'bookbrainz.user_collection',
+			'bookbrainz.user_collection_item',
+			'bookbrainz.editor',
+			'bookbrainz.editor_type',
+			'musicbrainz.gender'
+		]);
+	});
+
+	describe('entity:created', () => {
+		it('should be emitted once the entity has been created', async () => {
+			let result;
+			const received = await collectEvents('entity:created', async () => {
+				result = await createEntity(bookbrainzData, 'Author', getAuthorData('Created'), editorId);
+			});
+
+			expect(received).to.deep.equal([{
+				bbid: result.bbid, editorId, entityType: 'Author', revisionId: result.revisionId
+			}]);
+		});
+
+		it('should not be emitted if the transaction is rolled back', async () => {
+			const received = await collectEvents('entity:created', () => failOnCommit(
+				'bookbrainz.revision', () => createEntity(bookbrainzData, 'Author', getAuthorData('Created'), editorId)
+			));
+
+			expect(received).to.be.empty;
+		});
+	});
+
+	describe('entity:edited', () => {
+		it('should be emitted once the entity has been edited', async () => {
+			const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Unedited'), editorId);
+			let result;
+			const received = await collectEvents('entity:edited', async () => {
+				result = await editEntity(bookbrainzData, bbid, {disambiguation: 'Edited'}, editorId);
+			});
+
+			expect(received).to.have.lengthOf(1);
+			expect(received[0]).to.deep.include({bbid, editorId, entityType: 'Author', revisionId: result.revisionId});
+			expect(received[0].changedProps).to.include('disambiguationId');
+		});
+
+		it('should not be emitted if the transaction is rolled back', async () => {
+			const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Unedited'), editorId);
+			const received = await collectEvents('entity:edited', () => failOnCommit(
+				'bookbrainz.revision', () => editEntity(bookbrainzData, bbid, {disambiguation: 'Edited'}, editorId)
+			));
+
+			expect(received).to.be.empty;
+		});
+	});
+
+	describe('entity:merged', () => {
+		it('should be emitted once the entities have been merged', async () => {
+			const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+			const source = await createEntity(bookbrainzData, 'Author', getAuthorData('Source'), editorId);
+			let result;
+			const received = await collectEvents('entity:merged', async () => {
+				result = await mergeEntities(bookbrainzData, target.bbid, [source.bbid], editorId);
+			});
+
+			expect(received).to.deep.equal([{
+				editorId, entityType: 'Author', revisionId: result.revisionId, sourceBbids: [source.bbid],
+				targetBbid: target.bbid
+			}]);
+		});
+
+		it('should not be emitted if the transaction is rolled back', async () => {
+			const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+			const source = await createEntity(bookbrainzData, 'Author', getAuthorData('Source'), editorId);
+			const received = await collectEvents('entity:merged', () => failOnCommit(
+				'bookbrainz.revision', () => mergeEntities(bookbrainzData, target.bbid, [source.bbid], editorId)
+			));
+
+			expect(received).to.be.empty;
+		});
+	});
+
+	describe('entity:deleted and entity:restored', () => {
+		it('should be emitted once the entity has been deleted or restored', async () => {
+			const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Deleted'), editorId);
+			let deletion;
+			let restoration;
+			const deleted = await collectEvents('entity:deleted', async () => {
+				deletion = await deleteEntity(bookbrainzData, bbid, editorId);
+			});
+			const restored = await collectEvents('entity:restored', async () => {
+				restoration = await restoreEntity(bookbrainzData, bbid, editorId);
+			});
+
+			expect(deleted).to.deep.equal([{bbid, editorId, entityType: 'Author', revisionId: deletion.revisionId}]);
+			expect(restored).to.deep.equal([{
+				bbid, editorId, entityType: 'Author', revisionId: restoration.revisionId
+			}]);
+		});
+
+		it('should not be emitted if the transaction is rolled back', async () => {
+			const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Deleted'), editorId);
+			const deleted = await collectEvents('entity:deleted', () => failOnCommit(
+				'bookbrainz.revision', () => deleteEntity(bookbrainzData, bbid, editorId)
+			));
+			await deleteEntity(bookbrainzData, bbid, editorId);
+			const restored = await collectEvents('entity:restored', () => failOnCommit(
+				'bookbrainz.revision', () => restoreEntity(bookbrainzData, bbid, editorId)
+			));
+
+			expect(deleted).to.be.empty;
+			expect(restored).to.be.empty;
+		});
+	});
+
+	describe('revision:reverted', () => {
+		it('should be emitted once the revision has been reverted', async () => {
+			const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Reverted'), editorId);
+			const edit = await editEntity(bookbrainzData, bbid, {disambiguation: 'Reverted'}, editorId);
+			let result;
+			const received = await collectEvents('revision:reverted', async () => {
+				result = await revertRevision(bookbrainzData, edit.revisionId, editorId);
+			});
+
+			expect(received).to.deep.equal([{
+				editorId, revertedBbids: [bbid], revertedRevisionId: edit.revisionId, revisionId: result.revisionId
+			}]);
+		});
+
+		it('should not be emitted if the transaction is rolled back', async () => {
+			const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Reverted'), editorId);
+			const edit = await editEntity(bookbrainzData, bbid, {disambiguation: 'Reverted'}, editorId);
+			const received = await collectEvents('revision:reverted', () => failOnCommit(
+				'bookbrainz.revision', () => revertRevision(bookbrainzData, edit.revisionId, editorId)
+			));
+
+			expect(received).to.be.empty;
+		});
+	});
+
+	describe('import:created and import:approved', () => {
+		it('should be emitted once the import has been created or approved', async () => {
+			let importId;
+			const created = await collectEvents('import:created', async () => {
+				({importId} = await createImport(bookbrainzData, getImportData('created')));
+			});
+			const importEntity = {
+				annotationId: null, bbid: importId, importMetadata: {externalIdentifier: 'created', source: 'test'},
+				type: 'Author'
+			};
+			const approved = await collectEvents('import:approved', () => approveImport({
+				editorId, importEntity, orm: bookbrainzData
+			}));
+
+			expect(created).to.deep.equal([{entityType: 'Author', importId}]);
+			expect(approved).to.have.lengthOf(1);
+			expect(approved[0]).to.deep.include({bbid: importId, editorId, entityType: 'Author'});
+			expect(approved[0].revisionId).to.be.a('number');
+		});
+
+		it('should not be emitted if the transaction is rolled back', async () => {
+			const created = await collectEvents('import:created', () => failOnCommit(
+				'bookbrainz.import_metadata', () => createImport(bookbrainzData, getImportData('rolled back'))
+			));
+			const {importId} = await createImport(bookbrainzData, getImportData('not approved'));
+			const importEntity = {
+				annotationId: null,
+				bbid: importId,
+				importMetadata: {externalIdentifier: 'not approved', source: 'test'},
+				type: 'Author'
+			};
+			const approved = await collectEvents('import:approved', () => failOnCommit(
+				'bookbrainz.revision', () => approveImport({editorId, importEntity, orm: bookbrainzData})
+			));
+
+			expect(created).to.be.empty;
+			expect(approved).to.be.empty;
+		});
+	});
+
+	describe('import:discarded', () => {
+		it('should be emitted once the decisive discard vote has been committed', async () => {
+			const {importId} = await createImport(bookbrainzData, getImportData('discarded'));
+			await new Editor({genderId: 1, id: 2, name: 'alice', typeId: 1}).save(null, {method: 'insert'});
+			const firstVote = await collectEvents('import:discarded', () => bookshelf.transaction(
+				(transacting) => castDiscardVote(transacting, importId, editorId, bookbrainzData)
+			));
+			const rolledBackVote = await collectEvents('import:discarded', () => expect(bookshelf.transaction(
+				async (transacting) => {
+					await castDiscardVote(transacting, importId, 2, bookbrainzData);
+					throw new Error('rollback');
+				}
+			)).to.be.rejectedWith('rollback'));
+			const decisiveVote = await collectEvents('import:discarded', () => bookshelf.transaction(
+				(transacting) => castDiscardVote(transacting, importId, 2, bookbrainzData)
+			));
+
+			expect(firstVote).to.be.empty;
+			expect(rolledBackVote).to.be.empty;
+			expect(decisiveVote).to.deep.equal([{editorId: 2, importId}]);
+		});
+	});
+
+	describe('collection:itemAdded', () => {
+		it('should be emitted once the item has been added', async () => {
+			const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Collected'), editorId);
+			await new UserCollection({
+				entityType: 'Author', id: collectionId, name: 'Test Collection', ownerId: editorId
+			}).save(null, {method: 'insert'});
+			const rolledBack = await collectEvents('collection:itemAdded', () => expect(bookshelf.transaction(
+				async (transacting) => {
+					await new UserCollectionItem({bbid, collectionId}).save(null, {method: 'insert', transacting});
+					throw new Error('rollback');
+				}
+			)).to.be.rejectedWith('rollback'));
+			const added = await collectEvents('collection:itemAdded', () => new UserCollectionItem({bbid, collectionId})
+				.save(null, {method: 'insert'}));
+
+			expect(rolledBack).to.be.empty;
+			expect(added).to.deep.equal([{bbid, collectionId}]);
+		});
+	});
+});
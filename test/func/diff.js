@@ -0,0 +1,176 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import _ from 'lodash';
+import chai from 'chai';
+import {diffEntityData} from '../../lib/func/diff';
+
+
+const {expect} = chai;
+
+const english = {id: 1, name: 'English'};
+const aliasA = {id: 1, language: english, languageId: 1, name: 'A', primary: true, sortName: 'A'};
+const aliasB = {id: 2, language: english, languageId: 1, name: 'B', primary: true, sortName: 'B'};
+const relationship = {
+	attributeSet: {
+		relationshipAttributes: [{type: {name: 'position'}, value: {textValue: '1'}}]
+	},
+	id: 1,
+	sourceBbid: 'de305d54-75b4-431b-adb2-eb6b9e546014',
+	targetBbid: 'ba2d4ddf-4e2a-4b5e-b1ff-11e0ee4fce0c',
+	type: {label: 'Author', linkPhrase: 'wrote'},
+	typeId: 1
+};
+
+const authorData = {
+	aliasSet: {aliases: [aliasA], defaultAlias: aliasA},
+	annotation: {content: 'Old annotation'},
+	beginArea: {id: 1, name: 'Berlin'},
+	beginDay: 1,
+	beginMonth: 2,
+	beginYear: 1900,
+	ended: false,
+	identifierSet: {identifiers: [{id: 1, type: {label: 'Wikidata'}, typeId: 1, value: 'Q1'}]},
+	relationshipSet: {relationships: [relationship]}
+};
+
+describe('diffEntityData', () => {
+	it('should return an empty diff for identical data', () => {
+		const result = diffEntityData('Author', authorData, _.cloneDeep(authorData));
+
+		return expect(result).to.be.empty;
+	});
+
+	it('should ignore new IDs of unchanged set items', () => {
+		const copiedData = _.cloneDeep(authorData);
+		copiedData.aliasSet.aliases[0].id = 3;
+		copiedData.identifierSet.identifiers[0].id = 2;
+		copiedData.relationshipSet.relationships[0].id = 2;
+		const result = diffEntityData('Author', authorData, copiedData);
+
+		return expect(result).to.be.empty;
+	});
+
+	it('should report added aliases and a changed default alias', () => {
+		const newData = {...authorData, aliasSet: {aliases: [aliasA, aliasB], defaultAlias: aliasB}};
+		const result = diffEntityData('Author', authorData, newData);
+		const expectedAliasB = {language: 'English', languageId: 1, name: 'B', primary: true, sortName: 'B'};
+
+		expect(result).to.have.all.keys('aliases');
+		expect(result.aliases.added).to.deep.equal([expectedAliasB]);
+		expect(result.aliases.removed).to.be.empty;
+		expect(result.aliases.defaultAlias.before).to.include({name: 'A'});
+		expect(result.aliases.defaultAlias.after).to.deep.equal(expectedAliasB);
+	});
+
+	it('should report removed identifiers and relationships with their type labels', () => {
+		const newData = {...authorData, identifierSet: {identifiers: []}, relationshipSet: {relationships: []}};
+		const result = diffEntityData('Author', authorData, newData);
+
+		expect(result).to.have.all.keys('identifiers', 'relationships');
+		expect(result.identifiers).to.deep.equal({
+			added: [],
+			removed: [{type: 'Wikidata', typeId: 1, value: 'Q1'}]
+		});
+		expect(result.relationships.added).to.be.empty;
+		expect(result.relationships.removed).to.deep.equal([{
+			attributes: [{type: 'position', value: '1'}],
+			sourceBbid: relationship.sourceBbid,
+			targetBbid: relationship.targetBbid,
+			type: 'Author',
+			typeId: 1
+		}]);
+	});
+
+	it('should report changed dates, areas and annotation text', () => {
+		const newData = {
+			...authorData,
+			annotation: {content: 'New annotation'},
+			beginArea: null,
+			beginMonth: null,
+			endYear: 1950,
+			ended: true
+		};
+		const result = diffEntityData('Author', authorData, newData);
+
+		expect(result).to.deep.equal({
+			annotation: {after: 'New annotation', before: 'Old annotation'},
+			beginArea: {after: null, before: {id: 1, label: 'Berlin'}},
+			beginDate: {after: '+001900', before: '+001900-02-01'},
+			endDate: {after: '+001950', before: null},
+			ended: {after: true, before: false}
+		});
+	});
+
+	it('should report every section of newly created data', () => {
+		const result = diffEntityData('Author', null, authorData);
+
+		expect(result).to.have.all.keys(
+			'aliases', 'annotation', 'beginArea', 'beginDate', 'ended', 'identifiers', 'relationships'
+		);
+		expect(result.aliases.added).to.have.lengthOf(1);
+		expect(result.aliases.defaultAlias.before).to.be.null;
+	});
+
+	it('should report the sections which are specific to editions', () => {
+		const oldData = {
+			languageSet: {languages: [english]},
+			pages: 100,
+			publisherSet: {publishers: [{bbid: relationship.targetBbid, name: 'Publisher'}]},
+			releaseEventSet: {releaseEvents: [{areaId: null, day: null, id: 1, month: null, year: 2000}]}
+		};
+		const newData = {
+			languageSet: {languages: []},
+			pages: 120,
+			publisherSet: {publishers: [{bbid: relationship.targetBbid, name: 'Publisher'}]},
+			releaseEventSet: {releaseEvents: [{areaId: null, day: null, id: 2, month: 5, year: 2000}]}
+		};
+		const result = diffEntityData('Edition', oldData, newData);
+
+		expect(result).to.deep.equal({
+			languages: {added: [], removed: [{id: 1, label: 'English'}]},
+			pages: {after: 120, before: 100},
+			releaseEvents: {
+				added: [{areaId: null, date: '+002000-05'}],
+				removed: [{areaId: null, date: '+002000'}]
+			}
+		});
+	});
+
+	it('should report a changed author credit in the order of its names', () => {
+		const firstName = {authorBBID: relationship.sourceBbid, joinPhrase: ' & ', name: 'First', position: 0};
+		const secondName = {authorBBID: relationship.targetBbid, joinPhrase: '', name: 'Second', position: 1};
+		const result = diffEntityData(
+			'EditionGroup',
+			{authorCredit: {names: [firstName]}},
+			{authorCredit: {names: [secondName, firstName]}}
+		);
+
+		expect(result.authorCredit).to.deep.equal({
+			after: [
+				{authorBbid: relationship.sourceBbid, joinPhrase: ' & ', name: 'First'},
+				{authorBbid: relationship.targetBbid, joinPhrase: '', name: 'Second'}
+			],
+			before: [{authorBbid: relationship.sourceBbid, joinPhrase: ' & ', name: 'First'}]
+		});
+	});
+
+	it('should throw for an unknown entity type', () => {
+		expect(() => diffEntityData('Unknown', {}, {})).to.throw('Unknown entity type Unknown');
+	});
+});
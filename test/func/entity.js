@@ -17,7 +17,11 @@
  * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
  */
 
-import {getEntity, recursivelyGetRedirectBBID} from '../../lib/func/entity';
+import {
+	EditConflictError, createEntity, deleteEntity, editEntity, flattenRedirects, getEntities, getEntity,
+	getEntityAsOf, getEntityHistory, mergeEntities, previewMerge, recursivelyGetRedirectBBID, resolveRedirects,
+	restoreEntity
+} from '../../lib/func/entity';
 import bookbrainzData from '../bookshelf';
 import chai from 'chai';
 import chaiAsPromised from 'chai-as-promised';
@@ -29,7 +33,7 @@ chai.use(chaiAsPromised);
 const {expect} = chai;
 const {Entity, AliasSet, RelationshipSet, IdentifierSet,
 	Author, Disambiguation, Gender, Editor, EditorType,
-	Revision, Annotation, bookshelf} = bookbrainzData;
+	Revision, Annotation, Note, RelationshipType, bookshelf} = bookbrainzData;
 
 const aBBID = faker.random.uuid();
 const bBBID = faker.random.uuid();
@@ -37,6 +41,55 @@ const cBBID = faker.random.uuid();
 const dBBID = faker.random.uuid();
 const eBBID = faker.random.uuid();
 
+const editorId = 1;
+
+function getAuthorData(name) {
+	return {
+		alias: [{default: true, languageId: null, name, primary: true, sortName: name}],
+		ended: false,
+		identifiers: []
+	};
+}
+
+async function createEditorFixtures() {
+	await Promise.all([
+		new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+		new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'})
+	]);
+	await new Editor({genderId: 1, id: editorId, name: 'bob', typeId: 1})
+		.save(null, {method: 'insert'});
+	await new RelationshipType({
+		description: 'test description',
+		id: 1,
+		label: 'wrote',
+		linkPhrase: 'wrote',
+		reverseLinkPhrase: 'was written by',
+		sourceEntityType: 'Author',
+		targetEntityType: 'Work'
+	}).save(null, {method: 'insert'});
+}
+
+function truncateEntityTables() {
+	this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+	return truncateTables(bookshelf, [
+		'bookbrainz.entity',
+		'bookbrainz.entity_redirect',
+		'bookbrainz.revision',
+		'bookbrainz.note',
+		'bookbrainz.annotation',
+		'bookbrainz.disambiguation',
+		'bookbrainz.alias',
+		'bookbrainz.alias_set',
+		'bookbrainz.identifier_set',
+		'bookbrainz.relationship',
+		'bookbrainz.relationship_set',
+		'bookbrainz.relationship_type',
+		'bookbrainz.editor',
+		'bookbrainz.editor_type',
+		'musicbrainz.gender'
+	]);
+}
+
 describe('recursivelyGetRedirectBBID', () => {
 	before(
 		async () => {
@@ -78,6 +131,60 @@ describe('recursivelyGetRedirectBBID', () => {
 	});
 });
 
+describe('resolveRedirects', () => {
+	const bbids = [aBBID, bBBID, cBBID, dBBID, eBBID];
+
+	beforeEach(async () => {
+		await Promise.all(bbids.map((bbid) => new Entity({bbid, type: 'Author'}).save(null, {method: 'insert'})));
+		// Redirect aBBID -> bBBID -> cBBID and dBBID -> eBBID -> dBBID
+		await bookshelf.knex('bookbrainz.entity_redirect').insert([
+			{source_bbid: aBBID, target_bbid: bBBID},
+			{source_bbid: bBBID, target_bbid: cBBID},
+			{source_bbid: dBBID, target_bbid: eBBID},
+			{source_bbid: eBBID, target_bbid: dBBID}
+		]);
+	});
+
+	afterEach(function truncate() {
+		this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+		return truncateTables(bookshelf, [
+			'bookbrainz.entity_redirect',
+			'bookbrainz.entity'
+		]);
+	});
+
+	it('should resolve multiple bbids at once', async function () {
+		const {cycles, targets} = await resolveRedirects(bookbrainzData, [aBBID, bBBID, cBBID]);
+		expect(targets).to.deep.equal({[aBBID]: cBBID, [bBBID]: cBBID, [cBBID]: cBBID});
+		expect(cycles).to.deep.equal({});
+	});
+
+	it('should report redirect cycles', async function () {
+		const {cycles, targets} = await resolveRedirects(bookbrainzData, [dBBID]);
+		expect(targets).to.deep.equal({});
+		expect(cycles).to.deep.equal({[dBBID]: [dBBID, eBBID, dBBID]});
+		await expect(recursivelyGetRedirectBBID(bookbrainzData, dBBID)).to.be.rejectedWith('cycle');
+	});
+
+	it('should honour the passed transaction', async function () {
+		const targets = await bookshelf.transaction(async (transacting) => {
+			await transacting('bookbrainz.entity_redirect').where('source_bbid', bBBID).del();
+			return (await resolveRedirects(bookbrainzData, [aBBID], transacting)).targets;
+		});
+		expect(targets).to.deep.equal({[aBBID]: bBBID});
+	});
+
+	it('should flatten redirect chains and leave cycles untouched', async function () {
+		const {cycles, flattenedBbids} = await flattenRedirects(bookbrainzData);
+		const redirects = await bookshelf.knex('bookbrainz.entity_redirect').select('*');
+
+		expect(flattenedBbids).to.deep.equal([aBBID]);
+		expect(Object.keys(cycles)).to.have.members([dBBID, eBBID]);
+		expect(redirects).to.deep.include({source_bbid: aBBID, target_bbid: cBBID});
+		expect(redirects).to.deep.include({source_bbid: dBBID, target_bbid: eBBID});
+	});
+});
+
 describe('getEntity', () => {
 	async function createAuthorWithData(index, bbid) {
 		const editorAttribs = {
@@ -214,3 +321,602 @@ describe('getEntity', () => {
 		expect(redirectedEntityJSON.revisionId).to.equal(3);
 	});
 });
+
+describe('createEntity', () => {
+	const authorData = {
+		alias: [{
+			default: true,
+			languageId: null,
+			name: 'Douglas Adams',
+			primary: true,
+			sortName: 'Adams, Douglas'
+		}],
+		annotation: 'Test Annotation',
+		beginDate: '1952-03-11',
+		disambiguation: 'Test Disambiguation',
+		ended: false,
+		identifiers: []
+	};
+
+	before(createEditorFixtures);
+
+	after(truncateEntityTables);
+
+	it('should create an entity with a first revision', async function () {
+		const {bbid, revisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const entityJSON = await getEntity(bookbrainzData, 'Author', bbid, ['aliasSet.aliases', 'annotation']);
+
+		expect(entityJSON.revisionId).to.equal(revisionId);
+		expect(entityJSON.name).to.equal('Douglas Adams');
+		expect(entityJSON.beginDate).to.equal('+001952-03-11');
+		expect(entityJSON.disambiguation).to.equal('Test Disambiguation');
+		expect(entityJSON.annotation.content).to.equal('Test Annotation');
+		expect(entityJSON.annotation.lastRevisionId).to.equal(revisionId);
+		expect(entityJSON.aliasSet.aliases).to.have.lengthOf(1);
+	});
+
+	it('should increment the revision counters of the editor', async function () {
+		const editorBefore = await new Editor({id: editorId}).fetch();
+		await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const editorAfter = await new Editor({id: editorId}).fetch();
+
+		expect(editorAfter.get('totalRevisions')).to.equal(editorBefore.get('totalRevisions') + 1);
+		expect(editorAfter.get('revisionsApplied')).to.equal(editorBefore.get('revisionsApplied') + 1);
+	});
+
+	it('should create an edit note for the revision', async function () {
+		const {revisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId, 'Test note');
+		const note = await new Note({revisionId}).fetch();
+
+		expect(note.get('content')).to.equal('Test note');
+		expect(note.get('authorId')).to.equal(editorId);
+	});
+
+	it('should update the relationship sets of related entities in the same revision', async function () {
+		const {bbid: authorBBID, revisionId: authorRevisionId} =
+			await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const {bbid: workBBID, revisionId} = await createEntity(bookbrainzData, 'Work', {
+			...authorData,
+			alias: [{...authorData.alias[0], name: 'Test Work', sortName: 'Test Work'}],
+			relationships: [{sourceBbid: authorBBID, typeId: 1}]
+		}, editorId);
+
+		const author = await getEntity(bookbrainzData, 'Author', authorBBID, ['relationshipSet.relationships']);
+		const work = await getEntity(bookbrainzData, 'Work', workBBID, ['relationshipSet.relationships']);
+		const parents = await new Revision({id: revisionId}).related('parents').fetch();
+
+		expect(author.revisionId).to.equal(revisionId);
+		expect(author.relationshipSet.relationships).to.have.lengthOf(1);
+		expect(work.relationshipSet.relationships[0]).to.include({
+			sourceBbid: authorBBID, targetBbid: workBBID, typeId: 1
+		});
+		expect(parents.map((parent) => parent.get('id'))).to.deep.equal([authorRevisionId]);
+	});
+
+	it('should reject an invalid entity type', async function () {
+		await expect(createEntity(bookbrainzData, 'Invalid', authorData, editorId))
+			.to.be.rejectedWith('Invalid entity type');
+	});
+});
+
+describe('editEntity', () => {
+	const authorData = {
+		alias: [{
+			default: true,
+			languageId: null,
+			name: 'Douglas Adams',
+			primary: true,
+			sortName: 'Adams, Douglas'
+		}],
+		beginDate: '1952-03-11',
+		disambiguation: 'Test Disambiguation',
+		ended: false,
+		identifiers: []
+	};
+
+	before(createEditorFixtures);
+
+	after(truncateEntityTables);
+
+	it('should create a child revision of the previous master revision', async function () {
+		const {bbid, revisionId: firstRevisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const {changedProps, revisionId} = await editEntity(bookbrainzData, bbid, {
+			disambiguation: 'Changed Disambiguation'
+		}, editorId, 'Test note');
+
+		const entityJSON = await getEntity(bookbrainzData, 'Author', bbid, []);
+		const parents = await new Revision({id: revisionId}).related('parents').fetch();
+		const note = await new Note({revisionId}).fetch();
+
+		expect(changedProps).to.deep.equal(['disambiguationId']);
+		expect(entityJSON.revisionId).to.equal(revisionId);
+		expect(entityJSON.disambiguation).to.equal('Changed Disambiguation');
+		expect(entityJSON.name).to.equal('Douglas Adams');
+		expect(parents.map((parent) => parent.get('id'))).to.deep.equal([firstRevisionId]);
+		expect(note.get('content')).to.equal('Test note');
+	});
+
+	it('should change entity type specific properties', async function () {
+		const {bbid} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const {changedProps} = await editEntity(bookbrainzData, bbid, {
+			beginDate: '1952-03-12',
+			ended: true
+		}, editorId);
+		const entityJSON = await getEntity(bookbrainzData, 'Author', bbid, []);
+
+		expect(changedProps).to.have.members(['beginDay', 'ended']);
+		expect(entityJSON.beginDate).to.equal('+001952-03-12');
+		expect(entityJSON.ended).to.be.true;
+	});
+
+	it('should not create a revision if nothing has changed', async function () {
+		const {bbid, revisionId: firstRevisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const result = await editEntity(bookbrainzData, bbid, {
+			alias: authorData.alias,
+			disambiguation: authorData.disambiguation
+		}, editorId);
+		const entityJSON = await getEntity(bookbrainzData, 'Author', bbid, []);
+
+		expect(result).to.deep.equal({bbid, changedProps: [], revisionId: null});
+		expect(entityJSON.revisionId).to.equal(firstRevisionId);
+	});
+
+	it('should reject for an unknown BBID', function () {
+		const result = editEntity(bookbrainzData, faker.random.uuid(), {ended: true}, editorId);
+		return expect(result).to.be.rejected;
+	});
+
+	it('should reject an edit if the entity has changed since the base revision', async function () {
+		const {bbid, revisionId: baseRevisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const {revisionId: otherRevisionId} = await editEntity(bookbrainzData, bbid, {ended: true}, editorId);
+		const result = editEntity(bookbrainzData, bbid, {
+			disambiguation: 'Changed Disambiguation'
+		}, editorId, null, {baseRevisionId});
+
+		await expect(result).to.be.rejectedWith(EditConflictError, `changed by revision ${otherRevisionId}`);
+		const entityJSON = await getEntity(bookbrainzData, 'Author', bbid, []);
+		expect(entityJSON.revisionId).to.equal(otherRevisionId);
+		expect(entityJSON.disambiguation).to.equal(authorData.disambiguation);
+	});
+
+	it('should merge an edit which changes other properties than the concurrent revisions', async function () {
+		const {bbid, revisionId: baseRevisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const {revisionId: otherRevisionId} = await editEntity(bookbrainzData, bbid, {ended: true}, editorId);
+		const {changedProps, mergedProps, revisionId} = await editEntity(bookbrainzData, bbid, {
+			disambiguation: 'Changed Disambiguation'
+		}, editorId, null, {autoMerge: true, baseRevisionId});
+
+		const entityJSON = await getEntity(bookbrainzData, 'Author', bbid, []);
+		const parents = await new Revision({id: revisionId}).related('parents').fetch();
+
+		expect(changedProps).to.deep.equal(['disambiguationId']);
+		expect(mergedProps).to.deep.equal(['ended']);
+		expect(entityJSON.disambiguation).to.equal('Changed Disambiguation');
+		expect(entityJSON.ended).to.be.true;
+		expect(parents.map((parent) => parent.get('id'))).to.deep.equal([otherRevisionId]);
+	});
+
+	it('should not merge an edit which changes the same properties as the concurrent revisions', async function () {
+		const {bbid, revisionId: baseRevisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		await editEntity(bookbrainzData, bbid, {disambiguation: 'First Disambiguation'}, editorId);
+		const result = editEntity(bookbrainzData, bbid, {
+			disambiguation: 'Second Disambiguation'
+		}, editorId, null, {autoMerge: true, baseRevisionId});
+
+		await expect(result).to.be.rejectedWith(EditConflictError)
+			.and.eventually.have.property('conflictingProps').that.deep.equals(['disambiguationId']);
+	});
+});
+
+describe('mergeEntities', () => {
+	before(createEditorFixtures);
+
+	after(truncateEntityTables);
+
+	it('should merge the aliases of the sources into the target and redirect the sources', async function () {
+		const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+		const source = await createEntity(bookbrainzData, 'Author', getAuthorData('Source'), editorId);
+		const {mergedBbids, revisionId} = await mergeEntities(bookbrainzData, target.bbid, [source.bbid], editorId);
+
+		const entityJSON = await getEntity(bookbrainzData, 'Author', target.bbid, ['aliasSet.aliases']);
+		const revision = await new Revision({id: revisionId}).fetch({withRelated: ['parents']});
+		const redirectBBID = await recursivelyGetRedirectBBID(bookbrainzData, source.bbid);
+
+		expect(mergedBbids).to.deep.equal([source.bbid]);
+		expect(entityJSON.revisionId).to.equal(revisionId);
+		expect(entityJSON.name).to.equal('Target');
+		expect(entityJSON.aliasSet.aliases.map((alias) => alias.name)).to.have.members(['Target', 'Source']);
+		expect(revision.get('isMerge')).to.be.true;
+		expect(revision.related('parents').map((parent) => parent.get('id')))
+			.to.have.members([target.revisionId, source.revisionId]);
+		expect(redirectBBID).to.equal(target.bbid);
+	});
+
+	it('should re-point the relationships of related entities to the target', async function () {
+		const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+		const source = await createEntity(bookbrainzData, 'Author', getAuthorData('Source'), editorId);
+		const work = await createEntity(bookbrainzData, 'Work', {
+			...getAuthorData('Work'),
+			relationships: [{sourceBbid: source.bbid, typeId: 1}]
+		}, editorId);
+		const {revisionId} = await mergeEntities(bookbrainzData, target.bbid, [source.bbid], editorId);
+
+		const authorJSON = await getEntity(bookbrainzData, 'Author', target.bbid, ['relationshipSet.relationships']);
+		const workJSON = await getEntity(bookbrainzData, 'Work', work.bbid, ['relationshipSet.relationships']);
+
+		expect(workJSON.revisionId).to.equal(revisionId);
+		expect(workJSON.relationshipSet.relationships).to.have.lengthOf(1);
+		expect(workJSON.relationshipSet.relationships[0]).to.include({
+			sourceBbid: target.bbid, targetBbid: work.bbid, typeId: 1
+		});
+		expect(authorJSON.relationshipSet.relationships).to.have.lengthOf(1);
+	});
+
+	it('should move the editions of merged edition groups to the target', async function () {
+		const target = await createEntity(bookbrainzData, 'EditionGroup', getAuthorData('Target'), editorId);
+		const source = await createEntity(bookbrainzData, 'EditionGroup', getAuthorData('Source'), editorId);
+		const edition = await createEntity(bookbrainzData, 'Edition', {
+			...getAuthorData('Edition'),
+			editionGroupBbid: source.bbid
+		}, editorId);
+		const {revisionId} = await mergeEntities(bookbrainzData, target.bbid, [source.bbid], editorId);
+
+		const editionJSON = await getEntity(bookbrainzData, 'Edition', edition.bbid);
+		const revision = await new Revision({id: revisionId}).fetch({withRelated: ['parents']});
+
+		expect(editionJSON.revisionId).to.equal(revisionId);
+		expect(editionJSON.editionGroupBbid).to.equal(target.bbid);
+		expect(revision.related('parents').map((parent) => parent.get('id'))).to.include(edition.revisionId);
+	});
+
+	it('should replace merged publishers in the publisher sets of editions', async function () {
+		const target = await createEntity(bookbrainzData, 'Publisher', getAuthorData('Target'), editorId);
+		const source = await createEntity(bookbrainzData, 'Publisher', getAuthorData('Source'), editorId);
+		const other = await createEntity(bookbrainzData, 'Publisher', getAuthorData('Other'), editorId);
+		const edition = await createEntity(bookbrainzData, 'Edition', {
+			...getAuthorData('Edition'),
+			publishers: [{bbid: source.bbid}, {bbid: other.bbid}]
+		}, editorId);
+		const bothEdition = await createEntity(bookbrainzData, 'Edition', {
+			...getAuthorData('Both'),
+			publishers: [{bbid: target.bbid}, {bbid: source.bbid}]
+		}, editorId);
+		const {revisionId} = await mergeEntities(bookbrainzData, target.bbid, [source.bbid], editorId);
+
+		const [editionJSON, bothEditionJSON] = await Promise.all([edition, bothEdition].map(({bbid}) =>
+			getEntity(bookbrainzData, 'Edition', bbid, ['publisherSet.publishers'])));
+
+		expect(editionJSON.revisionId).to.equal(revisionId);
+		expect(editionJSON.publisherSet.publishers.map((publisher) => publisher.bbid))
+			.to.have.members([target.bbid, other.bbid]);
+		expect(bothEditionJSON.publisherSet.publishers.map((publisher) => publisher.bbid))
+			.to.deep.equal([target.bbid]);
+	});
+
+	it('should not deadlock if overlapping entities are merged concurrently', async function () {
+		const first = await createEntity(bookbrainzData, 'Author', getAuthorData('First'), editorId);
+		const second = await createEntity(bookbrainzData, 'Author', getAuthorData('Second'), editorId);
+
+		const results = await Promise.allSettled([
+			mergeEntities(bookbrainzData, first.bbid, [second.bbid], editorId),
+			mergeEntities(bookbrainzData, second.bbid, [first.bbid], editorId)
+		]);
+		const rejected = results.filter((result) => result.status === 'rejected');
+
+		expect(rejected).to.have.lengthOf(1);
+		expect(rejected[0].reason.message).to.not.include('deadlock');
+	});
+
+	it('should reject entities of different types', async function () {
+		const author = await createEntity(bookbrainzData, 'Author', getAuthorData('Author'), editorId);
+		const work = await createEntity(bookbrainzData, 'Work', getAuthorData('Work'), editorId);
+
+		await expect(mergeEntities(bookbrainzData, author.bbid, [work.bbid], editorId))
+			.to.be.rejectedWith(`Entity ${work.bbid} is not of type Author`);
+	});
+
+	it('should reject merging an entity into itself', async function () {
+		const author = await createEntity(bookbrainzData, 'Author', getAuthorData('Author'), editorId);
+
+		await expect(mergeEntities(bookbrainzData, author.bbid, [author.bbid], editorId))
+			.to.be.rejectedWith('Merged entities have to be distinct');
+	});
+});
+
+describe('previewMerge', () => {
+	before(createEditorFixtures);
+
+	after(truncateEntityTables);
+
+	it('should compute the merged data without writing anything', async function () {
+		const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+		const source = await createEntity(bookbrainzData, 'Author', getAuthorData('Source'), editorId);
+		const preview = await previewMerge(bookbrainzData, target.bbid, [source.bbid]);
+		const redirectBBID = await recursivelyGetRedirectBBID(bookbrainzData, source.bbid);
+		const targetJSON = await getEntity(bookbrainzData, 'Author', target.bbid);
+
+		expect(preview.merged.aliases.map((alias) => alias.name)).to.deep.equal(['Target', 'Source']);
+		expect(preview.merged.defaultAlias.name).to.equal('Target');
+		expect(preview.conflicts).to.have.lengthOf(1);
+		expect(preview.conflicts[0]).to.include({kind: 'defaultAlias'});
+		expect(redirectBBID).to.equal(source.bbid);
+		expect(targetJSON.revisionId).to.equal(target.revisionId);
+	});
+
+	it('should report relationships which would become self-references or duplicates', async function () {
+		const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+		const source = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+		const work = await createEntity(bookbrainzData, 'Work', {
+			...getAuthorData('Work'),
+			relationships: [{sourceBbid: target.bbid, typeId: 1}, {sourceBbid: source.bbid, typeId: 1}]
+		}, editorId);
+		const preview = await previewMerge(bookbrainzData, target.bbid, [source.bbid]);
+
+		expect(preview.conflicts.map((conflict) => conflict.kind)).to.deep.equal(['duplicateRelationship']);
+		expect(preview.conflicts[0].values[0]).to.include({sourceBbid: source.bbid, targetBbid: work.bbid});
+		expect(preview.merged.relationships).to.have.lengthOf(1);
+		expect(preview.merged.relationships[0]).to.include({sourceBbid: target.bbid, targetBbid: work.bbid});
+	});
+
+	it('should reject entities which do not exist', async function () {
+		const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+		const missingBBID = faker.random.uuid();
+
+		await expect(previewMerge(bookbrainzData, target.bbid, [missingBBID]))
+			.to.be.rejectedWith(`Entity ${missingBBID} does not exist`);
+	});
+});
+
+describe('deleteEntity', () => {
+	before(createEditorFixtures);
+
+	after(truncateEntityTables);
+
+	it('should delete the entity and its relationships of related entities', async function () {
+		const author = await createEntity(bookbrainzData, 'Author', getAuthorData('Author'), editorId);
+		const work = await createEntity(bookbrainzData, 'Work', {
+			...getAuthorData('Work'),
+			relationships: [{sourceBbid: author.bbid, typeId: 1}]
+		}, editorId);
+		const {revisionId} = await deleteEntity(bookbrainzData, work.bbid, editorId);
+
+		const authorJSON = await getEntity(bookbrainzData, 'Author', author.bbid, ['relationshipSet.relationships']);
+		const workJSON = await getEntity(bookbrainzData, 'Work', work.bbid);
+
+		expect(workJSON.revisionId).to.equal(revisionId);
+		expect(workJSON.dataId).to.be.null;
+		expect(authorJSON.revisionId).to.equal(revisionId);
+		expect(authorJSON.relationshipSetId).to.be.null;
+	});
+
+	it('should reject an entity which has already been deleted', async function () {
+		const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Author'), editorId);
+		await deleteEntity(bookbrainzData, bbid, editorId);
+
+		await expect(deleteEntity(bookbrainzData, bbid, editorId))
+			.to.be.rejectedWith(`Entity ${bbid} has already been deleted`);
+	});
+
+	it('should only delete an entity once when it is deleted concurrently', async function () {
+		const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Author'), editorId);
+
+		const results = await Promise.allSettled([
+			deleteEntity(bookbrainzData, bbid, editorId),
+			deleteEntity(bookbrainzData, bbid, editorId)
+		]);
+		const rejected = results.filter((result) => result.status === 'rejected');
+
+		expect(rejected).to.have.lengthOf(1);
+		expect(rejected[0].reason.message).to.equal(`Entity ${bbid} has already been deleted`);
+	});
+});
+
+describe('restoreEntity', () => {
+	before(createEditorFixtures);
+
+	after(truncateEntityTables);
+
+	it('should restore the last data and the relationships of a deleted entity', async function () {
+		const author = await createEntity(bookbrainzData, 'Author', getAuthorData('Author'), editorId);
+		const work = await createEntity(bookbrainzData, 'Work', {
+			...getAuthorData('Work'),
+			relationships: [{sourceBbid: author.bbid, typeId: 1}]
+		}, editorId);
+		const workBeforeDeletion = await getEntity(bookbrainzData, 'Work', work.bbid);
+		await deleteEntity(bookbrainzData, work.bbid, editorId);
+		const {revisionId} = await restoreEntity(bookbrainzData, work.bbid, editorId);
+
+		const authorJSON = await getEntity(bookbrainzData, 'Author', author.bbid, ['relationshipSet.relationships']);
+		const workJSON = await getEntity(bookbrainzData, 'Work', work.bbid);
+
+		expect(workJSON.revisionId).to.equal(revisionId);
+		expect(workJSON.dataId).to.equal(workBeforeDeletion.dataId);
+		expect(authorJSON.relationshipSet.relationships).to.have.lengthOf(1);
+		expect(authorJSON.relationshipSet.relationships[0]).to.include({
+			sourceBbid: author.bbid, targetBbid: work.bbid, typeId: 1
+		});
+	});
+
+	it('should keep the relationship set of the last data when no relationships have been dropped', async function () {
+		const author = await createEntity(bookbrainzData, 'Author', getAuthorData('Author'), editorId);
+		const work = await createEntity(bookbrainzData, 'Work', {
+			...getAuthorData('Work'),
+			relationships: [{sourceBbid: author.bbid, typeId: 1}]
+		}, editorId);
+		const workBeforeDeletion = await getEntity(bookbrainzData, 'Work', work.bbid);
+		await deleteEntity(bookbrainzData, work.bbid, editorId);
+		const [{count: setCountBefore}] = await bookshelf.knex('bookbrainz.relationship_set').count();
+		await restoreEntity(bookbrainzData, work.bbid, editorId);
+		const [{count: setCountAfter}] = await bookshelf.knex('bookbrainz.relationship_set').count();
+
+		const workJSON = await getEntity(bookbrainzData, 'Work', work.bbid);
+
+		expect(workJSON.relationshipSetId).to.equal(workBeforeDeletion.relationshipSetId);
+		expect(Number(setCountAfter) - Number(setCountBefore)).to.equal(1);
+	});
+
+	it('should reject an entity which has not been deleted', async function () {
+		const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Author'), editorId);
+
+		await expect(restoreEntity(bookbrainzData, bbid, editorId))
+			.to.be.rejectedWith(`Entity ${bbid} has not been deleted`);
+	});
+
+	it('should reject an entity which has been merged into another entity', async function () {
+		const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+		const source = await createEntity(bookbrainzData, 'Author', getAuthorData('Source'), editorId);
+		await mergeEntities(bookbrainzData, target.bbid, [source.bbid], editorId);
+
+		await expect(restoreEntity(bookbrainzData, source.bbid, editorId))
+			.to.be.rejectedWith(`Entity ${source.bbid} has been merged and can not be restored`);
+	});
+
+	it('should only restore an entity once when it is restored concurrently', async function () {
+		const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData('Author'), editorId);
+		await deleteEntity(bookbrainzData, bbid, editorId);
+
+		const results = await Promise.allSettled([
+			restoreEntity(bookbrainzData, bbid, editorId),
+			restoreEntity(bookbrainzData, bbid, editorId)
+		]);
+		const rejected = results.filter((result) => result.status === 'rejected');
+
+		expect(rejected).to.have.lengthOf(1);
+		expect(rejected[0].reason.message).to.equal(`Entity ${bbid} has not been deleted`);
+	});
+});
+
+describe('getEntities', () => {
+	before(createEditorFixtures);
+
+	after(truncateEntityTables);
+
+	it('should fetch entities in the requested order and report special BBIDs', async function () {
+		const first = await createEntity(bookbrainzData, 'Author', getAuthorData('First'), editorId);
+		const second = await createEntity(bookbrainzData, 'Author', getAuthorData('Second'), editorId);
+		const merged = await createEntity(bookbrainzData, 'Author', getAuthorData('Merged'), editorId);
+		const deleted = await createEntity(bookbrainzData, 'Author', getAuthorData('Deleted'), editorId);
+		await mergeEntities(bookbrainzData, first.bbid, [merged.bbid], editorId);
+		await deleteEntity(bookbrainzData, deleted.bbid, editorId);
+		const missingBBID = faker.random.uuid();
+
+		const result = await getEntities(
+			bookbrainzData, 'Author', [second.bbid, missingBBID, merged.bbid, deleted.bbid, first.bbid],
+			['aliasSet.aliases']
+		);
+
+		expect(result.entities.map((entity) => entity.name)).to.deep.equal(['Second', 'First', 'First']);
+		expect(result.entities[0].aliasSet.aliases).to.have.lengthOf(1);
+		expect(result.missing).to.deep.equal([missingBBID]);
+		expect(result.deleted).to.deep.equal([deleted.bbid]);
+		expect(result.redirected).to.deep.equal({[merged.bbid]: first.bbid});
+	});
+
+	it('should report entities of another type as missing', async function () {
+		const work = await createEntity(bookbrainzData, 'Work', getAuthorData('Work'), editorId);
+		const result = await getEntities(bookbrainzData, 'Author', [work.bbid]);
+
+		expect(result.entities).to.be.empty;
+		expect(result.missing).to.deep.equal([work.bbid]);
+	});
+});
+
+describe('getEntityHistory', () => {
+	before(createEditorFixtures);
+
+	after(truncateEntityTables);
+
+	it('should return the revisions of an entity page by page', async function () {
+		const {bbid, revisionId: firstRevisionId} = await createEntity(
+			bookbrainzData, 'Author', getAuthorData('Author'), editorId, 'Created'
+		);
+		const second = await editEntity(bookbrainzData, bbid, {disambiguation: 'Second'}, editorId);
+		const third = await editEntity(bookbrainzData, bbid, {disambiguation: 'Third'}, editorId);
+		const secondRevisionId = second.revisionId;
+
+		const firstPage = await getEntityHistory(bookbrainzData, 'Author', bbid, {limit: 2});
+		const secondPage = await getEntityHistory(
+			bookbrainzData, 'Author', bbid, {cursor: firstPage.nextCursor, limit: 2}
+		);
+
+		expect(firstPage.revisions.map((entry) => entry.revisionId))
+			.to.deep.equal([third.revisionId, secondRevisionId]);
+		expect(firstPage.revisions[0]).to.include({isMerge: false, noteCount: 0});
+		expect(firstPage.revisions[0].author).to.deep.equal({id: editorId, name: 'bob'});
+		expect(firstPage.revisions[0].parentIds).to.deep.equal([secondRevisionId]);
+		expect(firstPage.nextCursor).to.equal(secondRevisionId);
+		expect(secondPage.revisions.map((entry) => entry.revisionId)).to.deep.equal([firstRevisionId]);
+		expect(secondPage.revisions[0].noteCount).to.equal(1);
+		expect(secondPage.nextCursor).to.be.null;
+	});
+
+	it('should include the history of merged entities', async function () {
+		const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+		const source = await createEntity(bookbrainzData, 'Author', getAuthorData('Source'), editorId);
+		const {revisionId} = await mergeEntities(bookbrainzData, target.bbid, [source.bbid], editorId);
+
+		const {revisions} = await getEntityHistory(bookbrainzData, 'Author', target.bbid);
+
+		expect(revisions.map((entry) => entry.revisionId))
+			.to.deep.equal([revisionId, source.revisionId, target.revisionId]);
+		expect(revisions[0].isMerge).to.be.true;
+		expect(revisions[0].bbids).to.have.members([target.bbid, source.bbid]);
+	});
+});
+
+describe('getEntityAsOf', () => {
+	function setRevisionDate(revisionId, date) {
+		return bookshelf.knex('bookbrainz.revision')
+			.where('id', revisionId)
+			.update('created_at', new Date(date));
+	}
+
+	before(createEditorFixtures);
+
+	after(truncateEntityTables);
+
+	it('should return the entity data of the latest revision before the given time', async function () {
+		const {bbid, revisionId: firstRevisionId} = await createEntity(
+			bookbrainzData, 'Author', {...getAuthorData('Author'), disambiguation: 'Original Disambiguation'}, editorId
+		);
+		const {revisionId: editRevisionId} = await editEntity(bookbrainzData, bbid, {
+			disambiguation: 'Changed Disambiguation'
+		}, editorId);
+		await setRevisionDate(firstRevisionId, '2020-01-01');
+		await setRevisionDate(editRevisionId, '2021-01-01');
+
+		const oldEntity = await getEntityAsOf(bookbrainzData, 'Author', bbid, new Date('2020-06-01'), ['aliasSet']);
+		const newEntity = await getEntityAsOf(bookbrainzData, 'Author', bbid, new Date('2021-06-01'));
+
+		expect(oldEntity.revisionId).to.equal(firstRevisionId);
+		expect(oldEntity.disambiguation).to.equal('Original Disambiguation');
+		expect(oldEntity.aliasSet).to.have.property('id');
+		expect(newEntity.revisionId).to.equal(editRevisionId);
+		expect(newEntity.disambiguation).to.equal('Changed Disambiguation');
+	});
+
+	it('should only follow redirects which existed at the given time', async function () {
+		const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+		const source = await createEntity(bookbrainzData, 'Author', getAuthorData('Source'), editorId);
+		const {revisionId: mergeRevisionId} = await mergeEntities(bookbrainzData, target.bbid, [source.bbid], editorId);
+		await setRevisionDate(target.revisionId, '2020-01-01');
+		await setRevisionDate(source.revisionId, '2020-01-01');
+		await setRevisionDate(mergeRevisionId, '2021-01-01');
+
+		const beforeMerge = await getEntityAsOf(bookbrainzData, 'Author', source.bbid, new Date('2020-06-01'));
+		const afterMerge = await getEntityAsOf(bookbrainzData, 'Author', source.bbid, new Date('2021-06-01'));
+
+		expect(beforeMerge.bbid).to.equal(source.bbid);
+		expect(beforeMerge.name).to.equal('Source');
+		expect(afterMerge.bbid).to.equal(target.bbid);
+		expect(afterMerge.revisionId).to.equal(mergeRevisionId);
+	});
+
+	it('should reject if the entity did not exist at the given time', async function () {
+		const {bbid, revisionId} = await createEntity(bookbrainzData, 'Author', getAuthorData('Author'), editorId);
+		await setRevisionDate(revisionId, '2020-01-01');
+
+		await expect(getEntityAsOf(bookbrainzData, 'Author', bbid, new Date('2019-01-01')))
+			.to.be.rejectedWith('did not exist');
+	});
+});
@@ -0,0 +1,354 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {OAIPMHError, handleOAIRequest, listSets, toOAIDublinCore} from '../../lib/func/oai-pmh';
+import {createEntity, deleteEntity, mergeEntities} from '../../lib/func/entity';
+import _ from 'lodash';
+import bookbrainzData from '../bookshelf';
+import chai from 'chai';
+import {truncateTables} from '../../lib/util';
+
+
+const {expect} = chai;
+const {Editor, EditorType, Gender, bookshelf} = bookbrainzData;
+
+const authorBBID = 'de305d54-75b4-431b-adb2-eb6b9e546014';
+const editionBBID = '68f52341-eea4-4ebc-9a15-6226fb68962c';
+const workBBID = 'ba2d4ddf-4e2a-4b5e-b1ff-11e0ee4fce0c';
+const options = {baseUrl: 'https://bookbrainz.org/oai'};
+
+function getEdition() {
+	return {
+		aliases: [],
+		annotation: null,
+		authorCredit: [{authorBbid: authorBBID, joinPhrase: '', name: 'Douglas Adams'}],
+		bbid: editionBBID,
+		defaultAlias: null,
+		depth: null,
+		disambiguation: 'first edition',
+		editionFormat: {id: 1, label: 'Paperback'},
+		editionGroupBbid: null,
+		editionStatus: null,
+		height: null,
+		identifiers: [{type: {id: 2, label: 'ISBN-13'}, value: '978-0-330-25864-7'}],
+		languages: [{id: 1, isoCode3: 'eng', name: 'English'}],
+		name: 'The Hitchhiker\'s Guide to the Galaxy',
+		pages: 180,
+		publishers: [{bbid: workBBID, name: 'Pan Books'}],
+		relationships: [{
+			attributes: [],
+			id: 1,
+			sourceBbid: workBBID,
+			targetBbid: editionBBID,
+			type: {id: 10, label: 'Contains', sourceEntityType: 'Work', targetEntityType: 'Edition'}
+		}],
+		releaseEvents: [{area: null, date: '+001979-10-12'}],
+		revisionId: 1,
+		schemaVersion: 1,
+		sortName: 'Hitchhiker\'s Guide to the Galaxy, The',
+		type: 'Edition',
+		weight: null,
+		width: null
+	};
+}
+
+function getErrorCode(response) {
+	return response.match(/<error code="(\w+)">/)?.[1];
+}
+
+function getIdentifiers(response) {
+	return [...response.matchAll(/<identifier>oai:bookbrainz\.org:([\w-]+)<\/identifier>/g)].map((match) => match[1]);
+}
+
+function getResumptionToken(response) {
+	const element = response.match(/<resumptionToken([^>]*?)(?:\/>|>([^<]*)<\/resumptionToken>)/);
+	if (!element) {
+		return null;
+	}
+	const attributes = Object.fromEntries([...element[1].matchAll(/(\w+)="(\d+)"/g)].map(
+		([, name, value]) => [name, Number(value)]
+	));
+	return {...attributes, token: element[2] ?? null};
+}
+
+function encodeToken(state) {
+	return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+function getAuthorData(name) {
+	return {
+		alias: [{default: true, languageId: null, name, primary: true, sortName: name}],
+		ended: false,
+		identifiers: []
+	};
+}
+
+const editorId = 1;
+
+async function setupEditor() {
+	await Promise.all([
+		new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+		new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'})
+	]);
+	await new Editor({genderId: 1, id: editorId, name: 'bob', typeId: 1}).save(null, {method: 'insert'});
+}
+
+function truncate() {
+	this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+	return truncateTables(bookshelf, [
+		'bookbrainz.entity',
+		'bookbrainz.entity_redirect',
+		'bookbrainz.revision',
+		'bookbrainz.note',
+		'bookbrainz.alias',
+		'bookbrainz.alias_set',
+		'bookbrainz.identifier_set',
+		'bookbrainz.relationship_set',
+		'bookbrainz.editor',
+		'bookbrainz.editor_type',
+		'musicbrainz.gender'
+	]);
+}
+
+describe('toOAIDublinCore', () => {
+	it('should map an edition to Dublin Core elements', () => {
+		const dc = toOAIDublinCore(getEdition());
+
+		expect(dc.name).to.equal('oai_dc:dc');
+		expect(dc.children.filter(Boolean).map((child) => [child.name, child.text])).to.deep.equal([
+			['dc:title', 'The Hitchhiker\'s Guide to the Galaxy'],
+			['dc:creator', 'Douglas Adams'],
+			['dc:description', 'first edition'],
+			['dc:publisher', 'Pan Books'],
+			['dc:date', '1979-10-12'],
+			['dc:type', 'Edition'],
+			['dc:type', 'Paperback'],
+			['dc:identifier', `https://bookbrainz.org/edition/${editionBBID}`],
+			['dc:identifier', 'urn:isbn:9780330258647'],
+			['dc:language', 'eng'],
+			['dc:relation', `https://bookbrainz.org/work/${workBBID}`]
+		]);
+	});
+});
+
+describe('listSets', () => {
+	it('should list one set per entity type', () => {
+		const sets = listSets({verb: 'ListSets'}).children.map((set) => set.children.map((child) => child.text));
+
+		expect(sets).to.deep.include(['edition-group', 'Edition Group']);
+		expect(sets).to.have.lengthOf(6);
+	});
+
+	it('should reject resumption tokens', () => {
+		expect(() => listSets({resumptionToken: 'abc', verb: 'ListSets'})).to.throw(OAIPMHError);
+	});
+});
+
+describe('handleOAIRequest', () => {
+	it('should wrap the response in an OAI-PMH envelope', async () => {
+		const response = await handleOAIRequest(null, {verb: 'ListSets'}, options);
+
+		expect(response.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<OAI-PMH ')).to.be.true;
+		expect(response).to.match(/<responseDate>\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z<\/responseDate>/);
+		expect(response).to.include('<request verb="ListSets">https://bookbrainz.org/oai</request>');
+		expect(response).to.include('<setSpec>publisher</setSpec>');
+	});
+
+	it('should report bad verbs without repeating the arguments', async () => {
+		const response = await handleOAIRequest(null, {verb: 'ListEverything'}, options);
+
+		expect(getErrorCode(response)).to.equal('badVerb');
+		expect(response).to.include('<request>https://bookbrainz.org/oai</request>');
+	});
+
+	it('should report missing, illegal and non-exclusive arguments', async () => {
+		const missing = await handleOAIRequest(null, {verb: 'ListRecords'}, options);
+		const illegal = await handleOAIRequest(null, {identifier: 'oai:x', verb: 'Identify'}, options);
+		const nonExclusive = await handleOAIRequest(
+			null, {metadataPrefix: 'oai_dc', resumptionToken: 'abc', verb: 'ListIdentifiers'}, options
+		);
+
+		expect([missing, illegal, nonExclusive].map(getErrorCode)).to.deep.equal(
+			['badArgument', 'badArgument', 'badArgument']
+		);
+	});
+
+	it('should validate datestamps and sets before querying', async () => {
+		const args = {metadataPrefix: 'oai_dc', verb: 'ListIdentifiers'};
+		const responses = await Promise.all([
+			handleOAIRequest(null, {...args, from: '2026-01-01', until: '2026-01-02T00:00:00Z'}, options),
+			handleOAIRequest(null, {...args, from: '2026-02-01', until: '2026-01-01'}, options),
+			handleOAIRequest(null, {...args, from: '01/01/2026'}, options),
+			handleOAIRequest(null, {...args, set: 'editor'}, options)
+		]);
+
+		expect(responses.map(getErrorCode)).to.deep.equal(['badArgument', 'badArgument', 'badArgument', 'badArgument']);
+	});
+
+	it('should report unsupported metadata formats', async () => {
+		const response = await handleOAIRequest(null, {metadataPrefix: 'marc21', verb: 'ListRecords'}, options);
+
+		expect(getErrorCode(response)).to.equal('cannotDisseminateFormat');
+		expect(response).to.include('<request metadataPrefix="marc21" verb="ListRecords">');
+	});
+
+	it('should report invalid resumption tokens', async () => {
+		const tokens = ['not a token', Buffer.from(JSON.stringify({cursor: 1})).toString('base64url')];
+		const responses = await Promise.all(tokens.map((resumptionToken) => handleOAIRequest(
+			null, {resumptionToken, verb: 'ListRecords'}, options
+		)));
+
+		expect(responses.map(getErrorCode)).to.deep.equal(['badResumptionToken', 'badResumptionToken']);
+	});
+
+	it('should report identifiers of other repositories', async () => {
+		const response = await handleOAIRequest(
+			null, {identifier: `oai:example.org:${editionBBID}`, metadataPrefix: 'oai_dc', verb: 'GetRecord'}, options
+		);
+
+		expect(getErrorCode(response)).to.equal('idDoesNotExist');
+	});
+});
+
+describe('handleOAIRequest with entities', () => {
+	const pageOptions = {...options, pageSize: 3};
+	const entities = {};
+
+	/*
+	 * The master revisions of the entities are ordered as follows:
+	 * active (2) -> deleted (5) -> target and merged (6)
+	 */
+	before(async () => {
+		await setupEditor();
+		for (const name of ['target', 'active', 'deleted', 'merged']) {
+			// eslint-disable-next-line no-await-in-loop
+			const {bbid} = await createEntity(bookbrainzData, 'Author', getAuthorData(_.upperFirst(name)), editorId);
+			entities[name] = bbid;
+		}
+		await deleteEntity(bookbrainzData, entities.deleted, editorId);
+		await mergeEntities(bookbrainzData, entities.target, [entities.merged], editorId);
+	});
+	after(truncate);
+
+	function getOrderedBBIDs() {
+		return [entities.active, entities.deleted, ..._.sortBy([entities.target, entities.merged])];
+	}
+
+	it('should page through ListIdentifiers with resumption tokens', async () => {
+		const firstPage = await handleOAIRequest(
+			bookbrainzData, {metadataPrefix: 'oai_dc', verb: 'ListIdentifiers'}, pageOptions
+		);
+		const firstToken = getResumptionToken(firstPage);
+		const lastPage = await handleOAIRequest(
+			bookbrainzData, {resumptionToken: firstToken.token, verb: 'ListIdentifiers'}, pageOptions
+		);
+
+		expect([...getIdentifiers(firstPage), ...getIdentifiers(lastPage)]).to.deep.equal(getOrderedBBIDs());
+		expect(firstToken).to.deep.include({cursor: 0});
+		expect(firstToken.token).to.be.a('string').that.is.not.empty;
+		expect(getResumptionToken(lastPage)).to.deep.equal({completeListSize: 4, cursor: 3, token: null});
+	});
+
+	it('should page through ListRecords with resumption tokens', async () => {
+		const firstPage = await handleOAIRequest(
+			bookbrainzData, {metadataPrefix: 'oai_dc', verb: 'ListRecords'}, pageOptions
+		);
+		const lastPage = await handleOAIRequest(
+			bookbrainzData, {resumptionToken: getResumptionToken(firstPage).token, verb: 'ListRecords'}, pageOptions
+		);
+
+		expect([...getIdentifiers(firstPage), ...getIdentifiers(lastPage)]).to.deep.equal(getOrderedBBIDs());
+		expect(firstPage).to.include('<dc:title>Active</dc:title>');
+		expect(getResumptionToken(lastPage)).to.deep.include({completeListSize: 4, cursor: 3});
+	});
+
+	it('should not use a resumption token if the list fits on one page', async () => {
+		const response = await handleOAIRequest(
+			bookbrainzData, {metadataPrefix: 'oai_dc', verb: 'ListIdentifiers'}, options
+		);
+
+		expect(getIdentifiers(response)).to.have.lengthOf(4);
+		expect(getResumptionToken(response)).to.be.null;
+	});
+
+	it('should report deleted and merged entities as deleted records', async () => {
+		const response = await handleOAIRequest(
+			bookbrainzData, {metadataPrefix: 'oai_dc', verb: 'ListIdentifiers'}, options
+		);
+		const deletedBBIDs = [...response.matchAll(
+			/<header status="deleted">\s*<identifier>oai:bookbrainz\.org:([\w-]+)</g
+		)].map((match) => match[1]);
+
+		expect(_.sortBy(deletedBBIDs)).to.deep.equal(_.sortBy([entities.deleted, entities.merged]));
+	});
+
+	it('should link merged records to their target', async () => {
+		const response = await handleOAIRequest(bookbrainzData, {
+			identifier: `oai:bookbrainz.org:${entities.merged}`, metadataPrefix: 'oai_dc', verb: 'GetRecord'
+		}, options);
+
+		expect(response).to.include('<header status="deleted">');
+		expect(response).to.not.include('<metadata>');
+		expect(response).to.include(`>oai:bookbrainz.org:${entities.target}</dcterms:isReplacedBy>`);
+	});
+
+	it('should get the record of an active entity', async () => {
+		const response = await handleOAIRequest(bookbrainzData, {
+			identifier: `oai:bookbrainz.org:${entities.active}`, metadataPrefix: 'oai_dc', verb: 'GetRecord'
+		}, options);
+
+		expect(getIdentifiers(response)).to.deep.equal([entities.active]);
+		expect(response).to.include('<setSpec>author</setSpec>');
+		expect(response).to.include('<dc:title>Active</dc:title>');
+		expect(response).to.include(`<dc:identifier>https://bookbrainz.org/author/${entities.active}</dc:identifier>`);
+		expect(response).to.not.include('status="deleted"');
+		expect(response).to.not.include('isReplacedBy');
+	});
+
+	it('should report unknown identifiers', async () => {
+		const response = await handleOAIRequest(bookbrainzData, {
+			identifier: `oai:bookbrainz.org:${editionBBID}`, metadataPrefix: 'oai_dc', verb: 'GetRecord'
+		}, options);
+
+		expect(getErrorCode(response)).to.equal('idDoesNotExist');
+	});
+
+	it('should report resumption tokens with invalid fields instead of querying with them', async () => {
+		const state = {
+			cursor: 3, entityTypes: ['Author'], from: null, lastBbid: entities.active, lastRevisionId: 2,
+			metadataPrefix: 'oai_dc', set: null, until: null
+		};
+		const validResponse = await handleOAIRequest(
+			bookbrainzData, {resumptionToken: encodeToken(state), verb: 'ListIdentifiers'}, options
+		);
+		const invalidStates = [
+			{...state, lastBbid: 'not a uuid'},
+			{...state, from: 'yesterday'},
+			{...state, until: '2026-13-01T00:00:00.000Z'},
+			{...state, lastRevisionId: 2 ** 31},
+			{...state, cursor: -1},
+			{...state, metadataPrefix: 'marc21'}
+		];
+		const responses = await Promise.all(invalidStates.map((invalidState) => handleOAIRequest(
+			bookbrainzData, {resumptionToken: encodeToken(invalidState), verb: 'ListIdentifiers'}, options
+		)));
+
+		expect(getErrorCode(validResponse)).to.be.undefined;
+		expect(responses.map(getErrorCode)).to.deep.equal(Array(invalidStates.length).fill('badResumptionToken'));
+	});
+});
@@ -0,0 +1,180 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {createEntity, mergeEntities} from '../../lib/func/entity';
+import {
+	getCommonAncestor, getMergedEntities, getRevisionAncestors, getRevisionDescendants
+} from '../../lib/func/revision-graph';
+import bookbrainzData from '../bookshelf';
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import {truncateTables} from '../../lib/util';
+
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+const {Editor, EditorType, Gender, Revision, bookshelf} = bookbrainzData;
+
+const editorId = 1;
+
+async function setupEditor() {
+	await Promise.all([
+		new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+		new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'})
+	]);
+	await new Editor({genderId: 1, id: editorId, name: 'bob', typeId: 1}).save(null, {method: 'insert'});
+}
+
+function truncate() {
+	this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+	return truncateTables(bookshelf, [
+		'bookbrainz.entity',
+		'bookbrainz.entity_redirect',
+		'bookbrainz.revision',
+		'bookbrainz.note',
+		'bookbrainz.alias',
+		'bookbrainz.alias_set',
+		'bookbrainz.identifier_set',
+		'bookbrainz.editor',
+		'bookbrainz.editor_type',
+		'musicbrainz.gender'
+	]);
+}
+
+/*
+ * Revision graph used by the traversal tests:
+ * 1 -> 2 -> 3 -> 5
+ * 1 -> 4 ------> 5
+ * 6
+ */
+async function createRevisionGraph() {
+	const parentIds = {1: [], 2: [1], 3: [2], 4: [1], 5: [3, 4], 6: []};
+	for (const [id, parents] of Object.entries(parentIds)) {
+		// eslint-disable-next-line no-await-in-loop
+		const revision = await new Revision({authorId: editorId, id: Number(id)}).save(null, {method: 'insert'});
+		// eslint-disable-next-line no-await-in-loop
+		await revision.related('parents').attach(parents);
+	}
+}
+
+describe('getRevisionAncestors and getRevisionDescendants', () => {
+	before(async () => {
+		await setupEditor();
+		await createRevisionGraph();
+	});
+	after(truncate);
+
+	it('should return all ancestors, closest first', async function () {
+		const ancestors = await getRevisionAncestors(bookbrainzData, 5);
+
+		expect(ancestors).to.deep.equal([
+			{depth: 1, revisionId: 4},
+			{depth: 1, revisionId: 3},
+			{depth: 2, revisionId: 2},
+			{depth: 2, revisionId: 1}
+		]);
+	});
+
+	it('should only return ancestors up to the maximum depth', async function () {
+		const ancestors = await getRevisionAncestors(bookbrainzData, 5, {maxDepth: 1});
+
+		expect(ancestors.map(({revisionId}) => revisionId)).to.deep.equal([4, 3]);
+	});
+
+	it('should return all descendants with their shortest distance', async function () {
+		const descendants = await getRevisionDescendants(bookbrainzData, 1);
+
+		expect(descendants).to.deep.equal([
+			{depth: 1, revisionId: 4},
+			{depth: 1, revisionId: 2},
+			{depth: 2, revisionId: 5},
+			{depth: 2, revisionId: 3}
+		]);
+	});
+
+	it('should return no revisions for a revision without parents', async function () {
+		const ancestors = await getRevisionAncestors(bookbrainzData, 6);
+
+		expect(ancestors).to.be.empty;
+	});
+
+	it('should reject an invalid maximum depth', function () {
+		const result = getRevisionAncestors(bookbrainzData, 5, {maxDepth: 0});
+
+		return expect(result).to.be.rejectedWith('Maximum depth has to be a positive integer');
+	});
+});
+
+describe('getCommonAncestor', () => {
+	before(async () => {
+		await setupEditor();
+		await createRevisionGraph();
+	});
+	after(truncate);
+
+	it('should return the closest common ancestor of two branches', async function () {
+		const ancestorId = await getCommonAncestor(bookbrainzData, 3, 4);
+
+		expect(ancestorId).to.equal(1);
+	});
+
+	it('should return a revision which is an ancestor of the other one', async function () {
+		const ancestorId = await getCommonAncestor(bookbrainzData, 5, 3);
+
+		expect(ancestorId).to.equal(3);
+	});
+
+	it('should return null for unrelated revisions', async function () {
+		const ancestorId = await getCommonAncestor(bookbrainzData, 3, 6);
+
+		expect(ancestorId).to.be.null;
+	});
+});
+
+describe('getMergedEntities', () => {
+	function getAuthorData(name) {
+		return {
+			alias: [{default: true, languageId: null, name, primary: true, sortName: name}],
+			ended: false,
+			identifiers: []
+		};
+	}
+
+	before(setupEditor);
+	after(truncate);
+
+	it('should return entities which have been merged into the entity and its merged entities', async function () {
+		const target = await createEntity(bookbrainzData, 'Author', getAuthorData('Target'), editorId);
+		const source = await createEntity(bookbrainzData, 'Author', getAuthorData('Source'), editorId);
+		const earlierSource = await createEntity(bookbrainzData, 'Author', getAuthorData('Earlier'), editorId);
+		const firstMerge = await mergeEntities(bookbrainzData, source.bbid, [earlierSource.bbid], editorId);
+		const secondMerge = await mergeEntities(bookbrainzData, target.bbid, [source.bbid], editorId);
+
+		const mergedEntities = await getMergedEntities(bookbrainzData, target.bbid);
+
+		expect(mergedEntities.map(({bbid, redirected, revisionId, targetBbid}) => ({
+			bbid, redirected, revisionId, targetBbid
+		}))).to.deep.equal([
+			{
+				bbid: earlierSource.bbid, redirected: true, revisionId: firstMerge.revisionId, targetBbid: source.bbid
+			},
+			{bbid: source.bbid, redirected: true, revisionId: secondMerge.revisionId, targetBbid: target.bbid}
+		]);
+		expect(mergedEntities[0].mergedAt).to.be.an.instanceOf(Date);
+	});
+});
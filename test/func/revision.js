@@ -0,0 +1,297 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {compareRevisions, getChangesSince, revertRevision} from '../../lib/func/revision';
+import {createEntity, deleteEntity, editEntity, getEntity, mergeEntities} from '../../lib/func/entity';
+import _ from 'lodash';
+import bookbrainzData from '../bookshelf';
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import {truncateTables} from '../../lib/util';
+
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+const {Author, Editor, EditorType, Gender, Revision, bookshelf} = bookbrainzData;
+
+describe('revertRevision', () => {
+	const authorId = 1;
+	const reverterId = 2;
+	const authorData = {
+		alias: [{
+			default: true,
+			languageId: null,
+			name: 'Douglas Adams',
+			primary: true,
+			sortName: 'Adams, Douglas'
+		}],
+		disambiguation: 'Original Disambiguation',
+		ended: false,
+		identifiers: []
+	};
+
+	before(async () => {
+		await Promise.all([
+			new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+			new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'})
+		]);
+		await Promise.all([
+			new Editor({genderId: 1, id: authorId, name: 'alice', typeId: 1}).save(null, {method: 'insert'}),
+			new Editor({genderId: 1, id: reverterId, name: 'bob', typeId: 1}).save(null, {method: 'insert'})
+		]);
+	});
+
+	after(function truncate() {
+		this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+		return truncateTables(bookshelf, [
+			'bookbrainz.entity',
+			'bookbrainz.revision',
+			'bookbrainz.note',
+			'bookbrainz.disambiguation',
+			'bookbrainz.alias',
+			'bookbrainz.alias_set',
+			'bookbrainz.identifier_set',
+			'bookbrainz.editor',
+			'bookbrainz.editor_type',
+			'musicbrainz.gender'
+		]);
+	});
+
+	it('should restore the data before the reverted revision', async function () {
+		const {bbid, revisionId: firstRevisionId} = await createEntity(bookbrainzData, 'Author', authorData, authorId);
+		const {revisionId: editRevisionId} = await editEntity(bookbrainzData, bbid, {
+			disambiguation: 'Changed Disambiguation'
+		}, authorId);
+		const {revertedBbids, revisionId} = await revertRevision(bookbrainzData, editRevisionId, reverterId);
+
+		const entityJSON = await getEntity(bookbrainzData, 'Author', bbid, []);
+		const firstRevision = await new Author({bbid, revisionId: firstRevisionId}).fetch();
+		const parents = await new Revision({id: revisionId}).related('parents').fetch();
+
+		expect(revertedBbids).to.deep.equal([bbid]);
+		expect(entityJSON.revisionId).to.equal(revisionId);
+		expect(entityJSON.disambiguation).to.equal('Original Disambiguation');
+		expect(entityJSON.dataId).to.equal(firstRevision.get('dataId'));
+		expect(parents.map((parent) => parent.get('id'))).to.deep.equal([editRevisionId]);
+	});
+
+	it('should increment the reverted revisions of the original author', async function () {
+		const {bbid} = await createEntity(bookbrainzData, 'Author', authorData, authorId);
+		const {revisionId: editRevisionId} = await editEntity(bookbrainzData, bbid, {
+			disambiguation: 'Changed Disambiguation'
+		}, authorId);
+		const authorBefore = await new Editor({id: authorId}).fetch();
+		await revertRevision(bookbrainzData, editRevisionId, reverterId);
+		const authorAfter = await new Editor({id: authorId}).fetch();
+
+		expect(authorAfter.get('revisionsReverted')).to.equal(authorBefore.get('revisionsReverted') + 1);
+	});
+
+	it('should delete an entity when its first revision is reverted', async function () {
+		const {bbid, revisionId: firstRevisionId} = await createEntity(bookbrainzData, 'Author', authorData, authorId);
+		await revertRevision(bookbrainzData, firstRevisionId, reverterId);
+		const entityJSON = await getEntity(bookbrainzData, 'Author', bbid, []);
+
+		expect(entityJSON.dataId).to.be.null;
+	});
+
+	it('should refuse to overwrite later revisions unless forced', async function () {
+		const {bbid} = await createEntity(bookbrainzData, 'Author', authorData, authorId);
+		const {revisionId: editRevisionId} = await editEntity(bookbrainzData, bbid, {
+			disambiguation: 'Changed Disambiguation'
+		}, authorId);
+		await editEntity(bookbrainzData, bbid, {ended: true}, authorId);
+
+		await expect(revertRevision(bookbrainzData, editRevisionId, reverterId))
+			.to.be.rejectedWith('would overwrite later revisions');
+
+		await revertRevision(bookbrainzData, editRevisionId, reverterId, null, {force: true});
+		const entityJSON = await getEntity(bookbrainzData, 'Author', bbid, []);
+
+		expect(entityJSON.disambiguation).to.equal('Original Disambiguation');
+		expect(entityJSON.ended).to.be.false;
+	});
+});
+
+describe('compareRevisions', () => {
+	const editorId = 1;
+	const authorData = {
+		alias: [{
+			default: true,
+			languageId: null,
+			name: 'Douglas Adams',
+			primary: true,
+			sortName: 'Adams, Douglas'
+		}],
+		disambiguation: 'Original Disambiguation',
+		ended: false,
+		identifiers: []
+	};
+
+	before(async () => {
+		await Promise.all([
+			new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+			new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'})
+		]);
+		await new Editor({genderId: 1, id: editorId, name: 'alice', typeId: 1}).save(null, {method: 'insert'});
+	});
+
+	after(function truncate() {
+		this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+		return truncateTables(bookshelf, [
+			'bookbrainz.entity',
+			'bookbrainz.revision',
+			'bookbrainz.note',
+			'bookbrainz.disambiguation',
+			'bookbrainz.alias',
+			'bookbrainz.alias_set',
+			'bookbrainz.identifier_set',
+			'bookbrainz.editor',
+			'bookbrainz.editor_type',
+			'musicbrainz.gender'
+		]);
+	});
+
+	it('should compare revisions which are not parent and child', async function () {
+		const {bbid, revisionId: firstRevisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		await editEntity(bookbrainzData, bbid, {disambiguation: 'Changed Disambiguation'}, editorId);
+		const {revisionId: lastRevisionId} = await editEntity(bookbrainzData, bbid, {ended: true}, editorId);
+		const result = await compareRevisions(bookbrainzData, 'Author', bbid, firstRevisionId, lastRevisionId);
+
+		expect(result).to.deep.equal({
+			disambiguation: {after: 'Changed Disambiguation', before: 'Original Disambiguation'},
+			ended: {after: true, before: false}
+		});
+	});
+
+	it('should accept revisions of entities which have been merged into the entity', async function () {
+		const {bbid: targetBbid} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const {bbid: sourceBbid, revisionId: sourceRevisionId} = await createEntity(bookbrainzData, 'Author', {
+			...authorData, disambiguation: 'Duplicate'
+		}, editorId);
+		const {revisionId: mergeRevisionId} = await mergeEntities(bookbrainzData, targetBbid, [sourceBbid], editorId);
+		const result = await compareRevisions(bookbrainzData, 'Author', targetBbid, sourceRevisionId, mergeRevisionId);
+
+		expect(result.disambiguation).to.deep.equal({after: 'Original Disambiguation', before: 'Duplicate'});
+	});
+
+	it('should reject revisions of other entities', async function () {
+		const {bbid, revisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const {revisionId: otherRevisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+
+		await expect(compareRevisions(bookbrainzData, 'Author', bbid, revisionId, otherRevisionId))
+			.to.be.rejectedWith(`Revision ${otherRevisionId} does not belong to Author ${bbid}`);
+	});
+});
+
+describe('getChangesSince', () => {
+	const editorId = 1;
+	const authorData = {
+		alias: [{
+			default: true,
+			languageId: null,
+			name: 'Douglas Adams',
+			primary: true,
+			sortName: 'Adams, Douglas'
+		}],
+		ended: false,
+		identifiers: []
+	};
+
+	before(async () => {
+		await Promise.all([
+			new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+			new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'})
+		]);
+		await new Editor({genderId: 1, id: editorId, name: 'alice', typeId: 1}).save(null, {method: 'insert'});
+	});
+
+	after(function truncate() {
+		this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+		return truncateTables(bookshelf, [
+			'bookbrainz.entity',
+			'bookbrainz.revision',
+			'bookbrainz.note',
+			'bookbrainz.alias',
+			'bookbrainz.alias_set',
+			'bookbrainz.identifier_set',
+			'bookbrainz.editor',
+			'bookbrainz.editor_type',
+			'musicbrainz.gender'
+		]);
+	});
+
+	it('should report the kind of every change in revision order', async function () {
+		const {lastRevisionId} = await getChangesSince(bookbrainzData, 0, 1000);
+		const {bbid: targetBbid, revisionId: createRevisionId} = await createEntity(
+			bookbrainzData, 'Author', authorData, editorId
+		);
+		const {bbid: sourceBbid} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const {bbid: deletedBbid} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		await editEntity(bookbrainzData, targetBbid, {ended: true}, editorId);
+		const {revisionId: mergeRevisionId} = await mergeEntities(bookbrainzData, targetBbid, [sourceBbid], editorId);
+		await deleteEntity(bookbrainzData, deletedBbid, editorId);
+		const {changes, hasMore} = await getChangesSince(bookbrainzData, lastRevisionId, 1000);
+
+		expect(hasMore).to.be.false;
+		expect(changes[0]).to.include({bbid: targetBbid, kind: 'created', revisionId: createRevisionId});
+		expect(changes.map(({bbid, kind}) => [bbid, kind])).to.deep.equal([
+			[targetBbid, 'created'],
+			[sourceBbid, 'created'],
+			[deletedBbid, 'created'],
+			[targetBbid, 'edited'],
+			..._.sortBy([[sourceBbid, 'merged'], [targetBbid, 'edited']], ([bbid]) => bbid),
+			[deletedBbid, 'deleted']
+		]);
+		expect(_.find(changes, {kind: 'merged'})).to.include({revisionId: mergeRevisionId, targetBbid});
+	});
+
+	it('should not split revisions between pages', async function () {
+		const {lastRevisionId: startRevisionId} = await getChangesSince(bookbrainzData, 0, 1000);
+		const {bbid: targetBbid} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const {bbid: sourceBbid} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const {revisionId: mergeRevisionId} = await mergeEntities(bookbrainzData, targetBbid, [sourceBbid], editorId);
+		const firstPage = await getChangesSince(bookbrainzData, startRevisionId, 2);
+		const secondPage = await getChangesSince(bookbrainzData, firstPage.lastRevisionId, 2);
+
+		expect(firstPage.changes).to.have.lengthOf(2);
+		expect(firstPage.hasMore).to.be.true;
+		expect(secondPage.changes.map((change) => change.revisionId)).to.deep.equal([mergeRevisionId, mergeRevisionId]);
+		expect(secondPage).to.include({hasMore: false, lastRevisionId: mergeRevisionId});
+	});
+
+	it('should not skip a revision which is committed after a later one', async function () {
+		const {lastRevisionId: startRevisionId} = await getChangesSince(bookbrainzData, 0, 1000);
+		const trx = await bookshelf.knex.transaction();
+		const pendingRevision = await new Revision({authorId: editorId})
+			.save(null, {method: 'insert', transacting: trx});
+		const {revisionId} = await createEntity(bookbrainzData, 'Author', authorData, editorId);
+		const pendingChanges = await getChangesSince(bookbrainzData, startRevisionId, 1000);
+		await trx.commit();
+		const {changes, lastRevisionId} = await getChangesSince(bookbrainzData, startRevisionId, 1000);
+
+		expect(pendingRevision.id).to.be.below(revisionId);
+		expect(pendingChanges).to.deep.equal({changes: [], hasMore: false, lastRevisionId: startRevisionId});
+		expect(changes.map((change) => change.revisionId)).to.deep.equal([revisionId]);
+		expect(lastRevisionId).to.equal(revisionId);
+	});
+
+	it('should reject an invalid limit', async function () {
+		await expect(getChangesSince(bookbrainzData, 0, 0)).to.be.rejectedWith('Limit has to be a positive integer');
+	});
+});
@@ -0,0 +1,239 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {createEntity, deleteEntity, mergeEntities} from '../../../lib/func/entity';
+import {generateSearchDocuments, getSearchDocuments, toSearchDocument} from '../../../lib/func/search';
+import _ from 'lodash';
+import bookbrainzData from '../../bookshelf';
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import {truncateTables} from '../../../lib/util';
+
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+const {Editor, EditorType, Gender, bookshelf} = bookbrainzData;
+
+const authorBBID = 'de305d54-75b4-431b-adb2-eb6b9e546014';
+const editionBBID = '68f52341-eea4-4ebc-9a15-6226fb68962c';
+const publisherBBID = '1b33f4a6-7f3a-4bd4-9d7b-4fbd8a2fbd2f';
+
+const english = {id: 1, isoCode3: 'eng', name: 'English'};
+const london = {id: 1, mbid: 'f03d09b3-39dc-4083-afd6-159e3f0d462f', name: 'London'};
+
+function getBaseProps(type, bbid, name, sortName) {
+	const defaultAlias = {default: true, language: english, name, primary: true, sortName};
+	return {
+		aliases: [defaultAlias, {default: false, language: null, name: `${name} (alt)`, primary: false, sortName}],
+		annotation: null,
+		bbid,
+		defaultAlias,
+		disambiguation: null,
+		identifiers: [],
+		name,
+		relationships: [],
+		revisionId: 1,
+		schemaVersion: 1,
+		sortName,
+		type
+	};
+}
+
+describe('toSearchDocument', () => {
+	it('should flatten an edition with its related names', () => {
+		const edition = {
+			...getBaseProps('Edition', editionBBID, 'The Hitchhiker\'s Guide', 'Hitchhiker\'s Guide, The'),
+			authorCredit: [{authorBbid: authorBBID, joinPhrase: '', name: 'Douglas Adams'}],
+			depth: null,
+			disambiguation: 'first edition',
+			editionFormat: null,
+			editionGroupBbid: 'ba2d4ddf-4e2a-4b5e-b1ff-11e0ee4fce0c',
+			editionStatus: null,
+			height: null,
+			identifiers: [{type: {id: 2, label: 'ISBN-13'}, value: '9780330258647'}],
+			languages: [english],
+			pages: null,
+			publishers: [{bbid: publisherBBID, name: 'Pan Books'}, {bbid: publisherBBID, name: null}],
+			releaseEvents: [{area: london, date: '+001979'}, {area: london, date: '+001980'}, {area: null, date: null}],
+			weight: null,
+			width: null
+		};
+
+		expect(toSearchDocument(edition, 'The Hitchhiker\'s Guide to the Galaxy')).to.deep.equal({
+			aliases: [
+				{language: 'eng', name: 'The Hitchhiker\'s Guide', primary: true, sortName: 'Hitchhiker\'s Guide, The'},
+				{
+					language: null, name: 'The Hitchhiker\'s Guide (alt)', primary: false,
+					sortName: 'Hitchhiker\'s Guide, The'
+				}
+			],
+			areas: ['London'],
+			authors: ['Douglas Adams'],
+			bbid: editionBBID,
+			defaultAlias: {
+				language: 'eng', name: 'The Hitchhiker\'s Guide', primary: true, sortName: 'Hitchhiker\'s Guide, The'
+			},
+			disambiguation: 'first edition',
+			editionGroup: 'The Hitchhiker\'s Guide to the Galaxy',
+			identifiers: [{type: 'ISBN-13', value: '9780330258647'}],
+			publishers: ['Pan Books'],
+			type: 'Edition'
+		});
+	});
+
+	it('should collect the areas of an author and leave unrelated properties empty', () => {
+		const author = {
+			...getBaseProps('Author', authorBBID, 'Douglas Adams', 'Adams, Douglas'),
+			authorType: null,
+			beginArea: {...london, name: 'Cambridge'},
+			beginDate: null,
+			endArea: {...london, name: 'Santa Barbara'},
+			endDate: null,
+			ended: true,
+			gender: null
+		};
+		const document = toSearchDocument(author, 'ignored');
+
+		expect(document.areas).to.deep.equal(['Cambridge', 'Santa Barbara']);
+		expect(document).to.include({editionGroup: null});
+		expect(document.authors).to.be.empty;
+		expect(document.publishers).to.be.empty;
+	});
+});
+
+const editorId = 1;
+
+function getEntityData(name) {
+	return {
+		alias: [{default: true, languageId: null, name, primary: true, sortName: name}],
+		ended: false,
+		identifiers: []
+	};
+}
+
+async function collectBatches(options) {
+	const batches = [];
+	for await (const batch of generateSearchDocuments(bookbrainzData, options)) {
+		batches.push(batch);
+	}
+	return batches;
+}
+
+describe('getSearchDocuments and generateSearchDocuments with entities', () => {
+	const entities = {};
+
+	before(async () => {
+		await Promise.all([
+			new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+			new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'})
+		]);
+		await new Editor({genderId: 1, id: editorId, name: 'bob', typeId: 1}).save(null, {method: 'insert'});
+		for (const name of ['First Author', 'Second Author', 'Third Author', 'Deleted Author', 'Merged Author']) {
+			// eslint-disable-next-line no-await-in-loop
+			const {bbid} = await createEntity(bookbrainzData, 'Author', getEntityData(name), editorId);
+			entities[name] = bbid;
+		}
+		const editionGroup = await createEntity(bookbrainzData, 'EditionGroup', getEntityData('The Group'), editorId);
+		const edition = await createEntity(bookbrainzData, 'Edition', {
+			...getEntityData('The Edition'),
+			editionGroupBbid: editionGroup.bbid
+		}, editorId);
+		entities['The Group'] = editionGroup.bbid;
+		entities['The Edition'] = edition.bbid;
+		await deleteEntity(bookbrainzData, entities['Deleted Author'], editorId);
+		await mergeEntities(bookbrainzData, entities['First Author'], [entities['Merged Author']], editorId);
+	});
+
+	after(function truncate() {
+		this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+		return truncateTables(bookshelf, [
+			'bookbrainz.entity',
+			'bookbrainz.entity_redirect',
+			'bookbrainz.revision',
+			'bookbrainz.note',
+			'bookbrainz.alias',
+			'bookbrainz.alias_set',
+			'bookbrainz.identifier_set',
+			'bookbrainz.relationship_set',
+			'bookbrainz.editor',
+			'bookbrainz.editor_type',
+			'musicbrainz.gender'
+		]);
+	});
+
+	function getActiveBBIDs() {
+		return _.sortBy(_.values(_.omit(entities, ['Deleted Author', 'Merged Author'])));
+	}
+
+	it('should return documents in the order of the BBIDs and skip deleted, merged and missing entities', async () => {
+		const documents = await getSearchDocuments(bookbrainzData, 'Author', [
+			entities['Merged Author'], entities['Second Author'], entities['Deleted Author'],
+			'c0ffee00-0000-4000-8000-000000000000', entities['First Author']
+		]);
+
+		expect(documents.map((document) => document.bbid))
+			.to.deep.equal([entities['Second Author'], entities['First Author']]);
+		expect(documents[0].defaultAlias).to.deep.equal({
+			language: null, name: 'Second Author', primary: true, sortName: 'Second Author'
+		});
+		expect(documents[0].type).to.equal('Author');
+	});
+
+	it('should look up the name of the edition group of an edition', async () => {
+		const [document] = await getSearchDocuments(bookbrainzData, 'Edition', [entities['The Edition']]);
+
+		expect(document).to.include({bbid: entities['The Edition'], editionGroup: 'The Group', type: 'Edition'});
+	});
+
+	it('should iterate over all active entities in batches', async () => {
+		const batches = await collectBatches({batchSize: 2});
+		const bbids = batches.flatMap((batch) => batch.documents.map((document) => document.bbid));
+
+		expect(batches.map((batch) => batch.documents.length)).to.deep.equal([2, 2, 1]);
+		expect(bbids).to.deep.equal(getActiveBBIDs());
+		expect(batches.map((batch) => batch.cursor))
+			.to.deep.equal(batches.map((batch) => _.last(batch.documents).bbid));
+	});
+
+	it('should resume the iteration after the cursor of a batch', async () => {
+		const [firstBatch] = await collectBatches({batchSize: 2});
+		const resumedBatches = await collectBatches({after: firstBatch.cursor, batchSize: 2});
+		const resumedBBIDs = resumedBatches.flatMap((batch) => batch.documents.map((document) => document.bbid));
+
+		expect(resumedBatches).to.have.lengthOf(2);
+		expect(resumedBBIDs).to.deep.equal(getActiveBBIDs().slice(2));
+	});
+
+	it('should only include the requested entity types', async () => {
+		const batches = await collectBatches({types: ['Edition', 'EditionGroup']});
+
+		expect(batches).to.have.lengthOf(1);
+		expect(_.sortBy(batches[0].documents.map((document) => document.bbid)))
+			.to.deep.equal(_.sortBy([entities['The Edition'], entities['The Group']]));
+		expect(_.find(batches[0].documents, {type: 'Edition'}).editionGroup).to.equal('The Group');
+	});
+});
+
+describe('generateSearchDocuments', () => {
+	it('should reject invalid options before querying', async () => {
+		await expect(generateSearchDocuments(null, {batchSize: 0}).next())
+			.to.be.rejectedWith('Batch size has to be a positive integer');
+		await expect(generateSearchDocuments(null, {types: ['Author', 'Editor']}).next())
+			.to.be.rejectedWith('Unknown entity types Editor');
+	});
+});
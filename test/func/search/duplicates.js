@@ -0,0 +1,227 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+
+import {createEntity, deleteEntity} from '../../../lib/func/entity';
+import {findDuplicates, getDuplicateScore} from '../../../lib/func/search';
+import bookbrainzData from '../../bookshelf';
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import faker from 'faker';
+import {setupSearchDatabase} from './helpers';
+import {truncateTables} from '../../../lib/util';
+
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+const {Area, AreaType, Editor, EditorType, Gender, IdentifierType, bookshelf} = bookbrainzData;
+
+const editorId = 1;
+const wikidataTypeId = 1;
+
+function getEntityData(name, extraData = {}) {
+	return {
+		alias: [{default: true, languageId: null, name, primary: true, sortName: name}],
+		ended: false,
+		identifiers: [],
+		...extraData
+	};
+}
+
+function getBBIDs(candidates) {
+	return candidates.map((candidate) => candidate.bbid);
+}
+
+describe('getDuplicateScore', () => {
+	it('should only count the best alias and the first identifier', () => {
+		const signals = [
+			{name: 'Douglas Adam', similarity: 0.8, type: 'alias'},
+			{name: 'Douglas Adams', similarity: 1, type: 'alias'},
+			{identifierTypeId: 2, type: 'identifier', value: 'Q42'},
+			{identifierTypeId: 3, type: 'identifier', value: '113230702'}
+		];
+
+		expect(getDuplicateScore(signals)).to.equal(1);
+		expect(getDuplicateScore(signals.slice(0, 1))).to.equal(0.4);
+	});
+
+	it('should add the weaker signals to the alias similarity', () => {
+		expect(getDuplicateScore([
+			{name: 'Pan Books', similarity: 0.6, type: 'alias'},
+			{type: 'area'}
+		])).to.equal(0.45);
+		expect(getDuplicateScore([
+			{name: 'Mostly Harmless', similarity: 1, type: 'alias'},
+			{type: 'authorCredit'}
+		])).to.equal(0.75);
+		expect(getDuplicateScore([])).to.equal(0);
+	});
+});
+
+describe('findDuplicates', () => {
+	it('should reject invalid arguments before querying', async () => {
+		const data = {alias: [{name: 'Douglas Adams'}]};
+
+		await expect(findDuplicates(null, 'Editor', data)).to.be.rejectedWith('Unknown entity type Editor');
+		await expect(findDuplicates(null, 'Author', data, {limit: 0}))
+			.to.be.rejectedWith('Limit has to be a positive integer');
+		await expect(findDuplicates(null, 'Author', data, {minSimilarity: 0}))
+			.to.be.rejectedWith('Minimum similarity has to be greater than 0 and at most 1');
+	});
+
+	it('should not query without names or identifiers', async () => {
+		const data = {alias: [{name: '  '}], beginDate: '1952', identifiers: [{typeId: 2, value: ''}]};
+
+		expect(await findDuplicates(null, 'Author', data)).to.be.empty;
+	});
+});
+
+describe('findDuplicates with entities', () => {
+	const entities = {};
+	let areaId;
+
+	before(async () => {
+		await setupSearchDatabase();
+		await Promise.all([
+			new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+			new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'}),
+			new AreaType({id: 1, name: 'City'}).save(null, {method: 'insert'}),
+			new IdentifierType({
+				description: 'description', detectionRegex: 'detection', displayTemplate: 'display',
+				entityType: 'Author', id: wikidataTypeId, label: 'Wikidata ID', validationRegex: 'validation'
+			}).save(null, {method: 'insert'})
+		]);
+		await new Editor({genderId: 1, id: editorId, name: 'bob', typeId: 1}).save(null, {method: 'insert'});
+		const area = await new Area({gid: faker.random.uuid(), name: 'London', type: 1})
+			.save(null, {method: 'insert'});
+		areaId = area.get('id');
+
+		const fixtures = [
+			['adams', 'Author', getEntityData('Douglas Adams', {
+				beginDate: '1952-03-11', endDate: '2001-05-11', ended: true,
+				identifiers: [{typeId: wikidataTypeId, value: 'Q42'}]
+			})],
+			['adam', 'Author', getEntityData('Douglas Adam')],
+			['deleted', 'Author', getEntityData('Douglas Adams')],
+			['londonPublisher', 'Publisher', getEntityData('Pan Books', {areaId})],
+			['publisher', 'Publisher', getEntityData('Pan Books')]
+		];
+		for (const [key, type, data] of fixtures) {
+			// eslint-disable-next-line no-await-in-loop
+			const {bbid} = await createEntity(bookbrainzData, type, data, editorId);
+			entities[key] = bbid;
+		}
+		for (const key of ['adams', 'adam']) {
+			// eslint-disable-next-line no-await-in-loop
+			const {bbid} = await createEntity(bookbrainzData, 'EditionGroup', getEntityData('Mostly Harmless', {
+				authorCredit: [{authorBBID: entities[key], joinPhrase: '', name: 'Douglas Adams'}]
+			}), editorId);
+			entities[`${key}EditionGroup`] = bbid;
+		}
+		await deleteEntity(bookbrainzData, entities.deleted, editorId);
+	});
+
+	after(function truncate() {
+		this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+		return truncateTables(bookshelf, [
+			'bookbrainz.entity',
+			'bookbrainz.revision',
+			'bookbrainz.note',
+			'bookbrainz.alias',
+			'bookbrainz.alias_set',
+			'bookbrainz.identifier',
+			'bookbrainz.identifier_set',
+			'bookbrainz.identifier_type',
+			'bookbrainz.author_credit',
+			'bookbrainz.relationship_set',
+			'bookbrainz.editor',
+			'bookbrainz.editor_type',
+			'musicbrainz.gender',
+			'musicbrainz.area',
+			'musicbrainz.area_type'
+		]);
+	});
+
+	it('should find entities with similar aliases, ignoring case and accents', async () => {
+		const candidates = await findDuplicates(bookbrainzData, 'Author', {alias: [{name: 'DOUGLAS ADÁMS'}]});
+
+		expect(getBBIDs(candidates)).to.deep.equal([entities.adams, entities.adam]);
+		expect(candidates[0]).to.deep.include({
+			disambiguation: null, name: 'Douglas Adams', score: 0.5,
+			signals: [{name: 'Douglas Adams', similarity: 1, type: 'alias'}]
+		});
+		expect(candidates[1].signals[0].similarity).to.be.within(0.5, 1);
+		expect(candidates[1].score).to.be.below(candidates[0].score);
+	});
+
+	it('should apply the minimum similarity and the excluded entities', async () => {
+		const data = {alias: [{name: 'Douglas Adams'}]};
+		const [strict, excluded] = await Promise.all([
+			findDuplicates(bookbrainzData, 'Author', data, {minSimilarity: 0.95}),
+			findDuplicates(bookbrainzData, 'Author', data, {excludeBbids: [entities.adams]})
+		]);
+
+		expect(getBBIDs(strict)).to.deep.equal([entities.adams]);
+		expect(getBBIDs(excluded)).to.deep.equal([entities.adam]);
+	});
+
+	it('should find entities which share an identifier of the same type', async () => {
+		const [sameType, otherType] = await Promise.all([wikidataTypeId, 2].map((typeId) => findDuplicates(
+			bookbrainzData, 'Author', {alias: [{name: 'Someone Else'}], identifiers: [{typeId, value: 'Q42'}]}
+		)));
+
+		expect(sameType).to.deep.equal([{
+			bbid: entities.adams, disambiguation: null, name: 'Douglas Adams', score: 0.5,
+			signals: [{identifierTypeId: wikidataTypeId, type: 'identifier', value: 'Q42'}]
+		}]);
+		expect(otherType).to.be.empty;
+	});
+
+	it('should increase the score of authors with overlapping dates', async () => {
+		const [overlapping, later] = await Promise.all(['1960', '2010'].map((beginDate) => findDuplicates(
+			bookbrainzData, 'Author', {alias: [{name: 'Douglas Adams'}], beginDate}
+		)));
+
+		expect(overlapping[0].bbid).to.equal(entities.adams);
+		expect(overlapping[0].signals.map((signal) => signal.type)).to.deep.equal(['alias', 'dates']);
+		expect(overlapping[0].score).to.equal(0.65);
+		expect(overlapping[1].signals.map((signal) => signal.type)).to.deep.equal(['alias']);
+		expect(later[0].signals.map((signal) => signal.type)).to.deep.equal(['alias']);
+	});
+
+	it('should increase the score of entities with the same author credit', async () => {
+		const candidates = await findDuplicates(bookbrainzData, 'EditionGroup', {
+			alias: [{name: 'Mostly Harmless'}],
+			authorCredit: [{authorBBID: entities.adam, joinPhrase: '', name: 'Douglas Adam'}]
+		});
+
+		expect(getBBIDs(candidates)).to.deep.equal([entities.adamEditionGroup, entities.adamsEditionGroup]);
+		expect(candidates[0].signals.map((signal) => signal.type)).to.deep.equal(['alias', 'authorCredit']);
+		expect(candidates[0].score).to.equal(0.75);
+		expect(candidates[1].score).to.equal(0.5);
+	});
+
+	it('should increase the score of publishers in the same area', async () => {
+		const candidates = await findDuplicates(bookbrainzData, 'Publisher', {alias: [{name: 'Pan Books'}], areaId});
+
+		expect(getBBIDs(candidates)).to.deep.equal([entities.londonPublisher, entities.publisher]);
+		expect(candidates[0].signals.map((signal) => signal.type)).to.deep.equal(['alias', 'area']);
+		expect(candidates[0].score).to.equal(0.65);
+		expect(candidates[1].score).to.equal(0.5);
+	});
+});
@@ -0,0 +1,33 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import bookbrainzData from '../../bookshelf';
+import path from 'path';
+import {readFileSync} from 'fs';
+
+
+const SEARCH_SQL_PATH = path.resolve(__dirname, '../../../sql/search.sql');
+
+/**
+ * Creates the extensions and database objects which the search functions
+ * need, as described in the README.
+ * @returns {Promise} - Promise which is resolved once the SQL has been applied
+ */
+export function setupSearchDatabase() {
+	return bookbrainzData.bookshelf.knex.raw(readFileSync(SEARCH_SQL_PATH, 'utf8'));
+}
@@ -0,0 +1,169 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {createEntity, deleteEntity} from '../../../lib/func/entity';
+import _ from 'lodash';
+import bookbrainzData from '../../bookshelf';
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import {searchEntities} from '../../../lib/func/search';
+import {setupSearchDatabase} from './helpers';
+import {truncateTables} from '../../../lib/util';
+
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+const {Editor, EditorType, Gender, Language, bookshelf} = bookbrainzData;
+
+const editorId = 1;
+const englishId = 1;
+const germanId = 2;
+
+function getEntityData(name, sortName = name, languageId = null) {
+	return {
+		alias: [{default: true, languageId, name, primary: true, sortName}],
+		ended: false,
+		identifiers: []
+	};
+}
+
+describe('searchEntities', () => {
+	it('should not query for empty search terms', async () => {
+		expect(await searchEntities(null, '   ')).to.be.empty;
+	});
+
+	it('should reject invalid options before querying', async () => {
+		await expect(searchEntities(null, 'Adams', {types: ['Editor']}))
+			.to.be.rejectedWith('Unknown entity types Editor');
+		await expect(searchEntities(null, 'Adams', {types: []}))
+			.to.be.rejectedWith('At least one entity type has to be searched');
+		await expect(searchEntities(null, 'Adams', {languageIds: ['eng']}))
+			.to.be.rejectedWith('Language IDs have to be integers');
+		await expect(searchEntities(null, 'Adams', {limit: 0}))
+			.to.be.rejectedWith('Limit has to be a positive integer');
+		await expect(searchEntities(null, 'Adams', {offset: -1}))
+			.to.be.rejectedWith('Offset has to be a non-negative integer');
+	});
+});
+
+describe('searchEntities with entities', () => {
+	const entities = {};
+
+	before(async () => {
+		await setupSearchDatabase();
+		await Promise.all([
+			new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+			new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'}),
+			...[[englishId, 'eng', 'English'], [germanId, 'deu', 'German']].map(([id, isoCode3, name]) =>
+				new Language({frequency: 1, id, isoCode3, name}).save(null, {method: 'insert'}))
+		]);
+		await new Editor({genderId: 1, id: editorId, name: 'bob', typeId: 1}).save(null, {method: 'insert'});
+		const fixtures = [
+			['Douglas Adams', 'Author', getEntityData('Douglas Adams', 'Adams, Douglas', englishId)],
+			['Douglas Hofstadter', 'Author', getEntityData('Douglas Hofstadter', 'Hofstadter, Douglas', englishId)],
+			['Gabriel García Márquez', 'Author', getEntityData('Gabriel García Márquez', 'García Márquez, Gabriel')],
+			['Die Abenteuer', 'Work', getEntityData('Die Abenteuer', 'Abenteuer, Die', germanId)],
+			['Douglas Deleted', 'Author', getEntityData('Douglas Deleted')]
+		];
+		for (const [name, type, data] of fixtures) {
+			// eslint-disable-next-line no-await-in-loop
+			const {bbid} = await createEntity(bookbrainzData, type, data, editorId);
+			entities[name] = bbid;
+		}
+		await deleteEntity(bookbrainzData, entities['Douglas Deleted'], editorId);
+	});
+
+	after(function truncate() {
+		this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+		return truncateTables(bookshelf, [
+			'bookbrainz.entity',
+			'bookbrainz.revision',
+			'bookbrainz.note',
+			'bookbrainz.alias',
+			'bookbrainz.alias_set',
+			'bookbrainz.identifier_set',
+			'bookbrainz.relationship_set',
+			'bookbrainz.editor',
+			'bookbrainz.editor_type',
+			'musicbrainz.gender',
+			'musicbrainz.language'
+		]);
+	});
+
+	function getBBIDs(results) {
+		return results.map((result) => result.bbid);
+	}
+
+	it('should rank the entity which matches all search terms first', async () => {
+		const results = await searchEntities(bookbrainzData, 'douglas adams');
+
+		expect(results[0]).to.deep.include({
+			bbid: entities['Douglas Adams'],
+			defaultAlias: {languageId: englishId, name: 'Douglas Adams', sortName: 'Adams, Douglas'},
+			disambiguation: null,
+			type: 'Author'
+		});
+		const scores = results.map((result) => result.score);
+		expect(scores).to.deep.equal(_.orderBy(scores, [], ['desc']));
+		expect(scores[0]).to.be.above(scores[1]);
+	});
+
+	it('should find entities which match some of the terms and skip deleted entities', async () => {
+		const results = await searchEntities(bookbrainzData, 'Douglas');
+
+		expect(getBBIDs(results)).to.have.members([entities['Douglas Adams'], entities['Douglas Hofstadter']]);
+	});
+
+	it('should ignore accents and case', async () => {
+		const [withoutAccents, withAccents] = await Promise.all([
+			searchEntities(bookbrainzData, 'GABRIEL GARCIA MARQUEZ'),
+			searchEntities(bookbrainzData, 'márquez')
+		]);
+
+		expect(getBBIDs(withoutAccents)).to.deep.equal([entities['Gabriel García Márquez']]);
+		expect(getBBIDs(withAccents)).to.deep.equal([entities['Gabriel García Márquez']]);
+	});
+
+	it('should find misspelled names by trigram similarity', async () => {
+		const results = await searchEntities(bookbrainzData, 'Duglas Adms');
+
+		expect(getBBIDs(results)[0]).to.equal(entities['Douglas Adams']);
+	});
+
+	it('should only search the aliases of the given languages and entity types', async () => {
+		const [english, german, works] = await Promise.all([
+			searchEntities(bookbrainzData, 'Abenteuer', {languageIds: [englishId]}),
+			searchEntities(bookbrainzData, 'Abenteuer', {languageIds: [englishId, germanId]}),
+			searchEntities(bookbrainzData, 'Douglas', {types: ['Work']})
+		]);
+
+		expect(english).to.be.empty;
+		expect(german).to.have.lengthOf(1);
+		expect(german[0]).to.include({bbid: entities['Die Abenteuer'], type: 'Work'});
+		expect(works).to.be.empty;
+	});
+
+	it('should page through the results', async () => {
+		const allResults = await searchEntities(bookbrainzData, 'Douglas');
+		const pages = await Promise.all([0, 1, 2].map((offset) => searchEntities(
+			bookbrainzData, 'Douglas', {limit: 1, offset}
+		)));
+
+		expect(pages.map(getBBIDs)).to.deep.equal([...getBBIDs(allResults).map((bbid) => [bbid]), []]);
+	});
+});
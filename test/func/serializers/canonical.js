@@ -0,0 +1,193 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {
+	CANONICAL_SCHEMA_VERSION, getCanonicalRelations, serializeEntity, serializeEntityJSON
+} from '../../../lib/func/serializers';
+import bookbrainzData from '../../bookshelf';
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import {createEntity} from '../../../lib/func/entity';
+import {truncateTables} from '../../../lib/util';
+
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+const {Editor, EditorType, Gender, bookshelf} = bookbrainzData;
+
+const authorBBID = 'de305d54-75b4-431b-adb2-eb6b9e546014';
+const workBBID = 'ba2d4ddf-4e2a-4b5e-b1ff-11e0ee4fce0c';
+const english = {frequency: 2, id: 1, isoCode1: 'en', isoCode3: 'eng', name: 'English'};
+
+function getEditionJSON() {
+	return {
+		aliasSet: {
+			aliases: [
+				{id: 2, language: english, languageId: 1, name: 'B', primary: false, sortName: 'B'},
+				{id: 1, language: english, languageId: 1, name: 'A', primary: true, sortName: 'A'}
+			],
+			id: 1
+		},
+		authorCredit: {
+			names: [
+				{authorBBID: workBBID, joinPhrase: '', name: 'Second', position: 1},
+				{authorBBID, joinPhrase: ' & ', name: 'First', position: 0}
+			]
+		},
+		bbid: workBBID,
+		dataId: 1,
+		defaultAlias: {id: 1, language: english, languageId: 1, name: 'A', primary: true, sortName: 'A'},
+		defaultAliasId: 1,
+		disambiguation: null,
+		editionFormat: {id: 1, label: 'Paperback'},
+		identifierSet: {identifiers: [{id: 1, type: {id: 2, label: 'ISBN-13'}, typeId: 2, value: '9780000000002'}]},
+		languageSet: {languages: [english]},
+		name: 'A',
+		pages: 100,
+		publisherSet: {publishers: []},
+		releaseEventSet: {
+			releaseEvents: [{area: {gid: 'a-gid', id: 3, name: 'Germany'}, areaId: 3, day: 1, month: 2, year: 2000}]
+		},
+		revisionId: 5,
+		sortName: 'A',
+		type: 'Edition'
+	};
+}
+
+describe('serializeEntityJSON', () => {
+	it('should return a stable shape without internal properties', () => {
+		const serialized = serializeEntityJSON(getEditionJSON());
+
+		expect(serialized).to.deep.equal({
+			aliases: [
+				{
+					default: true, language: {id: 1, isoCode3: 'eng', name: 'English'}, name: 'A', primary: true,
+					sortName: 'A'
+				},
+				{
+					default: false, language: {id: 1, isoCode3: 'eng', name: 'English'}, name: 'B', primary: false,
+					sortName: 'B'
+				}
+			],
+			annotation: null,
+			authorCredit: [
+				{authorBbid: authorBBID, joinPhrase: ' & ', name: 'First'},
+				{authorBbid: workBBID, joinPhrase: '', name: 'Second'}
+			],
+			bbid: workBBID,
+			defaultAlias: {
+				default: true, language: {id: 1, isoCode3: 'eng', name: 'English'}, name: 'A', primary: true,
+				sortName: 'A'
+			},
+			depth: null,
+			disambiguation: null,
+			editionFormat: {id: 1, label: 'Paperback'},
+			editionGroupBbid: null,
+			editionStatus: null,
+			height: null,
+			identifiers: [{type: {id: 2, label: 'ISBN-13'}, value: '9780000000002'}],
+			languages: [{id: 1, isoCode3: 'eng', name: 'English'}],
+			name: 'A',
+			pages: 100,
+			publishers: [],
+			relationships: [],
+			releaseEvents: [{area: {id: 3, mbid: 'a-gid', name: 'Germany'}, date: '+002000-02-01'}],
+			revisionId: 5,
+			schemaVersion: CANONICAL_SCHEMA_VERSION,
+			sortName: 'A',
+			type: 'Edition',
+			weight: null,
+			width: null
+		});
+	});
+
+	it('should not depend on the order of set items', () => {
+		const editionJSON = getEditionJSON();
+		editionJSON.aliasSet.aliases.reverse();
+		editionJSON.authorCredit.names.reverse();
+
+		expect(serializeEntityJSON(editionJSON)).to.deep.equal(serializeEntityJSON(getEditionJSON()));
+	});
+
+	it('should throw for deleted entities', () => {
+		expect(() => serializeEntityJSON({...getEditionJSON(), dataId: null}))
+			.to.throw('has been deleted and can not be serialized');
+	});
+
+	it('should throw for unknown entity types', () => {
+		expect(() => getCanonicalRelations('Unknown')).to.throw('Unknown entity type Unknown');
+	});
+});
+
+describe('serializeEntity', () => {
+	const editorId = 1;
+
+	before(async () => {
+		await Promise.all([
+			new Gender({id: 1, name: 'test'}).save(null, {method: 'insert'}),
+			new EditorType({id: 1, label: 'test_type'}).save(null, {method: 'insert'})
+		]);
+		await new Editor({genderId: 1, id: editorId, name: 'bob', typeId: 1}).save(null, {method: 'insert'});
+	});
+
+	after(function truncate() {
+		this.timeout(0); // eslint-disable-line @typescript-eslint/no-invalid-this
+		return truncateTables(bookshelf, [
+			'bookbrainz.entity',
+			'bookbrainz.revision',
+			'bookbrainz.note',
+			'bookbrainz.disambiguation',
+			'bookbrainz.alias',
+			'bookbrainz.alias_set',
+			'bookbrainz.identifier_set',
+			'bookbrainz.editor',
+			'bookbrainz.editor_type',
+			'musicbrainz.gender'
+		]);
+	});
+
+	it('should load every section of an author', async function () {
+		const {bbid, revisionId} = await createEntity(bookbrainzData, 'Author', {
+			alias: [{
+				default: true, languageId: null, name: 'Douglas Adams', primary: true, sortName: 'Adams, Douglas'
+			}],
+			beginDate: '1952-03-11',
+			disambiguation: 'Writer',
+			ended: false,
+			identifiers: []
+		}, editorId);
+		const serialized = await serializeEntity(bookbrainzData, 'Author', bbid);
+
+		expect(serialized).to.include({
+			annotation: null,
+			authorType: null,
+			bbid,
+			beginDate: '+001952-03-11',
+			disambiguation: 'Writer',
+			ended: false,
+			name: 'Douglas Adams',
+			revisionId,
+			schemaVersion: CANONICAL_SCHEMA_VERSION,
+			type: 'Author'
+		});
+		expect(serialized.aliases).to.deep.equal([
+			{default: true, language: null, name: 'Douglas Adams', primary: true, sortName: 'Adams, Douglas'}
+		]);
+		expect(serialized).to.not.have.any.keys('aliasSetId', 'dataId', 'master');
+	});
+});
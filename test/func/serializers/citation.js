@@ -0,0 +1,168 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {getCitationKey, parseName, toBibTeX, toCSLJSON} from '../../../lib/func/serializers';
+import chai from 'chai';
+
+
+const {expect} = chai;
+
+const authorBBID = 'de305d54-75b4-431b-adb2-eb6b9e546014';
+const editionBBID = '68f52341-eea4-4ebc-9a15-6226fb68962c';
+const workBBID = 'ba2d4ddf-4e2a-4b5e-b1ff-11e0ee4fce0c';
+
+function getBaseProps(type, bbid, name) {
+	return {
+		aliases: [],
+		annotation: null,
+		bbid,
+		defaultAlias: null,
+		disambiguation: null,
+		identifiers: [],
+		name,
+		relationships: [],
+		revisionId: 1,
+		schemaVersion: 1,
+		sortName: name,
+		type
+	};
+}
+
+function getEdition() {
+	return {
+		...getBaseProps('Edition', editionBBID, 'The Hitchhiker\'s Guide to the Galaxy'),
+		authorCredit: [
+			{authorBbid: authorBBID, joinPhrase: ' & ', name: 'Douglas Adams'},
+			{authorBbid: workBBID, joinPhrase: '', name: 'Ludwig van Beethoven'}
+		],
+		depth: null,
+		editionFormat: null,
+		editionGroupBbid: null,
+		editionStatus: null,
+		height: null,
+		identifiers: [
+			{type: {id: 1, label: 'ISBN-10'}, value: '0-330-25864-8'},
+			{type: {id: 2, label: 'ISBN-13'}, value: '978-0-330-25864-7'},
+			{type: {id: 3, label: 'DOI'}, value: '10.1000/182'}
+		],
+		languages: [],
+		pages: 180,
+		publishers: [{bbid: workBBID, name: 'Pan Books'}],
+		releaseEvents: [
+			{area: null, date: '+001980'},
+			{area: {id: 1, mbid: 'a-gid', name: 'London'}, date: '+001979-10-12'}
+		],
+		weight: null,
+		width: null
+	};
+}
+
+describe('parseName', () => {
+	it('should split names in both orders and keep particles', () => {
+		expect(parseName('Douglas Adams')).to.deep.equal({family: 'Adams', given: 'Douglas'});
+		expect(parseName('Adams, Douglas Noel')).to.deep.equal({family: 'Adams', given: 'Douglas Noel'});
+		expect(parseName('Ludwig van Beethoven')).to.deep.equal({
+			family: 'Beethoven', given: 'Ludwig', 'non-dropping-particle': 'van'
+		});
+		expect(parseName('Homer')).to.deep.equal({literal: 'Homer'});
+	});
+});
+
+describe('getCitationKey', () => {
+	it('should combine author, year, title and BBID', () => {
+		expect(getCitationKey(getEdition())).to.equal('adams1979hitchhikers-68f52341');
+	});
+
+	it('should not depend on the order of release events', () => {
+		const edition = getEdition();
+		edition.releaseEvents.reverse();
+
+		expect(getCitationKey(edition)).to.equal(getCitationKey(getEdition()));
+	});
+});
+
+describe('toCSLJSON', () => {
+	it('should build a book item from an edition', () => {
+		expect(toCSLJSON(getEdition())).to.deep.equal({
+			DOI: '10.1000/182',
+			ISBN: '9780330258647',
+			URL: `https://bookbrainz.org/edition/${editionBBID}`,
+			author: [
+				{family: 'Adams', given: 'Douglas'},
+				{family: 'Beethoven', given: 'Ludwig', 'non-dropping-particle': 'van'}
+			],
+			'citation-key': 'adams1979hitchhikers-68f52341',
+			id: editionBBID,
+			issued: {'date-parts': [[1979, 10, 12]]},
+			'number-of-pages': 180,
+			publisher: 'Pan Books',
+			'publisher-place': 'London',
+			title: 'The Hitchhiker\'s Guide to the Galaxy',
+			type: 'book'
+		});
+	});
+
+	it('should build a document item from a work with the given authors', () => {
+		const work = {...getBaseProps('Work', workBBID, 'Überwork'), languages: [], workType: null};
+		const item = toCSLJSON(work, {authors: [{name: 'Douglas Adams', sortName: 'Adams, Douglas'}]});
+
+		expect(item).to.deep.equal({
+			URL: `https://bookbrainz.org/work/${workBBID}`,
+			author: [{family: 'Adams', given: 'Douglas'}],
+			'citation-key': 'adamsuberwork-ba2d4ddf',
+			id: workBBID,
+			title: 'Überwork',
+			type: 'document'
+		});
+	});
+
+	it('should throw for entities which can not be cited', () => {
+		expect(() => toCSLJSON(getBaseProps('Author', authorBBID, 'A'))).to.throw('can not be cited');
+	});
+});
+
+describe('toBibTeX', () => {
+	it('should build an escaped book entry', () => {
+		const edition = {...getEdition(), name: '100% Fun & Games'};
+
+		expect(toBibTeX(edition)).to.equal([
+			'@book{adams1979games-68f52341,',
+			'\tauthor = {Adams, Douglas and van Beethoven, Ludwig},',
+			'\ttitle = {100\\% Fun \\& Games},',
+			'\tpublisher = {Pan Books},',
+			'\taddress = {London},',
+			'\tyear = {1979},',
+			'\tmonth = {oct},',
+			'\tisbn = {9780330258647},',
+			'\tdoi = {10.1000/182},',
+			`\turl = {https://bookbrainz.org/edition/${editionBBID}}`,
+			'}',
+			''
+		].join('\n'));
+	});
+
+	it('should protect single names and mark omitted authors', () => {
+		const edition = {
+			...getEdition(),
+			authorCredit: [{authorBbid: authorBBID, joinPhrase: ' et al.', name: 'Homer'}]
+		};
+
+		expect(toBibTeX(edition)).to.include('\tauthor = {{Homer} and others},');
+		expect(toCSLJSON(edition).author).to.deep.equal([{literal: 'Homer'}]);
+	});
+});
@@ -0,0 +1,211 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {SCHEMA_ORG_CONTEXT, toJSONLD} from '../../../lib/func/serializers';
+import chai from 'chai';
+
+
+const {expect} = chai;
+
+const authorBBID = 'de305d54-75b4-431b-adb2-eb6b9e546014';
+const workBBID = 'ba2d4ddf-4e2a-4b5e-b1ff-11e0ee4fce0c';
+const editionBBID = '68f52341-eea4-4ebc-9a15-6226fb68962c';
+const editionGroupBBID = '1b33f4a6-7f3a-4bd4-9d7b-4fbd8a2fbd2f';
+const seriesBBID = 'a0e0a4c1-4e0e-4f3b-8e49-1c8e4d1f8f52';
+
+function getBaseProps(type, bbid) {
+	return {
+		aliases: [],
+		annotation: null,
+		bbid,
+		defaultAlias: null,
+		disambiguation: null,
+		identifiers: [],
+		name: 'Name',
+		relationships: [],
+		revisionId: 1,
+		schemaVersion: 1,
+		sortName: 'Name',
+		type
+	};
+}
+
+function getAuthor() {
+	return {
+		...getBaseProps('Author', authorBBID),
+		aliases: [
+			{default: true, language: null, name: 'Douglas Adams', primary: true, sortName: 'Adams, Douglas'},
+			{default: false, language: null, name: 'Douglas Noel Adams', primary: false, sortName: 'Adams, Douglas'}
+		],
+		authorType: {id: 1, label: 'Person'},
+		beginArea: {id: 1, mbid: 'a-gid', name: 'Cambridge'},
+		beginDate: '+001952-03-11',
+		disambiguation: 'Writer',
+		endArea: null,
+		endDate: '+002001-05',
+		ended: true,
+		gender: {id: 1, label: 'Male'},
+		identifiers: [
+			{type: {id: 1, label: 'VIAF'}, value: '113230702'},
+			{type: {id: 2, label: 'Wikidata ID'}, value: 'Q42'}
+		],
+		name: 'Douglas Adams',
+		relationships: [{
+			attributes: [],
+			sourceBbid: authorBBID,
+			targetBbid: workBBID,
+			type: {
+				id: 8, label: 'Author', linkPhrase: 'wrote', reverseLinkPhrase: 'was written by',
+				sourceEntityType: 'Author', targetEntityType: 'Work'
+			}
+		}]
+	};
+}
+
+describe('toJSONLD', () => {
+	it('should map a person with dates, places and sameAs links', () => {
+		expect(toJSONLD(getAuthor())).to.deep.equal({
+			'@context': SCHEMA_ORG_CONTEXT,
+			'@id': `https://bookbrainz.org/author/${authorBBID}`,
+			'@type': 'Person',
+			alternateName: ['Douglas Noel Adams'],
+			birthDate: '1952-03-11',
+			birthPlace: {'@type': 'Place', name: 'Cambridge'},
+			deathDate: '2001-05',
+			disambiguatingDescription: 'Writer',
+			gender: 'Male',
+			identifier: authorBBID,
+			name: 'Douglas Adams',
+			sameAs: ['https://viaf.org/viaf/113230702', 'https://www.wikidata.org/wiki/Q42'],
+			url: `https://bookbrainz.org/author/${authorBBID}`
+		});
+	});
+
+	it('should map a group author to an organization', () => {
+		const author = {...getAuthor(), authorType: {id: 2, label: 'Group'}, endDate: null};
+		const document = toJSONLD(author, {baseUrl: 'https://test.bookbrainz.org/'});
+
+		expect(document).to.include({
+			'@id': `https://test.bookbrainz.org/author/${authorBBID}`,
+			'@type': 'Organization',
+			foundingDate: '1952-03-11'
+		});
+		expect(document).to.not.have.any.keys('birthDate', 'gender');
+	});
+
+	it('should map relationships with a known schema.org equivalent', () => {
+		const author = getAuthor();
+		const work = {
+			...getBaseProps('Work', workBBID),
+			languages: [{id: 1, isoCode3: 'eng', name: 'English'}],
+			relationships: [
+				...author.relationships,
+				{
+					attributes: [],
+					sourceBbid: workBBID,
+					targetBbid: seriesBBID,
+					type: {
+						id: 70, label: 'Part Of', linkPhrase: 'is part of', reverseLinkPhrase: 'contains',
+						sourceEntityType: 'Work', targetEntityType: 'Series'
+					}
+				}
+			],
+			workType: {id: 1, label: 'Novel'}
+		};
+
+		expect(toJSONLD(author)).to.not.have.any.keys('author');
+		expect(toJSONLD(work)).to.deep.include({
+			'@type': 'CreativeWork',
+			author: [{'@id': `https://bookbrainz.org/author/${authorBBID}`}],
+			genre: 'Novel',
+			inLanguage: ['eng'],
+			isPartOf: [{'@id': `https://bookbrainz.org/series/${seriesBBID}`}]
+		});
+	});
+
+	it('should map an edition to a book which is an example of its edition group', () => {
+		const edition = {
+			...getBaseProps('Edition', editionBBID),
+			authorCredit: [{authorBbid: authorBBID, joinPhrase: '', name: 'Douglas Adams'}],
+			depth: null,
+			editionFormat: {id: 1, label: 'Paperback'},
+			editionGroupBbid: editionGroupBBID,
+			editionStatus: null,
+			height: null,
+			identifiers: [{type: {id: 3, label: 'ISBN-13'}, value: '978-0-330-25864-7'}],
+			languages: [],
+			pages: 180,
+			publishers: [],
+			releaseEvents: [{area: null, date: null}, {area: null, date: '+001979-10-12'}],
+			weight: null,
+			width: null
+		};
+
+		expect(toJSONLD(edition)).to.deep.include({
+			'@type': 'Book',
+			author: [{'@id': `https://bookbrainz.org/author/${authorBBID}`, name: 'Douglas Adams'}],
+			bookFormat: 'https://schema.org/Paperback',
+			datePublished: '1979-10-12',
+			exampleOfWork: {'@id': `https://bookbrainz.org/edition-group/${editionGroupBBID}`, '@type': 'Book'},
+			isbn: ['978-0-330-25864-7'],
+			numberOfPages: 180,
+			sameAs: ['urn:isbn:9780330258647']
+		});
+	});
+
+	it('should list the editions of an edition group as work examples', () => {
+		const editionGroup = {
+			...getBaseProps('EditionGroup', editionGroupBBID),
+			authorCredit: null,
+			editionGroupType: null
+		};
+		const document = toJSONLD(editionGroup, {editionBbids: [editionBBID]});
+
+		expect(document['@type']).to.equal('Book');
+		expect(document.workExample).to.deep.equal([
+			{'@id': `https://bookbrainz.org/edition/${editionBBID}`, '@type': 'Book'}
+		]);
+		expect(document).to.not.have.any.keys('author', 'genre');
+	});
+
+	it('should map a series to a book series which has its items as parts', () => {
+		const series = {
+			...getBaseProps('Series', seriesBBID),
+			relationships: [{
+				attributes: [{type: 'position', value: '1'}],
+				sourceBbid: workBBID,
+				targetBbid: seriesBBID,
+				type: {
+					id: 70, label: 'Part Of', linkPhrase: 'is part of', reverseLinkPhrase: 'contains',
+					sourceEntityType: 'Work', targetEntityType: 'Series'
+				}
+			}],
+			seriesEntityType: 'Work',
+			seriesOrderingType: null
+		};
+
+		expect(toJSONLD(series)).to.deep.include({
+			'@type': 'BookSeries',
+			hasPart: [{'@id': `https://bookbrainz.org/work/${workBBID}`}]
+		});
+	});
+
+	it('should throw for unknown entity types', () => {
+		expect(() => toJSONLD(getBaseProps('Unknown', authorBBID))).to.throw('Unknown entity type Unknown');
+	});
+});
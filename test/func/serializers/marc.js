@@ -0,0 +1,208 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {
+	authorToMarcAuthorityRecord, editionToMarcRecord, toMarc21, toMarcXML
+} from '../../../lib/func/serializers';
+import chai from 'chai';
+
+
+const {expect} = chai;
+
+const authorBBID = 'de305d54-75b4-431b-adb2-eb6b9e546014';
+const coAuthorBBID = 'ba2d4ddf-4e2a-4b5e-b1ff-11e0ee4fce0c';
+const editionBBID = '68f52341-eea4-4ebc-9a15-6226fb68962c';
+const editionGroupBBID = '1b33f4a6-7f3a-4bd4-9d7b-4fbd8a2fbd2f';
+const dateEntered = new Date(Date.UTC(2026, 0, 31));
+
+function getBaseProps(type, bbid, name) {
+	return {
+		aliases: [{default: true, language: null, name, primary: true, sortName: name}],
+		annotation: null,
+		bbid,
+		defaultAlias: {default: true, language: null, name, primary: true, sortName: name},
+		disambiguation: null,
+		identifiers: [],
+		name,
+		relationships: [],
+		revisionId: 1,
+		schemaVersion: 1,
+		sortName: name,
+		type
+	};
+}
+
+function getEdition() {
+	return {
+		...getBaseProps('Edition', editionBBID, 'Die Känguru-Chroniken'),
+		authorCredit: [
+			{authorBbid: authorBBID, joinPhrase: ' & ', name: 'Marc-Uwe Kling'},
+			{authorBbid: coAuthorBBID, joinPhrase: '', name: 'Bernd Kissel'}
+		],
+		depth: 20,
+		editionFormat: {id: 1, label: 'Paperback'},
+		editionGroupBbid: editionGroupBBID,
+		editionStatus: null,
+		height: 190,
+		identifiers: [{type: {id: 2, label: 'ISBN-13'}, value: '978-3-548-37233-9'}],
+		languages: [{id: 1, isoCode3: 'deu', name: 'German'}],
+		pages: 272,
+		publishers: [{bbid: coAuthorBBID, name: 'Ullstein'}],
+		releaseEvents: [{area: {id: 1, mbid: 'a-gid', name: 'Berlin'}, date: '+002009-11-10'}],
+		weight: null,
+		width: 125
+	};
+}
+
+function getFields(record, tag) {
+	return record.dataFields.filter((field) => field.tag === tag);
+}
+
+function getSubfieldValues(field) {
+	return field.subfields.map((subfield) => `${subfield.code}:${subfield.value}`);
+}
+
+describe('editionToMarcRecord', () => {
+	it('should derive the leader and the 008 field from the release date and language', () => {
+		const record = editionToMarcRecord(getEdition(), {dateEntered});
+
+		expect(record.leader).to.have.lengthOf(24);
+		expect(record.leader.slice(5, 10)).to.equal('nam a');
+		expect(record.controlFields.map((field) => field.tag)).to.deep.equal(['001', '003', '008']);
+		const fixedData = record.controlFields[2].value;
+		expect(fixedData).to.have.lengthOf(40);
+		expect(fixedData.slice(0, 15)).to.equal('260131s2009    ');
+		expect(fixedData.slice(35, 38)).to.equal('ger');
+	});
+
+	it('should code unknown release dates and languages', () => {
+		const record = editionToMarcRecord({...getEdition(), languages: [], releaseEvents: []}, {dateEntered});
+		const fixedData = record.controlFields[2].value;
+
+		expect(fixedData.slice(6, 11)).to.equal('nuuuu');
+		expect(fixedData.slice(35, 38)).to.equal('und');
+	});
+
+	it('should map the edition data to data fields', () => {
+		const editionGroup = {...getBaseProps('EditionGroup', editionGroupBBID, 'Känguru-Chroniken')};
+		const record = editionToMarcRecord(getEdition(), {dateEntered, editionGroup});
+
+		expect(record.dataFields.map((field) => field.tag)).to.deep.equal(
+			['020', '100', '240', '245', '264', '300', '338', '700', '856']
+		);
+		expect(getSubfieldValues(getFields(record, '020')[0])).to.deep.equal(['a:9783548372339']);
+		expect(getSubfieldValues(getFields(record, '100')[0])).to.deep.equal([
+			'a:Marc-Uwe Kling', 'e:author', `0:https://bookbrainz.org/author/${authorBBID}`
+		]);
+		expect(getFields(record, '245')[0]).to.deep.equal({
+			ind1: '1',
+			ind2: '0',
+			subfields: [
+				{code: 'a', value: 'Die Känguru-Chroniken'},
+				{code: 'c', value: 'Marc-Uwe Kling & Bernd Kissel'}
+			],
+			tag: '245'
+		});
+		expect(getSubfieldValues(getFields(record, '264')[0])).to.deep.equal(['a:Berlin', 'b:Ullstein', 'c:2009']);
+		expect(getSubfieldValues(getFields(record, '300')[0])).to.deep.equal(['a:272 pages', 'c:125 x 190 x 20 mm']);
+		expect(getSubfieldValues(getFields(record, '700')[0])).to.include('a:Bernd Kissel');
+	});
+});
+
+describe('authorToMarcAuthorityRecord', () => {
+	const author = {
+		...getBaseProps('Author', authorBBID, 'Douglas Adams'),
+		aliases: [
+			{default: true, language: null, name: 'Douglas Adams', primary: true, sortName: 'Adams, Douglas'},
+			{
+				default: false, language: null, name: 'Douglas Noel Adams', primary: false,
+				sortName: 'Adams, Douglas Noel'
+			}
+		],
+		authorType: {id: 1, label: 'Person'},
+		beginArea: {id: 1, mbid: 'a-gid', name: 'Cambridge'},
+		beginDate: '+001952-03-11',
+		endArea: null,
+		endDate: '+002001-05-11',
+		ended: true,
+		gender: {id: 1, label: 'Male'},
+		identifiers: [{type: {id: 1, label: 'VIAF'}, value: '113230702'}],
+		sortName: 'Adams, Douglas'
+	};
+
+	it('should build a personal name authority record', () => {
+		const record = authorToMarcAuthorityRecord(author, {dateEntered});
+
+		expect(record.leader.slice(5, 7)).to.equal('nz');
+		expect(record.controlFields[2].value).to.have.lengthOf(40);
+		expect(record.dataFields.map((field) => field.tag)).to.deep.equal(
+			['024', '046', '100', '370', '375', '400', '670']
+		);
+		expect(getSubfieldValues(getFields(record, '100')[0])).to.deep.equal(['a:Adams, Douglas', 'd:1952-2001']);
+		expect(getSubfieldValues(getFields(record, '046')[0])).to.deep.equal(
+			['f:1952-03-11', 'g:2001-05-11', '2:edtf']
+		);
+		expect(getSubfieldValues(getFields(record, '400')[0])).to.deep.equal(['a:Adams, Douglas Noel']);
+	});
+
+	it('should record groups as corporate names', () => {
+		const record = authorToMarcAuthorityRecord({...author, authorType: {id: 2, label: 'Group'}}, {dateEntered});
+		const tags = record.dataFields.map((field) => field.tag);
+
+		expect(tags).to.include.members(['110', '410']);
+		expect(tags).to.not.include.members(['100', '400']);
+		expect(getSubfieldValues(getFields(record, '046')[0])).to.include('s:1952-03-11');
+	});
+});
+
+describe('toMarc21', () => {
+	it('should encode a record with a valid leader and directory', () => {
+		const binary = toMarc21(editionToMarcRecord(getEdition(), {dateEntered}));
+		const leader = binary.toString('utf8', 0, 24);
+		const baseAddress = parseInt(leader.slice(12, 17), 10);
+
+		expect(parseInt(leader.slice(0, 5), 10)).to.equal(binary.length);
+		expect(binary[binary.length - 1]).to.equal(0x1D);
+		expect(binary[baseAddress - 1]).to.equal(0x1E);
+
+		const directory = binary.toString('utf8', 24, baseAddress - 1);
+		expect(directory.length % 12).to.equal(0);
+		const titleEntry = directory.match(/.{12}/g).find((entry) => entry.startsWith('245'));
+		const length = parseInt(titleEntry.slice(3, 7), 10);
+		const start = baseAddress + parseInt(titleEntry.slice(7), 10);
+		const titleField = binary.toString('utf8', start, start + length);
+		expect(titleField).to.equal('10\x1FaDie Känguru-Chroniken\x1FcMarc-Uwe Kling & Bernd Kissel\x1E');
+	});
+});
+
+describe('toMarcXML', () => {
+	it('should encode records as an escaped MARCXML collection', () => {
+		const xml = toMarcXML([
+			editionToMarcRecord(getEdition(), {dateEntered}),
+			authorToMarcAuthorityRecord({...getBaseProps('Author', authorBBID, 'A < B'), authorType: null})
+		]);
+
+		expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n')).to.be.true;
+		expect(xml).to.include('<collection xmlns="http://www.loc.gov/MARC21/slim">');
+		expect(xml.match(/<record>/g)).to.have.lengthOf(2);
+		expect(xml).to.include(`<controlfield tag="001">${editionBBID}</controlfield>`);
+		expect(xml).to.include('<datafield tag="245" ind1="1" ind2="0">');
+		expect(xml).to.include('<subfield code="c">Marc-Uwe Kling &amp; Bernd Kissel</subfield>');
+		expect(xml).to.include('<subfield code="a">A &lt; B</subfield>');
+	});
+});
@@ -0,0 +1,171 @@
+/*
+ * Copyright (C) 2026  MetaBrainz Foundation
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+import {
+	ONIX_NAMESPACE, editionToONIXProduct, generateONIXMessage, renderXMLElement, toONIXMessage
+} from '../../../lib/func/serializers';
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+
+chai.use(chaiAsPromised);
+const {expect} = chai;
+
+const authorBBID = 'de305d54-75b4-431b-adb2-eb6b9e546014';
+const coAuthorBBID = 'ba2d4ddf-4e2a-4b5e-b1ff-11e0ee4fce0c';
+const editionBBID = '68f52341-eea4-4ebc-9a15-6226fb68962c';
+const publisherBBID = '1b33f4a6-7f3a-4bd4-9d7b-4fbd8a2fbd2f';
+const sentAt = new Date(Date.UTC(2026, 0, 31, 12, 30));
+
+function getEdition() {
+	return {
+		aliases: [],
+		annotation: null,
+		authorCredit: [
+			{authorBbid: authorBBID, joinPhrase: ' & ', name: 'Marc-Uwe Kling'},
+			{authorBbid: coAuthorBBID, joinPhrase: '', name: 'Bernd Kissel'}
+		],
+		bbid: editionBBID,
+		defaultAlias: null,
+		depth: null,
+		disambiguation: null,
+		editionFormat: {id: 1, label: 'Hardcover'},
+		editionGroupBbid: null,
+		editionStatus: {id: 1, label: 'Official'},
+		height: 190,
+		identifiers: [
+			{type: {id: 1, label: 'ISBN-10'}, value: '3-548-37233-4'},
+			{type: {id: 2, label: 'ISBN-13'}, value: '978-3-548-37233-9'}
+		],
+		languages: [{id: 1, isoCode3: 'deu', name: 'German'}],
+		name: 'Die Känguru-Chroniken',
+		pages: 272,
+		publishers: [{bbid: publisherBBID, name: 'Ullstein'}],
+		relationships: [],
+		releaseEvents: [{area: null, date: '+002010-03'}, {area: null, date: '+002009-11-10'}],
+		revisionId: 1,
+		schemaVersion: 1,
+		sortName: 'Känguru-Chroniken, Die',
+		type: 'Edition',
+		weight: null,
+		width: 125
+	};
+}
+
+function findChild(element, name) {
+	return element.children.find((child) => child && child.name === name);
+}
+
+function getChildText(element, name) {
+	return findChild(element, name)?.text;
+}
+
+describe('editionToONIXProduct', () => {
+	it('should map identifiers to product identifiers', () => {
+		const product = editionToONIXProduct(getEdition());
+		const identifiers = product.children.filter((child) => child?.name === 'ProductIdentifier');
+
+		expect(getChildText(product, 'RecordReference')).to.equal(`org.bookbrainz.edition.${editionBBID}`);
+		expect(identifiers.map((identifier) => [
+			getChildText(identifier, 'ProductIDType'), getChildText(identifier, 'IDValue')
+		])).to.deep.equal([
+			['01', editionBBID],
+			['02', '3548372334'],
+			['15', '9783548372339']
+		]);
+	});
+
+	it('should map the format, authors, languages and page count to the descriptive detail', () => {
+		const detail = findChild(editionToONIXProduct(getEdition()), 'DescriptiveDetail');
+		const contributors = detail.children.filter((child) => child?.name === 'Contributor');
+
+		expect(getChildText(detail, 'ProductForm')).to.equal('BB');
+		expect(contributors.map((contributor) => [
+			getChildText(contributor, 'SequenceNumber'),
+			getChildText(contributor, 'ContributorRole'),
+			getChildText(contributor, 'PersonName')
+		])).to.deep.equal([
+			[1, 'A01', 'Marc-Uwe Kling'],
+			[2, 'A01', 'Bernd Kissel']
+		]);
+		expect(getChildText(findChild(detail, 'Language'), 'LanguageCode')).to.equal('ger');
+		expect(getChildText(findChild(detail, 'Extent'), 'ExtentValue')).to.equal(272);
+		expect(findChild(detail, 'NoContributor')).to.be.undefined;
+	});
+
+	it('should map publishers, status and the earliest release date to the publishing detail', () => {
+		const detail = findChild(editionToONIXProduct(getEdition()), 'PublishingDetail');
+		const date = findChild(findChild(detail, 'PublishingDate'), 'Date');
+
+		expect(getChildText(findChild(detail, 'Publisher'), 'PublisherName')).to.equal('Ullstein');
+		expect(getChildText(detail, 'PublishingStatus')).to.equal('04');
+		expect(date).to.deep.equal({attributes: {dateformat: '00'}, name: 'Date', text: '20091110'});
+	});
+
+	it('should fall back to unknown codes and mark editions without authors', () => {
+		const edition = {
+			...getEdition(), authorCredit: null, editionFormat: null, editionStatus: null,
+			releaseEvents: [{area: null, date: '+002009'}]
+		};
+		const product = editionToONIXProduct(edition);
+		const descriptiveDetail = findChild(product, 'DescriptiveDetail');
+		const publishingDetail = findChild(product, 'PublishingDetail');
+
+		expect(getChildText(descriptiveDetail, 'ProductForm')).to.equal('00');
+		expect(findChild(descriptiveDetail, 'NoContributor')).to.deep.equal({name: 'NoContributor'});
+		expect(getChildText(publishingDetail, 'PublishingStatus')).to.equal('00');
+		expect(findChild(findChild(publishingDetail, 'PublishingDate'), 'Date').attributes)
+			.to.deep.equal({dateformat: '05'});
+	});
+});
+
+describe('toONIXMessage', () => {
+	it('should wrap products in a message with a header', () => {
+		const message = toONIXMessage([getEdition()], {sentAt});
+
+		expect(message).to.include(`<ONIXMessage release="3.0" xmlns="${ONIX_NAMESPACE}">`);
+		expect(message).to.include('<SenderName>BookBrainz</SenderName>');
+		expect(message).to.include('<SentDateTime>20260131T1230Z</SentDateTime>');
+		expect(message).to.include('<Date dateformat="00">20091110</Date>');
+		expect(message.match(/<Product>/g)).to.have.lengthOf(1);
+		expect(message.endsWith('</ONIXMessage>\n')).to.be.true;
+		expect(message).to.include(renderXMLElement(editionToONIXProduct(getEdition()), 1));
+	});
+});
+
+describe('generateONIXMessage', () => {
+	async function collect(generator) {
+		const parts = [];
+		for await (const part of generator) {
+			parts.push(part);
+		}
+		return parts.join('');
+	}
+
+	it('should generate an empty message without fetching editions', async () => {
+		const message = await collect(generateONIXMessage(null, [], {sentAt}));
+
+		expect(message).to.equal(toONIXMessage([], {sentAt}));
+	});
+
+	it('should reject an invalid batch size', () => {
+		const result = collect(generateONIXMessage(null, [], {batchSize: 0}));
+
+		return expect(result).to.be.rejectedWith('Batch size has to be a positive integer');
+	});
+});